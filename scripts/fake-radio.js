@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Runs the fake ICY server (src/dev/FakeRadioServer.js) on its own, e.g. to point a
+// separately started app or an audio player at it.
+//
+// Usage: npm run fake-radio -- [--config config/fake-radio.json] [--port 8000]
+
+const path = require('path');
+const FakeRadioServer = require('../src/dev/FakeRadioServer');
+const logger = require('../src/utils/logger');
+
+function parseArgs(argv) {
+  const options = { config: undefined, port: undefined };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--config') {
+      options.config = path.resolve(argv[++i]);
+    } else if (argv[i] === '--port') {
+      options.port = parseInt(argv[++i], 10);
+    } else {
+      throw new Error('Usage: npm run fake-radio -- [--config config/fake-radio.json] [--port 8000]');
+    }
+  }
+
+  return options;
+}
+
+let server;
+try {
+  const options = parseArgs(process.argv.slice(2));
+  server = FakeRadioServer.load(options.config);
+  server.listen(options.port).catch(error => {
+    logger.error('❌ Fake radio failed to start:', error);
+    process.exit(1);
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const shutdown = () => {
+  logger.info('🛑 Stopping fake radio...');
+  server.close().then(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// Replays a metadata capture (see METADATA_CAPTURE_FILE) through parsing, classification
+// and matching without connecting to any stream. Matches are recorded in a separate
+// database and Spotify playlists are never touched.
+//
+// Usage: npm run replay -- <capture.jsonl> [--speed 60] [--station main] [--no-match] [--db data/replay.db] [--keep-db]
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const SpotifyService = require('../src/services/SpotifyService');
+const RadioMonitor = require('../src/services/RadioMonitor');
+const MetadataCapture = require('../src/services/MetadataCapture');
+const logger = require('../src/utils/logger');
+
+const DEFAULT_REPLAY_DB = path.join(__dirname, '../data/replay.db');
+
+function parseArgs(argv) {
+  const options = { file: null, speed: 1, station: null, match: true, dbPath: DEFAULT_REPLAY_DB, keepDb: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--speed') {
+      options.speed = parseFloat(argv[++i]);
+    } else if (arg === '--station') {
+      options.station = argv[++i];
+    } else if (arg === '--no-match') {
+      options.match = false;
+    } else if (arg === '--db') {
+      options.dbPath = path.resolve(argv[++i]);
+    } else if (arg === '--keep-db') {
+      options.keepDb = true;
+    } else if (!arg.startsWith('--') && !options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('Usage: npm run replay -- <capture.jsonl> [--speed 60] [--station main] [--no-match] [--db path] [--keep-db]');
+  }
+  if (!(options.speed > 0)) {
+    throw new Error('--speed must be a positive number (1 = real time, 60 = a minute per second)');
+  }
+
+  return options;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function replay(options) {
+  let entries = await MetadataCapture.read(options.file);
+  if (options.station) {
+    entries = entries.filter(entry => entry.station === options.station);
+  }
+  if (entries.length === 0) {
+    logger.warn('⚠️ Nothing to replay');
+    return;
+  }
+
+  // Each replay starts from an empty database unless asked to keep it
+  if (!options.keepDb) {
+    await Promise.all(['', '-wal', '-shm'].map(suffix => fs.rm(options.dbPath + suffix, { force: true })));
+  }
+
+  const spotifyService = new SpotifyService();
+  spotifyService.database.dbPath = options.dbPath;
+  spotifyService.dryRun = true;
+  // Parsing and classification only: no Spotify login, no searches
+  spotifyService.offline = !options.match;
+  await spotifyService.initialize();
+
+  const radioMonitor = new RadioMonitor(spotifyService, spotifyService.stationRegistry);
+  radioMonitor.timeScale = options.speed;
+
+  const summary = { changes: {}, matched: 0, unmatched: 0 };
+  spotifyService.eventBus.subscribe('track.changed', event => {
+    const label = event.payload.contentType || 'music';
+    summary.changes[label] = (summary.changes[label] || 0) + 1;
+  });
+  spotifyService.eventBus.subscribe('track.matched', () => { summary.matched++; });
+  spotifyService.eventBus.subscribe('track.unmatched', () => { summary.unmatched++; });
+
+  const span = Date.parse(entries[entries.length - 1].timestamp) - Date.parse(entries[0].timestamp);
+  logger.info(`▶️ Replaying ${entries.length} metadata updates (${Math.round(span / 60000)} min of capture) at ${options.speed}x into ${options.dbPath}`);
+
+  const startedAt = Date.now();
+  const captureStart = Date.parse(entries[0].timestamp);
+
+  for (const entry of entries) {
+    // Keep the capture's timing, compressed by the replay speed
+    const due = startedAt + (Date.parse(entry.timestamp) - captureStart) / options.speed;
+    const wait = due - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+
+    await radioMonitor.handleMetadata(entry.station, {
+      streamTitle: entry.streamTitle,
+      artist: entry.artist,
+      title: entry.title,
+      raw: entry.raw,
+      // Plays get the capture's times rather than the replay's
+      startedAt: entry.startedAt || entry.timestamp,
+      duration: entry.duration
+    });
+  }
+
+  // Let the last titles finish stabilizing and going through matching
+  await radioMonitor.waitForPendingTracks();
+  await spotifyService.trackQueue.waitForIdle();
+
+  const plays = await spotifyService.database.getPlaysCount();
+  await spotifyService.close();
+
+  console.log('\n📼 Replay summary');
+  console.log(`   Metadata updates: ${entries.length}`);
+  console.log(`   Plays recorded:   ${plays}`);
+  console.log(`   Track changes:    ${Object.entries(summary.changes).map(([label, count]) => `${label} ${count}`).join(', ') || 'none'}`);
+  if (options.match) {
+    console.log(`   Matched:          ${summary.matched}`);
+    console.log(`   Unmatched:        ${summary.unmatched}`);
+  }
+  console.log(`   Database:         ${options.dbPath}\n`);
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+replay(options)
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('❌ Replay failed:', error);
+    process.exit(1);
+  });
@@ -3,11 +3,14 @@ const { open } = require('sqlite');
 const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../utils/logger');
+const { recordingKey } = require('../utils/recording');
 
 class DatabaseService {
   constructor() {
     this.db = null;
-    this.dbPath = path.join(__dirname, '../../data/halloween_radio.db');
+    this.dbPath = process.env.DATABASE_PATH
+      ? path.resolve(process.env.DATABASE_PATH)
+      : path.join(__dirname, '../../data/halloween_radio.db');
   }
 
   async initialize() {
@@ -43,6 +46,7 @@ class DatabaseService {
       const schemaPath = path.join(__dirname, 'schema.sql');
       const schema = await fs.readFile(schemaPath, 'utf8');
       await this.db.exec(schema);
+      await this.migrateSchema();
       logger.info('✅ Database schema initialized');
     } catch (error) {
       logger.error('❌ Failed to initialize database schema:', error);
@@ -52,11 +56,13 @@ class DatabaseService {
 
   // ==================== MATCHED TRACKS ====================
   
-  async isTrackAlreadyAdded(spotifyId) {
+  // Whether the track, or another release of the same recording ({ isrc, recordingKey }),
+  // was already matched
+  async isTrackAlreadyAdded(spotifyId, identity = {}) {
     try {
       const result = await this.db.get(
-        'SELECT id FROM matched_tracks WHERE spotify_id = ?',
-        [spotifyId]
+        'SELECT id FROM matched_tracks WHERE spotify_id = ? OR isrc = ? OR recording_key = ? LIMIT 1',
+        [spotifyId, identity.isrc || null, identity.recordingKey || null]
       );
       return !!result;
     } catch (error) {
@@ -70,9 +76,9 @@ class DatabaseService {
       const result = await this.db.run(`
         INSERT INTO matched_tracks (
           timestamp, station, radio_artist, radio_title, radio_original,
-          spotify_id, spotify_artist, spotify_title, spotify_url,
-          match_percentage, playlist_name, added_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          spotify_id, spotify_artist, spotify_title, spotify_url, isrc, recording_key,
+          match_percentage, playlist_name, score_details, added_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         trackData.timestamp,
         trackData.station,
@@ -83,8 +89,11 @@ class DatabaseService {
         trackData.spotifyMatch.artist,
         trackData.spotifyMatch.title,
         trackData.spotifyMatch.url,
+        trackData.spotifyMatch.isrc || null,
+        trackData.spotifyMatch.recordingKey || null,
         trackData.percentage,
         trackData.playlist || `Halloween Radio - ${trackData.station}`,
+        trackData.scoreDetails ? JSON.stringify(trackData.scoreDetails) : null,
         new Date().toISOString()
       ]);
 
@@ -95,7 +104,7 @@ class DatabaseService {
       
       return result.lastID;
     } catch (error) {
-      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      if (error.code === 'SQLITE_CONSTRAINT' && error.message.includes('UNIQUE')) {
         logger.info(`📋 Track already exists in database: ${trackData.spotifyMatch.artist} - ${trackData.spotifyMatch.title}`);
         
         // Update daily stats for duplicate
@@ -153,8 +162,8 @@ class DatabaseService {
         INSERT INTO unmatched_tracks (
           timestamp, station, radio_artist, radio_title, radio_original,
           best_spotify_artist, best_spotify_title, best_spotify_id,
-          best_match_percentage, reason, search_results_count, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          best_match_percentage, score_details, reason, search_results_count, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         trackData.timestamp,
         trackData.station,
@@ -165,6 +174,7 @@ class DatabaseService {
         trackData.spotifyMatch?.title || null,
         trackData.spotifyMatch?.id || null,
         trackData.percentage || 0,
+        trackData.scoreDetails ? JSON.stringify(trackData.scoreDetails) : null,
         trackData.reason,
         trackData.searchResultsCount || 0,
         new Date().toISOString()
@@ -201,6 +211,28 @@ class DatabaseService {
     }
   }
 
+  // Just enough of every unmatched row to work out which song it was and when it was last retried
+  async getUnmatchedTrackTitles() {
+    try {
+      return await this.db.all('SELECT id, station, radio_artist, radio_title, radio_original, retry_count, last_retry_at, created_at FROM unmatched_tracks');
+    } catch (error) {
+      logger.error('❌ Error getting unmatched track titles:', error);
+      return [];
+    }
+  }
+
+  // Rows that have since been resolved
+  async deleteUnmatchedTracks(ids) {
+    if (ids.length === 0) {
+      return 0;
+    }
+    const result = await this.db.run(
+      `DELETE FROM unmatched_tracks WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+    return result.changes;
+  }
+
   async getTopUnmatchedTracks(limit = 50) {
     try {
       const tracks = await this.db.all(`
@@ -287,6 +319,846 @@ class DatabaseService {
     }
   }
 
+  // ==================== STATIONS ====================
+
+  async getStations(includeRemoved = false) {
+    try {
+      return await this.db.all(`
+        SELECT * FROM stations
+        ${includeRemoved ? '' : 'WHERE removed_at IS NULL'}
+        ORDER BY created_at ASC, id ASC
+      `);
+    } catch (error) {
+      logger.error('❌ Error getting stations:', error);
+      return [];
+    }
+  }
+
+  async insertStationIfMissing(station) {
+    try {
+      const now = new Date().toISOString();
+      const result = await this.db.run(`
+        INSERT OR IGNORE INTO stations (
+          id, name, stream_url, playlist_template, enabled, settings, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        station.id,
+        station.name,
+        station.url,
+        station.playlistTemplate || null,
+        station.enabled === false ? 0 : 1,
+        JSON.stringify(station.settings || {}),
+        now,
+        now
+      ]);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`❌ Error seeding station ${station.id}:`, error);
+      throw error;
+    }
+  }
+
+  async saveStation(station) {
+    try {
+      const now = new Date().toISOString();
+      await this.db.run(`
+        INSERT INTO stations (
+          id, name, stream_url, playlist_template, enabled, settings, removed_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, NULL, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name,
+          stream_url = excluded.stream_url,
+          playlist_template = excluded.playlist_template,
+          enabled = excluded.enabled,
+          settings = excluded.settings,
+          removed_at = NULL,
+          updated_at = excluded.updated_at
+      `, [
+        station.id,
+        station.name,
+        station.url,
+        station.playlistTemplate || null,
+        station.enabled === false ? 0 : 1,
+        JSON.stringify(station.settings || {}),
+        now,
+        now
+      ]);
+    } catch (error) {
+      logger.error(`❌ Error saving station ${station.id}:`, error);
+      throw error;
+    }
+  }
+
+  async markStationRemoved(stationId) {
+    try {
+      const now = new Date().toISOString();
+      const result = await this.db.run(`
+        UPDATE stations
+        SET removed_at = ?, enabled = 0, updated_at = ?
+        WHERE id = ? AND removed_at IS NULL
+      `, [now, now, stationId]);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`❌ Error removing station ${stationId}:`, error);
+      throw error;
+    }
+  }
+
+  // ==================== STATION EVENTS ====================
+
+  async addStationEvent(station, event, detail = null, silentSince = null) {
+    try {
+      await this.db.run(`
+        INSERT INTO station_events (station, event, detail, silent_since, occurred_at)
+        VALUES (?, ?, ?, ?, ?)
+      `, [station, event, detail, silentSince, new Date().toISOString()]);
+    } catch (error) {
+      logger.error('❌ Error recording station event:', error);
+    }
+  }
+
+  async getStationEvents(station, limit = 100) {
+    try {
+      return await this.db.all(`
+        SELECT * FROM station_events
+        WHERE station = ?
+        ORDER BY occurred_at DESC
+        LIMIT ?
+      `, [station, limit]);
+    } catch (error) {
+      logger.error('❌ Error getting station events:', error);
+      return [];
+    }
+  }
+
+  async getStationUptime(hours = 24) {
+    try {
+      const now = Date.now();
+      const sinceMs = now - hours * 60 * 60 * 1000;
+      const since = new Date(sinceMs).toISOString();
+
+      // The last event before the window tells us whether each station started it up or down
+      const [priorEvents, events] = await Promise.all([
+        this.db.all(`
+          SELECT station, event FROM station_events
+          WHERE id IN (SELECT MAX(id) FROM station_events WHERE occurred_at < ? GROUP BY station)
+        `, [since]),
+        this.db.all(`
+          SELECT station, event, silent_since, occurred_at FROM station_events
+          WHERE occurred_at >= ?
+          ORDER BY occurred_at ASC, id ASC
+        `, [since])
+      ]);
+
+      const timelines = {};
+      for (const row of priorEvents) {
+        timelines[row.station] = { prior: row.event, events: [] };
+      }
+      for (const row of events) {
+        if (!timelines[row.station]) {
+          timelines[row.station] = { prior: null, events: [] };
+        }
+        timelines[row.station].events.push(row);
+      }
+
+      const uptime = {};
+      for (const [station, timeline] of Object.entries(timelines)) {
+        // A stall is counted as downtime from the moment the stream went silent
+        const ordered = timeline.events
+          .map(row => ({ ...row, at: Date.parse(row.event.startsWith('stall-') && row.silent_since ? row.silent_since : row.occurred_at) }))
+          .sort((a, b) => a.at - b.at);
+
+        const start = timeline.prior ? sinceMs : (ordered.length > 0 ? Math.max(sinceMs, ordered[0].at) : now);
+        let up = timeline.prior === 'connected';
+        let cursor = start;
+        let upMs = 0;
+
+        for (const row of ordered) {
+          const at = Math.max(cursor, row.at);
+          if (up) {
+            upMs += at - cursor;
+          }
+          cursor = at;
+          up = row.event === 'connected';
+        }
+        if (up) {
+          upMs += now - cursor;
+        }
+
+        const observedMs = now - start;
+        uptime[station] = {
+          uptimePercent: observedMs > 0 ? Math.round(upMs / observedMs * 1000) / 10 : null,
+          upSeconds: Math.round(upMs / 1000),
+          observedSeconds: Math.round(observedMs / 1000),
+          disconnects: timeline.events.filter(row => row.event === 'disconnected').length,
+          stalls: timeline.events.filter(row => row.event.startsWith('stall-')).length
+        };
+      }
+
+      return uptime;
+    } catch (error) {
+      logger.error('❌ Error calculating station uptime:', error);
+      return {};
+    }
+  }
+
+  // ==================== PLAY HISTORY ====================
+
+  async startPlay(play) {
+    try {
+      const result = await this.db.run(`
+        INSERT INTO plays (station, raw_title, artist, title, content_type, started_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [play.station, play.rawTitle || null, play.artist, play.title, play.contentType || 'music', play.startedAt]);
+
+      return result.lastID;
+    } catch (error) {
+      logger.error('❌ Error recording play:', error);
+      return null;
+    }
+  }
+
+  // Returns the ended play (with its duration), or null if it had already ended
+  async endPlay(playId, endedAt) {
+    try {
+      return await this.db.get(`
+        UPDATE plays
+        SET ended_at = ?,
+            duration_seconds = CAST(ROUND((julianday(?) - julianday(started_at)) * 86400) AS INTEGER)
+        WHERE id = ? AND ended_at IS NULL
+        RETURNING *
+      `, [endedAt, endedAt, playId]) || null;
+    } catch (error) {
+      logger.error('❌ Error ending play:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Ends plays a previous run left open. A play ends when its station was next stopped or
+   * disconnected, if that was recorded; otherwise at endedAt, without a duration, since
+   * it's unknown how long it stayed on air. Returns the number of plays closed.
+   */
+  async closeOpenPlays(endedAt) {
+    try {
+      const result = await this.db.run(`
+        UPDATE plays
+        SET ended_at = COALESCE(cut.occurred_at, ?),
+            duration_seconds = CAST(ROUND((julianday(cut.occurred_at) - julianday(plays.started_at)) * 86400) AS INTEGER)
+        FROM (
+          SELECT p.id, (
+            SELECT MIN(e.occurred_at) FROM station_events e
+            WHERE e.station = p.station
+              AND e.event IN ('disconnected', 'stopped')
+              AND e.occurred_at >= p.started_at
+          ) AS occurred_at
+          FROM plays p
+          WHERE p.ended_at IS NULL
+        ) AS cut
+        WHERE plays.id = cut.id
+      `, [endedAt]);
+      return result.changes;
+    } catch (error) {
+      logger.error('❌ Error closing open plays:', error);
+      return 0;
+    }
+  }
+
+  async getPlay(playId) {
+    return await this.db.get('SELECT * FROM plays WHERE id = ?', [playId]);
+  }
+
+  async linkPlayToTrack(playId, spotifyId, spotifyUrl, spotifyDurationMs = null) {
+    try {
+      await this.db.run(
+        'UPDATE plays SET spotify_id = ?, spotify_url = ?, spotify_duration_ms = ? WHERE id = ?',
+        [spotifyId, spotifyUrl, spotifyDurationMs, playId]
+      );
+    } catch (error) {
+      logger.error('❌ Error linking play to Spotify track:', error);
+    }
+  }
+
+  // Whether the station connected, disconnected or stalled after its previous play ended
+  // and before this one did: the play then began or ended partway through its track
+  async hasStationEventsDuringPlay(play) {
+    const row = await this.db.get(`
+      SELECT COUNT(*) AS count FROM station_events
+      WHERE station = ?
+        AND occurred_at <= ?
+        AND occurred_at > COALESCE((
+          SELECT ended_at FROM plays
+          WHERE station = ? AND id < ?
+          ORDER BY id DESC
+          LIMIT 1
+        ), '')
+    `, [play.station, play.ended_at, play.station, play.id]);
+    return row.count > 0;
+  }
+
+  // Records the outcome of the play's duration check; false if it was already checked
+  async setPlayDurationCheck(playId, result) {
+    const outcome = await this.db.run(
+      'UPDATE plays SET duration_check = ? WHERE id = ? AND duration_check IS NULL',
+      [result, playId]
+    );
+    return outcome.changes > 0;
+  }
+
+  async getPlays(limit = 100, offset = 0, station = null) {
+    try {
+      return await this.db.all(`
+        SELECT * FROM plays
+        ${station ? 'WHERE station = ?' : ''}
+        ORDER BY started_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `, station ? [station, limit, offset] : [limit, offset]);
+    } catch (error) {
+      logger.error('❌ Error getting plays:', error);
+      return [];
+    }
+  }
+
+  // Plays of a song that were never resolved, e.g. while it waited for review
+  async linkUnresolvedPlays(station, artist, title, spotifyId, spotifyUrl, spotifyDurationMs = null) {
+    try {
+      const result = await this.db.run(
+        'UPDATE plays SET spotify_id = ?, spotify_url = ?, spotify_duration_ms = ? WHERE station = ? AND artist = ? AND title = ? AND spotify_id IS NULL',
+        [spotifyId, spotifyUrl, spotifyDurationMs, station, artist, title]
+      );
+      return result.changes;
+    } catch (error) {
+      logger.error('❌ Error linking plays to Spotify track:', error);
+      return 0;
+    }
+  }
+
+  async getPlaysCount(station = null) {
+    try {
+      const result = await this.db.get(
+        `SELECT COUNT(*) as count FROM plays ${station ? 'WHERE station = ?' : ''}`,
+        station ? [station] : []
+      );
+      return result.count;
+    } catch (error) {
+      logger.error('❌ Error getting plays count:', error);
+      return 0;
+    }
+  }
+
+  // Most played tracks over the last N days, with how often they come round
+  async getTopPlays(days = 7, limit = 50, station = null) {
+    try {
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+      return await this.db.all(`
+        SELECT 
+          artist,
+          title,
+          MAX(spotify_id) as spotify_id,
+          MAX(spotify_url) as spotify_url,
+          MAX(content_type) as content_type,
+          COUNT(*) as play_count,
+          COUNT(DISTINCT station) as station_count,
+          GROUP_CONCAT(DISTINCT station) as stations,
+          MIN(started_at) as first_played,
+          MAX(started_at) as last_played,
+          ROUND(AVG(duration_seconds)) as avg_duration_seconds,
+          CASE WHEN COUNT(*) > 1
+            THEN ROUND((julianday(MAX(started_at)) - julianday(MIN(started_at))) * 24 / (COUNT(*) - 1), 1)
+          END as avg_hours_between_plays
+        FROM plays
+        WHERE started_at >= ? ${station ? 'AND station = ?' : ''}
+        GROUP BY LOWER(artist), LOWER(title)
+        ORDER BY play_count DESC, last_played DESC
+        LIMIT ?
+      `, station ? [since, station, limit] : [since, limit]);
+    } catch (error) {
+      logger.error('❌ Error getting top plays:', error);
+      return [];
+    }
+  }
+
+  // Airtime per station and content type (music, jingle, ad, talk, station-id)
+  async getAirtimeByContentType(days = 7, station = null) {
+    try {
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+      return await this.db.all(`
+        SELECT 
+          station,
+          content_type,
+          COUNT(*) as play_count,
+          COALESCE(SUM(duration_seconds), 0) as seconds
+        FROM plays
+        WHERE started_at >= ? ${station ? 'AND station = ?' : ''}
+        GROUP BY station, content_type
+        ORDER BY station, seconds DESC
+      `, station ? [since, station] : [since]);
+    } catch (error) {
+      logger.error('❌ Error getting airtime by content type:', error);
+      return [];
+    }
+  }
+
+  // ==================== CROSS-STATION TRACKS ====================
+
+  async recordTrackStation(spotifyId, station, playedAt = new Date().toISOString()) {
+    try {
+      // A retried track job records the same play again; it only counts once
+      await this.db.run(`
+        INSERT INTO track_stations (spotify_id, station, first_played_at, last_played_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(spotify_id, station) DO UPDATE SET
+          last_played_at = excluded.last_played_at,
+          play_count = play_count + (CASE WHEN last_played_at = excluded.last_played_at THEN 0 ELSE 1 END)
+      `, [spotifyId, station, playedAt, playedAt]);
+    } catch (error) {
+      logger.error('❌ Error recording track station:', error);
+    }
+  }
+
+  async markTrackAddedToStation(spotifyId, station, identity = {}) {
+    try {
+      const now = new Date().toISOString();
+      await this.db.run(`
+        INSERT INTO track_stations (spotify_id, station, first_played_at, last_played_at, play_count, added_to_playlist, added_at, isrc, recording_key)
+        VALUES (?, ?, ?, ?, 0, 1, ?, ?, ?)
+        ON CONFLICT(spotify_id, station) DO UPDATE SET
+          added_to_playlist = 1,
+          added_at = COALESCE(added_at, excluded.added_at),
+          isrc = COALESCE(excluded.isrc, isrc),
+          recording_key = COALESCE(excluded.recording_key, recording_key)
+      `, [spotifyId, station, now, now, now, identity.isrc || null, identity.recordingKey || null]);
+    } catch (error) {
+      logger.error('❌ Error marking track as added to station:', error);
+    }
+  }
+
+  // Tracks added before per-station tracking only have their matched_tracks row (keyed by
+  // station name). With an identity ({ isrc, recordingKey }), other releases of the same
+  // recording count as well.
+  async isTrackInStationPlaylist(spotifyId, stationId, stationName, identity = {}) {
+    try {
+      const isrc = identity.isrc || null;
+      const recordingKey = identity.recordingKey || null;
+      const result = await this.db.get(`
+        SELECT 1 FROM track_stations
+        WHERE station = ? AND added_to_playlist = 1 AND (spotify_id = ? OR isrc = ? OR recording_key = ?)
+        UNION ALL
+        SELECT 1 FROM matched_tracks WHERE station = ? AND (spotify_id = ? OR isrc = ? OR recording_key = ?)
+        LIMIT 1
+      `, [stationId, spotifyId, isrc, recordingKey, stationName, spotifyId, isrc, recordingKey]);
+      return !!result;
+    } catch (error) {
+      logger.error('❌ Error checking station playlist for track:', error);
+      return false; // Fail safe - allow addition rather than miss it
+    }
+  }
+
+  // Takes a station's match back (a reviewer replaced or rejected it): its playlist record,
+  // the matched row unless another station's playlist still has the track, and the song's
+  // plays on the station, which can then be linked to another track
+  async unlinkMatchedTrack(spotifyId, stationId, stationName, artist, title) {
+    await this.db.run('DELETE FROM track_stations WHERE spotify_id = ? AND station = ?', [spotifyId, stationId]);
+    await this.db.run(`
+      DELETE FROM matched_tracks
+      WHERE spotify_id = ? AND station = ?
+        AND NOT EXISTS (SELECT 1 FROM track_stations WHERE spotify_id = ? AND added_to_playlist = 1)
+    `, [spotifyId, stationName, spotifyId]);
+    await this.db.run(`
+      UPDATE plays SET spotify_id = NULL, spotify_url = NULL, spotify_duration_ms = NULL
+      WHERE station = ? AND artist = ? AND title = ? AND spotify_id = ?
+    `, [stationId, artist, title, spotifyId]);
+  }
+
+  async getTrackStations(spotifyId) {
+    try {
+      return await this.db.all(`
+        SELECT station, first_played_at, last_played_at, play_count, added_to_playlist, added_at
+        FROM track_stations
+        WHERE spotify_id = ?
+        ORDER BY first_played_at
+      `, [spotifyId]);
+    } catch (error) {
+      logger.error('❌ Error getting track stations:', error);
+      return [];
+    }
+  }
+
+  // Tracks played on more than one station, most widely played first
+  async getCrossStationTracks(days = 7, limit = 50) {
+    try {
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+      return await this.db.all(`
+        SELECT 
+          ts.spotify_id,
+          m.spotify_artist,
+          m.spotify_title,
+          m.spotify_url,
+          COUNT(*) as station_count,
+          GROUP_CONCAT(ts.station) as stations,
+          GROUP_CONCAT(CASE WHEN ts.added_to_playlist = 1 THEN ts.station END) as added_to,
+          SUM(ts.play_count) as play_count,
+          MIN(ts.first_played_at) as first_played,
+          MAX(ts.last_played_at) as last_played
+        FROM track_stations ts
+        LEFT JOIN matched_tracks m ON m.spotify_id = ts.spotify_id
+        WHERE ts.last_played_at >= ?
+        GROUP BY ts.spotify_id
+        HAVING COUNT(*) > 1
+        ORDER BY station_count DESC, play_count DESC
+        LIMIT ?
+      `, [since, limit]);
+    } catch (error) {
+      logger.error('❌ Error getting cross-station tracks:', error);
+      return [];
+    }
+  }
+
+  // ==================== REVIEW QUEUE ====================
+
+  // Queues a near-miss for review. A song already waiting on the same station gets its
+  // sighting counted and its candidates refreshed instead of a second entry.
+  async addPendingReview(item) {
+    try {
+      const now = new Date().toISOString();
+      const candidates = JSON.stringify(item.candidates);
+      const scoreDetails = item.scoreDetails ? JSON.stringify(item.scoreDetails) : null;
+
+      const existing = await this.db.get(
+        "SELECT id FROM pending_review WHERE song_key = ? AND station_id = ? AND status = 'pending'",
+        [item.songKey, item.stationId]
+      );
+      if (existing) {
+        await this.db.run(`
+          UPDATE pending_review
+          SET candidates = ?, best_match_percentage = ?, score_details = ?, seen_count = seen_count + 1, last_seen_at = ?
+          WHERE id = ?
+        `, [candidates, item.percentage, scoreDetails, now, existing.id]);
+        return { id: existing.id, created: false };
+      }
+
+      const result = await this.db.run(`
+        INSERT INTO pending_review (
+          song_key, station, station_id, radio_artist, radio_title, radio_original, play_id,
+          reason, matched_spotify_id, candidates, best_match_percentage, score_details, last_seen_at, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        item.songKey,
+        item.station,
+        item.stationId,
+        item.metadata.artist,
+        item.metadata.title,
+        item.metadata.original,
+        item.metadata.playId || null,
+        item.reason || 'near_miss',
+        item.matchedSpotifyId || null,
+        candidates,
+        item.percentage,
+        scoreDetails,
+        now,
+        now
+      ]);
+      return { id: result.lastID, created: true };
+    } catch (error) {
+      logger.error('❌ Error adding track to review queue:', error);
+      throw error;
+    }
+  }
+
+  async getPendingReviews(status = 'pending', limit = 100, offset = 0, stationId = null) {
+    try {
+      const params = [status];
+      if (stationId) {
+        params.push(stationId);
+      }
+      params.push(limit, offset);
+
+      return await this.db.all(`
+        SELECT * FROM pending_review
+        WHERE status = ? ${stationId ? 'AND station_id = ?' : ''}
+        ORDER BY ${status === 'pending' ? 'created_at ASC' : 'reviewed_at DESC'}
+        LIMIT ? OFFSET ?
+      `, params);
+    } catch (error) {
+      logger.error('❌ Error getting review queue:', error);
+      return [];
+    }
+  }
+
+  async getPendingReview(id) {
+    return await this.db.get('SELECT * FROM pending_review WHERE id = ?', [id]);
+  }
+
+  async getPendingReviewCounts() {
+    try {
+      const rows = await this.db.all('SELECT status, COUNT(*) as count FROM pending_review GROUP BY status');
+      const counts = { pending: 0, approved: 0, rejected: 0 };
+      rows.forEach(row => {
+        counts[row.status] = row.count;
+      });
+      return counts;
+    } catch (error) {
+      logger.error('❌ Error getting review queue counts:', error);
+      return { pending: 0, approved: 0, rejected: 0 };
+    }
+  }
+
+  async resolvePendingReview(id, status, chosenSpotifyId = null) {
+    await this.db.run(
+      'UPDATE pending_review SET status = ?, chosen_spotify_id = ?, reviewed_at = ? WHERE id = ?',
+      [status, chosenSpotifyId, new Date().toISOString(), id]
+    );
+  }
+
+  async getPendingReviewsForSong(songKey) {
+    return await this.db.all("SELECT * FROM pending_review WHERE song_key = ? AND status = 'pending'", [songKey]);
+  }
+
+  async recordReviewDecision(songKey, spotifyId, decision, reviewId = null) {
+    await this.db.run(`
+      INSERT INTO review_decisions (song_key, spotify_id, decision, review_id, decided_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(song_key, spotify_id) DO UPDATE SET
+        decision = excluded.decision,
+        review_id = excluded.review_id,
+        decided_at = excluded.decided_at
+    `, [songKey, spotifyId, decision, reviewId, new Date().toISOString()]);
+  }
+
+  // { approved: Set, rejected: Set } of Spotify IDs decided for a song
+  async getReviewDecisions(songKey) {
+    const decisions = { approved: new Set(), rejected: new Set() };
+    try {
+      const rows = await this.db.all('SELECT spotify_id, decision FROM review_decisions WHERE song_key = ?', [songKey]);
+      rows.forEach(row => {
+        if (decisions[row.decision]) {
+          decisions[row.decision].add(row.spotify_id);
+        }
+      });
+    } catch (error) {
+      logger.error('❌ Error getting review decisions:', error);
+    }
+    return decisions;
+  }
+
+  // ==================== MATCH OVERRIDES ====================
+
+  // One override per song: saving again replaces the answer
+  async saveMatchOverride(override) {
+    const now = new Date().toISOString();
+    await this.db.run(`
+      INSERT INTO match_overrides (song_key, radio_artist, radio_title, spotify_id, spotify_track, never_match, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(song_key) DO UPDATE SET
+        radio_artist = excluded.radio_artist,
+        radio_title = excluded.radio_title,
+        spotify_id = excluded.spotify_id,
+        spotify_track = excluded.spotify_track,
+        never_match = excluded.never_match,
+        updated_at = excluded.updated_at
+    `, [
+      override.songKey,
+      override.artist,
+      override.title,
+      override.spotifyId || null,
+      override.track ? JSON.stringify(override.track) : null,
+      override.neverMatch ? 1 : 0,
+      now,
+      now
+    ]);
+    return await this.db.get('SELECT * FROM match_overrides WHERE song_key = ?', [override.songKey]);
+  }
+
+  async getMatchOverride(songKey) {
+    try {
+      return await this.db.get('SELECT * FROM match_overrides WHERE song_key = ?', [songKey]);
+    } catch (error) {
+      logger.error('❌ Error getting match override:', error);
+      return null;
+    }
+  }
+
+  async getMatchOverrides(limit = 100, offset = 0) {
+    try {
+      return await this.db.all('SELECT * FROM match_overrides ORDER BY updated_at DESC LIMIT ? OFFSET ?', [limit, offset]);
+    } catch (error) {
+      logger.error('❌ Error getting match overrides:', error);
+      return [];
+    }
+  }
+
+  async deleteMatchOverride(id) {
+    const result = await this.db.run('DELETE FROM match_overrides WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // ==================== SEARCH CACHE ====================
+
+  // Unexpired cached results for a query, or undefined
+  async getCachedSearch(cacheKey) {
+    return await this.db.get(
+      'SELECT * FROM search_cache WHERE cache_key = ? AND expires_at > ?',
+      [cacheKey, new Date().toISOString()]
+    );
+  }
+
+  async saveCachedSearch(entry) {
+    await this.db.run(`
+      INSERT INTO search_cache (cache_key, query, market, results, result_count, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(cache_key) DO UPDATE SET
+        results = excluded.results,
+        result_count = excluded.result_count,
+        hit_count = 0,
+        last_hit_at = NULL,
+        created_at = excluded.created_at,
+        expires_at = excluded.expires_at
+    `, [
+      entry.cacheKey,
+      entry.query,
+      entry.market || null,
+      JSON.stringify(entry.results),
+      entry.results.length,
+      entry.createdAt,
+      entry.expiresAt
+    ]);
+  }
+
+  async recordCachedSearchHit(cacheKey) {
+    await this.db.run(
+      'UPDATE search_cache SET hit_count = hit_count + 1, last_hit_at = ? WHERE cache_key = ?',
+      [new Date().toISOString(), cacheKey]
+    );
+  }
+
+  async pruneSearchCache() {
+    const result = await this.db.run('DELETE FROM search_cache WHERE expires_at <= ?', [new Date().toISOString()]);
+    return result.changes;
+  }
+
+  async clearSearchCache() {
+    const result = await this.db.run('DELETE FROM search_cache');
+    return result.changes;
+  }
+
+  async getSearchCacheStats() {
+    try {
+      const row = await this.db.get(`
+        SELECT
+          COUNT(*) as entries,
+          SUM(CASE WHEN result_count = 0 THEN 1 ELSE 0 END) as negativeEntries,
+          COALESCE(SUM(hit_count), 0) as hits,
+          MIN(created_at) as oldestEntry
+        FROM search_cache
+        WHERE expires_at > ?
+      `, [new Date().toISOString()]);
+      return { ...row, negativeEntries: row.negativeEntries || 0 };
+    } catch (error) {
+      logger.error('❌ Error getting search cache stats:', error);
+      return { entries: 0, negativeEntries: 0, hits: 0, oldestEntry: null };
+    }
+  }
+
+  // ==================== TRACK JOBS ====================
+
+  async addTrackJob(job) {
+    const now = new Date().toISOString();
+    const result = await this.db.run(`
+      INSERT INTO track_jobs (
+        station, station_name, artist, title, original, play_id, correlation_id, detected_at,
+        next_attempt_at, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      job.station,
+      job.stationName,
+      job.artist,
+      job.title,
+      job.original || null,
+      job.playId || null,
+      job.correlationId || null,
+      job.detectedAt,
+      now,
+      now,
+      now
+    ]);
+    return result.lastID;
+  }
+
+  // Takes the oldest pending job that is due and marks it in progress, in one statement
+  // so two workers can never claim the same job
+  async claimTrackJob() {
+    const now = new Date().toISOString();
+    return await this.db.get(`
+      UPDATE track_jobs
+      SET status = 'in_progress', attempts = attempts + 1, updated_at = ?
+      WHERE id = (
+        SELECT id FROM track_jobs
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY id
+        LIMIT 1
+      )
+      RETURNING *
+    `, [now, now]);
+  }
+
+  async completeTrackJob(id) {
+    await this.db.run(
+      "UPDATE track_jobs SET status = 'done', last_error = NULL, updated_at = ? WHERE id = ?",
+      [new Date().toISOString(), id]
+    );
+  }
+
+  async rescheduleTrackJob(id, nextAttemptAt, error) {
+    await this.db.run(
+      "UPDATE track_jobs SET status = 'pending', next_attempt_at = ?, last_error = ?, updated_at = ? WHERE id = ?",
+      [nextAttemptAt, error, new Date().toISOString(), id]
+    );
+  }
+
+  async failTrackJob(id, error) {
+    await this.db.run(
+      "UPDATE track_jobs SET status = 'failed', last_error = ?, updated_at = ? WHERE id = ?",
+      [error, new Date().toISOString(), id]
+    );
+  }
+
+  // Jobs left in progress by a crash or an unfinished shutdown go back in the queue
+  async requeueInProgressTrackJobs() {
+    const result = await this.db.run(
+      "UPDATE track_jobs SET status = 'pending', updated_at = ? WHERE status = 'in_progress'",
+      [new Date().toISOString()]
+    );
+    return result.changes;
+  }
+
+  async pruneTrackJobs(olderThan) {
+    const result = await this.db.run(
+      "DELETE FROM track_jobs WHERE status IN ('done', 'failed') AND updated_at < ?",
+      [olderThan]
+    );
+    return result.changes;
+  }
+
+  async getTrackJobCounts() {
+    try {
+      const rows = await this.db.all('SELECT status, COUNT(*) as count, MIN(created_at) as oldest FROM track_jobs GROUP BY status');
+      const counts = { pending: 0, in_progress: 0, done: 0, failed: 0, oldestPendingAt: null };
+      rows.forEach(row => {
+        counts[row.status] = row.count;
+        if (row.status === 'pending') {
+          counts.oldestPendingAt = row.oldest;
+        }
+      });
+      return counts;
+    } catch (error) {
+      logger.error('❌ Error getting track job counts:', error);
+      return { pending: 0, in_progress: 0, done: 0, failed: 0, oldestPendingAt: null };
+    }
+  }
+
   // ==================== STATISTICS ====================
   
   async updateDailyStats(station, type, matchPercentage = null) {
@@ -402,6 +1274,9 @@ class DatabaseService {
         DELETE FROM unmatched_tracks;
         DELETE FROM stats;
         DELETE FROM playlists;
+        DELETE FROM plays;
+        DELETE FROM track_stations;
+        DELETE FROM pending_review;
       `);
       
       logger.info('✅ All database data cleared');
@@ -414,11 +1289,12 @@ class DatabaseService {
 
   async getSystemStats() {
     try {
-      const [matchedCount, unmatchedCount, playlistCount, statsCount] = await Promise.all([
+      const [matchedCount, unmatchedCount, playlistCount, statsCount, playsCount] = await Promise.all([
         this.db.get('SELECT COUNT(*) as count FROM matched_tracks'),
         this.db.get('SELECT COUNT(*) as count FROM unmatched_tracks'),
         this.db.get('SELECT COUNT(*) as count FROM playlists'),
-        this.db.get('SELECT COUNT(*) as count FROM stats')
+        this.db.get('SELECT COUNT(*) as count FROM stats'),
+        this.db.get('SELECT COUNT(*) as count FROM plays')
       ]);
       
       return {
@@ -426,6 +1302,7 @@ class DatabaseService {
         unmatched_tracks: unmatchedCount.count,
         playlists: playlistCount.count,
         daily_stats: statsCount.count,
+        plays: playsCount.count,
         database_size: await this.getDatabaseSize()
       };
     } catch (error) {
@@ -454,6 +1331,67 @@ class DatabaseService {
   }
 
   // ==================== MIGRATION HELPERS ====================
+
+  // Adds columns introduced after a table was first created (CREATE TABLE IF NOT EXISTS won't)
+  async migrateSchema() {
+    const columns = [
+      ['plays', 'content_type', "TEXT NOT NULL DEFAULT 'music'"],
+      ['matched_tracks', 'score_details', 'TEXT'],
+      ['unmatched_tracks', 'score_details', 'TEXT'],
+      ['plays', 'spotify_duration_ms', 'INTEGER'],
+      ['plays', 'duration_check', 'TEXT'],
+      ['pending_review', 'reason', "TEXT NOT NULL DEFAULT 'near_miss'"],
+      ['pending_review', 'matched_spotify_id', 'TEXT'],
+      ['matched_tracks', 'isrc', 'TEXT'],
+      ['matched_tracks', 'recording_key', 'TEXT'],
+      ['track_stations', 'isrc', 'TEXT'],
+      ['track_stations', 'recording_key', 'TEXT']
+    ];
+
+    for (const [table, column, definition] of columns) {
+      const existing = await this.db.all(`PRAGMA table_info(${table})`);
+      if (!existing.some(row => row.name === column)) {
+        await this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        logger.info(`🔧 Added column ${table}.${column}`);
+      }
+    }
+
+    // Indexes on added columns can only be created once the columns exist
+    await this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_matched_tracks_isrc ON matched_tracks(isrc);
+      CREATE INDEX IF NOT EXISTS idx_matched_tracks_recording_key ON matched_tracks(recording_key);
+    `);
+
+    await this.backfillRecordingKeys();
+  }
+
+  // Tracks matched before recording keys were stored get theirs from the matched artist and
+  // title, so duplicate checks see them. Their ISRCs would take Spotify; the key covers them.
+  async backfillRecordingKeys() {
+    const rows = await this.db.all('SELECT id, spotify_artist, spotify_title FROM matched_tracks WHERE recording_key IS NULL');
+    if (rows.length === 0) {
+      return;
+    }
+
+    await this.db.exec('BEGIN');
+    try {
+      for (const row of rows) {
+        await this.db.run('UPDATE matched_tracks SET recording_key = ? WHERE id = ?', [recordingKey(row.spotify_artist, row.spotify_title), row.id]);
+      }
+      await this.db.run(`
+        UPDATE track_stations
+        SET recording_key = (
+          SELECT recording_key FROM matched_tracks WHERE matched_tracks.spotify_id = track_stations.spotify_id
+        )
+        WHERE recording_key IS NULL
+      `);
+      await this.db.exec('COMMIT');
+    } catch (error) {
+      await this.db.exec('ROLLBACK');
+      throw error;
+    }
+    logger.info(`🔧 Stored the recording key of ${rows.length} matched tracks`);
+  }
   
   async migrateFromFileData(spotifyDataPath) {
     try {
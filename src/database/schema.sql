@@ -17,9 +17,14 @@ CREATE TABLE IF NOT EXISTS matched_tracks (
     spotify_title TEXT NOT NULL,
     spotify_url TEXT,
     
+    -- Recording identity, shared by the same recording's other releases (see utils/recording.js)
+    isrc TEXT,
+    recording_key TEXT, -- Normalized primary artist|title of the Spotify track
+    
     -- Match quality and playlist info
     match_percentage INTEGER NOT NULL,
     playlist_name TEXT NOT NULL,
+    score_details TEXT, -- JSON: scoring settings, winning breakdown and runners-up
     
     -- Additional metadata
     added_at TEXT NOT NULL,
@@ -44,6 +49,7 @@ CREATE TABLE IF NOT EXISTS unmatched_tracks (
     best_spotify_title TEXT,
     best_spotify_id TEXT,
     best_match_percentage INTEGER DEFAULT 0,
+    score_details TEXT, -- JSON: scoring settings, best candidate's breakdown and runners-up
     
     -- Failure reason
     reason TEXT NOT NULL,
@@ -67,6 +73,180 @@ CREATE TABLE IF NOT EXISTS playlists (
     updated_at TEXT NOT NULL
 );
 
+-- Table to store the station registry (seeded from config/stations.json)
+CREATE TABLE IF NOT EXISTS stations (
+    id TEXT PRIMARY KEY, -- Short lowercase key, e.g. 'main'
+    name TEXT NOT NULL,
+    stream_url TEXT NOT NULL,
+    playlist_template TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    
+    -- Extra per-station options as JSON
+    settings TEXT,
+    
+    -- Removed stations are kept so the config seed does not bring them back
+    removed_at TEXT,
+    
+    -- Metadata
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- Table to record station connection history (connects, disconnects, stalls)
+CREATE TABLE IF NOT EXISTS station_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    station TEXT NOT NULL,
+    event TEXT NOT NULL, -- connected, disconnected, stopped, stall-no-data, stall-no-metadata
+    detail TEXT,
+    
+    -- For stalls: when the stream last showed signs of life
+    silent_since TEXT,
+    
+    occurred_at TEXT NOT NULL
+);
+
+-- Table to store every track change seen on a station (full play history)
+CREATE TABLE IF NOT EXISTS plays (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    station TEXT NOT NULL, -- Station ID
+    
+    -- Radio metadata as received and as parsed
+    raw_title TEXT,
+    artist TEXT NOT NULL,
+    title TEXT NOT NULL,
+    content_type TEXT NOT NULL DEFAULT 'music', -- music, jingle, ad, talk, station-id
+    
+    -- When the track was on air; ended_at is set when the next track change arrives
+    started_at TEXT NOT NULL,
+    ended_at TEXT,
+    duration_seconds INTEGER,
+    
+    -- Resolved Spotify track (if any)
+    spotify_id TEXT,
+    spotify_url TEXT,
+    spotify_duration_ms INTEGER,
+    
+    -- consistent or mismatch, once the play's duration was compared with the track's;
+    -- interrupted when the station's connection broke into the play
+    duration_check TEXT
+);
+
+-- Table to store which stations played each resolved Spotify track
+CREATE TABLE IF NOT EXISTS track_stations (
+    spotify_id TEXT NOT NULL,
+    station TEXT NOT NULL, -- Station ID
+    
+    first_played_at TEXT NOT NULL,
+    last_played_at TEXT NOT NULL,
+    play_count INTEGER NOT NULL DEFAULT 1,
+    
+    -- Set once the track is in this station's playlist (see CROSS_STATION_POLICY)
+    added_to_playlist INTEGER NOT NULL DEFAULT 0,
+    added_at TEXT,
+    isrc TEXT,
+    recording_key TEXT,
+    
+    PRIMARY KEY (spotify_id, station)
+);
+
+-- Table to store near-miss matches waiting for a person to approve or reject them
+CREATE TABLE IF NOT EXISTS pending_review (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    song_key TEXT NOT NULL, -- Normalized artist|title, shared by every station
+    station TEXT NOT NULL, -- Station name
+    station_id TEXT NOT NULL,
+    
+    -- Original radio metadata
+    radio_artist TEXT NOT NULL,
+    radio_title TEXT NOT NULL,
+    radio_original TEXT,
+    play_id INTEGER, -- First play that queued it
+    
+    -- near_miss, or duration for a match that contradicted how long the play lasted
+    reason TEXT NOT NULL DEFAULT 'near_miss',
+    matched_spotify_id TEXT, -- The track the song was matched to (duration flags)
+    
+    -- Top Spotify candidates as JSON [{ track, similarity, breakdown }], best first
+    candidates TEXT NOT NULL,
+    best_match_percentage INTEGER DEFAULT 0,
+    score_details TEXT,
+    
+    -- pending, approved or rejected
+    status TEXT NOT NULL DEFAULT 'pending',
+    chosen_spotify_id TEXT,
+    reviewed_at TEXT,
+    
+    -- Sightings while the item waits
+    seen_count INTEGER NOT NULL DEFAULT 1,
+    last_seen_at TEXT NOT NULL,
+    created_at TEXT NOT NULL
+);
+
+-- Table to store review decisions, which later matching of the same song follows
+CREATE TABLE IF NOT EXISTS review_decisions (
+    song_key TEXT NOT NULL,
+    spotify_id TEXT NOT NULL,
+    decision TEXT NOT NULL, -- approved or rejected
+    review_id INTEGER,
+    decided_at TEXT NOT NULL,
+    
+    PRIMARY KEY (song_key, spotify_id)
+);
+
+-- Table to store permanent answers for songs Spotify search gets wrong
+CREATE TABLE IF NOT EXISTS match_overrides (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    song_key TEXT NOT NULL UNIQUE, -- Normalized artist|title, shared by every station
+    
+    -- Radio metadata the override was created from
+    radio_artist TEXT NOT NULL,
+    radio_title TEXT NOT NULL,
+    
+    -- The track to use, or never_match = 1 to never match the song
+    spotify_id TEXT,
+    spotify_track TEXT, -- JSON: the track as Spotify returned it
+    never_match INTEGER NOT NULL DEFAULT 0,
+    
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- Spotify search results, so repeated sightings and re-scoring don't search again
+CREATE TABLE IF NOT EXISTS search_cache (
+    cache_key TEXT PRIMARY KEY, -- Normalized query|market
+    query TEXT NOT NULL,
+    market TEXT,
+    results TEXT NOT NULL, -- JSON: the tracks Spotify returned (trimmed), [] for no results
+    result_count INTEGER NOT NULL DEFAULT 0,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    last_hit_at TEXT,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+);
+
+-- Durable queue of detected track changes waiting to be matched on Spotify
+CREATE TABLE IF NOT EXISTS track_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    station TEXT NOT NULL, -- Station ID
+    station_name TEXT NOT NULL,
+    
+    -- The track change, as published in track.changed
+    artist TEXT NOT NULL,
+    title TEXT NOT NULL,
+    original TEXT,
+    play_id INTEGER,
+    correlation_id TEXT,
+    detected_at TEXT NOT NULL,
+    
+    status TEXT NOT NULL DEFAULT 'pending', -- pending, in_progress, done, failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT NOT NULL,
+    last_error TEXT,
+    
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
 -- Table to track application statistics
 CREATE TABLE IF NOT EXISTS stats (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -100,6 +280,21 @@ CREATE INDEX IF NOT EXISTS idx_unmatched_tracks_retry ON unmatched_tracks(retry_
 
 CREATE INDEX IF NOT EXISTS idx_stats_date_station ON stats(date, station);
 
+CREATE INDEX IF NOT EXISTS idx_station_events_station_time ON station_events(station, occurred_at);
+
+CREATE INDEX IF NOT EXISTS idx_plays_station_time ON plays(station, started_at);
+CREATE INDEX IF NOT EXISTS idx_plays_started_at ON plays(started_at);
+CREATE INDEX IF NOT EXISTS idx_plays_spotify_id ON plays(spotify_id);
+
+CREATE INDEX IF NOT EXISTS idx_track_stations_station ON track_stations(station);
+
+CREATE INDEX IF NOT EXISTS idx_pending_review_status ON pending_review(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_pending_review_song ON pending_review(song_key, station_id);
+
+CREATE INDEX IF NOT EXISTS idx_search_cache_expires ON search_cache(expires_at);
+
+CREATE INDEX IF NOT EXISTS idx_track_jobs_status ON track_jobs(status, next_attempt_at);
+
 -- Views for easy reporting
 CREATE VIEW IF NOT EXISTS daily_summary AS
 SELECT 
@@ -0,0 +1,330 @@
+// Local ICY server for developing without internet access. Serves an endless stream per
+// mount with icy-metaint metadata, rotates titles from a scripted playlist and simulates
+// disconnects, stalls, malformed titles and HTTP errors, either on the schedule in the
+// scenario file (config/fake-radio.json) or on demand:
+//
+//   curl -X POST http://localhost:8000/_control/main/next
+//   curl -X POST http://localhost:8000/_control/main/disconnect
+//   curl -X POST 'http://localhost:8000/_control/main/stall?duration=90'
+//   curl -X POST http://localhost:8000/_control/main/resume
+//   curl -X POST http://localhost:8000/_control/main/malformed
+//   curl -X POST 'http://localhost:8000/_control/main/http-error?status=503&count=3'
+//
+// Runs inside the app with `npm run start:fake`, or on its own with `npm run fake-radio`.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/fake-radio.json');
+const DEFAULT_PORT = 8000;
+const DEFAULT_METAINT = 8192;
+const DEFAULT_BITRATE = 32; // kbps
+const DEFAULT_TRACK_DURATION = 30; // seconds
+const CHUNK_INTERVAL = 250; // ms between audio writes
+const FAULT_TYPES = ['disconnect', 'stall', 'malformed', 'http-error'];
+
+// Metadata blocks a sloppy or broken encoder might send
+const MALFORMED_BLOCKS = [
+  "StreamTitle='Unterminated Artist - Unterminated Title",
+  "StreamTitle=;",
+  "StreamTitle='';",
+  "StreamTitle=' - ';",
+  "StreamTitle='\u0000\u0000\u0000';",
+  'Artist Without Key - Title Without Key',
+  "StreamTitle='Artist - Title';StreamUrl='http://example.com/'"
+];
+
+function toMetadataText(entry) {
+  // Playlist entries are plain titles, or { raw } for an exact metadata block
+  if (typeof entry === 'string') {
+    return `StreamTitle='${entry.replace(/'/g, '’')}';`;
+  }
+  return entry.raw;
+}
+
+function encodeMetadata(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  const blocks = Math.min(255, Math.ceil(bytes.length / 16));
+  const block = Buffer.alloc(1 + blocks * 16);
+  block[0] = blocks;
+  bytes.copy(block, 1, 0, blocks * 16);
+  return block;
+}
+
+class FakeMount {
+  constructor(id, settings = {}) {
+    if (!Array.isArray(settings.titles) || settings.titles.length === 0) {
+      throw new Error(`Mount ${id} needs a non-empty "titles" list`);
+    }
+    for (const fault of settings.faults || []) {
+      if (!FAULT_TYPES.includes(fault.type)) {
+        throw new Error(`Mount ${id} has unknown fault type "${fault.type}" (use ${FAULT_TYPES.join(', ')})`);
+      }
+    }
+
+    this.id = id;
+    this.name = settings.name || `Fake ${id}`;
+    this.titles = settings.titles;
+    this.trackDuration = (settings.trackDuration || DEFAULT_TRACK_DURATION) * 1000;
+    this.metaint = settings.metaint || DEFAULT_METAINT;
+    this.chunkSize = Math.round((settings.bitrate || DEFAULT_BITRATE) * 1000 / 8 * CHUNK_INTERVAL / 1000);
+    this.silence = Buffer.alloc(this.chunkSize);
+    this.faults = settings.faults || [];
+
+    this.index = 0;
+    this.listeners = new Set();
+    this.stalledUntil = null; // null = streaming, 0 = stalled until resumed
+    this.failures = []; // { status, remaining } for upcoming connections
+    this.timers = [];
+  }
+
+  get currentTitle() {
+    return this.titles[this.index % this.titles.length];
+  }
+
+  start() {
+    this.timers.push(setInterval(() => this.next(), this.trackDuration));
+    for (const fault of this.faults) {
+      if (fault.every) {
+        this.timers.push(setInterval(() => this.trigger(fault.type, fault), fault.every * 1000));
+      }
+    }
+    logger.info(`🎵 ${this.id} now playing: ${toMetadataText(this.currentTitle)}`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.listeners.forEach(listener => listener.res.destroy());
+  }
+
+  next() {
+    this.index++;
+    logger.info(`🎵 ${this.id} now playing: ${toMetadataText(this.currentTitle)}`);
+  }
+
+  trigger(type, options = {}) {
+    switch (type) {
+      case 'disconnect':
+        logger.warn(`🔌 ${this.id}: dropping ${this.listeners.size} listener(s)`);
+        this.listeners.forEach(listener => listener.res.destroy());
+        break;
+      case 'stall': {
+        const duration = options.duration !== undefined ? Number(options.duration) : 60;
+        this.stalledUntil = duration > 0 ? Date.now() + duration * 1000 : 0;
+        logger.warn(`🧊 ${this.id}: stalling ${duration > 0 ? `for ${duration}s` : 'until resumed'}`);
+        break;
+      }
+      case 'resume':
+        this.stalledUntil = null;
+        logger.info(`▶️ ${this.id}: resuming`);
+        break;
+      case 'malformed': {
+        const text = options.raw || MALFORMED_BLOCKS[Math.floor(Math.random() * MALFORMED_BLOCKS.length)];
+        this.listeners.forEach(listener => { listener.pendingText = text; });
+        logger.warn(`🧨 ${this.id}: sending malformed metadata ${JSON.stringify(text)}`);
+        break;
+      }
+      case 'http-error': {
+        const status = Number(options.status) || 503;
+        const count = Number(options.count) || 1;
+        this.failures.push({ status, remaining: count });
+        logger.warn(`🚫 ${this.id}: next ${count} connection(s) get HTTP ${status}`);
+        break;
+      }
+      case 'next':
+        this.next();
+        break;
+      default:
+        throw new Error(`Unknown action "${type}"`);
+    }
+  }
+
+  // Status for a new connection: a queued failure, a random one, or null to stream
+  takeFailure() {
+    const queued = this.failures[0];
+    if (queued) {
+      if (--queued.remaining <= 0) {
+        this.failures.shift();
+      }
+      return queued.status;
+    }
+
+    const random = this.faults.find(fault => fault.type === 'http-error' && fault.probability && Math.random() < fault.probability);
+    return random ? (random.status || 503) : null;
+  }
+
+  isStalled() {
+    if (this.stalledUntil === null) {
+      return false;
+    }
+    if (this.stalledUntil > 0 && Date.now() >= this.stalledUntil) {
+      this.trigger('resume');
+      return false;
+    }
+    return true;
+  }
+
+  // Writes one chunk of silence to every listener, with metadata blocks every metaint bytes
+  tick() {
+    if (this.isStalled()) {
+      return;
+    }
+
+    for (const listener of this.listeners) {
+      if (!listener.metadata) {
+        listener.res.write(this.silence);
+        continue;
+      }
+
+      const parts = [];
+      let remaining = this.chunkSize;
+      while (remaining > 0) {
+        const length = Math.min(remaining, listener.bytesUntilMetadata);
+        parts.push(this.silence.subarray(0, length));
+        remaining -= length;
+        listener.bytesUntilMetadata -= length;
+
+        if (listener.bytesUntilMetadata === 0) {
+          parts.push(this.metadataBlock(listener));
+          listener.bytesUntilMetadata = this.metaint;
+        }
+      }
+      listener.res.write(Buffer.concat(parts));
+    }
+  }
+
+  // Like Icecast, only sends the title when it changed for this listener
+  metadataBlock(listener) {
+    if (listener.pendingText) {
+      const text = listener.pendingText;
+      listener.pendingText = null;
+      listener.sentText = text;
+      return encodeMetadata(text);
+    }
+
+    const text = toMetadataText(this.currentTitle);
+    if (text === listener.sentText) {
+      return Buffer.from([0]);
+    }
+    listener.sentText = text;
+    return encodeMetadata(text);
+  }
+
+  handleListener(req, res) {
+    const status = this.takeFailure();
+    if (status) {
+      logger.warn(`🚫 ${this.id}: answering HTTP ${status}`);
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(`${http.STATUS_CODES[status] || 'Error'}\n`);
+      return;
+    }
+
+    const metadata = req.headers['icy-metadata'] === '1';
+    const headers = {
+      'Content-Type': 'audio/mpeg',
+      'Cache-Control': 'no-cache',
+      'icy-name': this.name,
+      'icy-br': String(this.chunkSize * 8 * 1000 / CHUNK_INTERVAL / 1000)
+    };
+    if (metadata) {
+      headers['icy-metaint'] = String(this.metaint);
+    }
+    res.writeHead(200, headers);
+
+    const listener = { res, metadata, bytesUntilMetadata: this.metaint, sentText: null, pendingText: null };
+    this.listeners.add(listener);
+    logger.info(`🎧 ${this.id}: listener connected from ${req.socket.remoteAddress} (${this.listeners.size} total)`);
+
+    res.on('close', () => {
+      this.listeners.delete(listener);
+      logger.info(`👋 ${this.id}: listener disconnected (${this.listeners.size} left)`);
+    });
+  }
+
+  getStatus() {
+    return {
+      id: this.id,
+      name: this.name,
+      nowPlaying: toMetadataText(this.currentTitle),
+      listeners: this.listeners.size,
+      stalled: this.stalledUntil !== null,
+      queuedFailures: this.failures.map(failure => ({ ...failure }))
+    };
+  }
+}
+
+class FakeRadioServer {
+  constructor(config = {}) {
+    const mounts = Object.entries(config.mounts || {});
+    if (mounts.length === 0) {
+      throw new Error('Fake radio config needs at least one mount');
+    }
+
+    this.mounts = new Map(mounts.map(([id, settings]) => [id, new FakeMount(id, settings)]));
+    this.port = config.port || DEFAULT_PORT;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.ticker = null;
+  }
+
+  static load(configPath = DEFAULT_CONFIG_PATH) {
+    return new FakeRadioServer(JSON.parse(fs.readFileSync(configPath, 'utf8')));
+  }
+
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    if (parts.length === 0) {
+      return this.sendJson(res, 200, { mounts: Array.from(this.mounts.values()).map(mount => mount.getStatus()) });
+    }
+
+    if (parts[0] === '_control') {
+      const mount = this.mounts.get(parts[1]);
+      if (req.method !== 'POST' || !mount || !parts[2]) {
+        return this.sendJson(res, 404, { error: 'Use POST /_control/<mount>/<next|disconnect|stall|resume|malformed|http-error>' });
+      }
+      try {
+        mount.trigger(parts[2], Object.fromEntries(url.searchParams));
+        return this.sendJson(res, 200, mount.getStatus());
+      } catch (error) {
+        return this.sendJson(res, 400, { error: error.message });
+      }
+    }
+
+    const mount = this.mounts.get(parts[0]);
+    if (!mount || parts.length > 1) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Mount not found\n');
+      return;
+    }
+    mount.handleListener(req, res);
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  listen(port = this.port) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => {
+        this.mounts.forEach(mount => mount.start());
+        this.ticker = setInterval(() => this.mounts.forEach(mount => mount.tick()), CHUNK_INTERVAL);
+        logger.info(`📡 Fake radio listening on http://localhost:${port} (mounts: ${Array.from(this.mounts.keys()).join(', ')})`);
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    clearInterval(this.ticker);
+    this.mounts.forEach(mount => mount.stop());
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = FakeRadioServer;
@@ -1,13 +1,28 @@
 require('dotenv').config();
+const path = require('path');
 const RadioMonitor = require('./services/RadioMonitor');
 const SpotifyService = require('./services/SpotifyService');
 const WebInterface = require('./services/WebInterface');
+const FakeRadioServer = require('./dev/FakeRadioServer');
 const logger = require('./utils/logger');
 const packageInfo = require('../package.json');
 
+// --fake-radio serves scripted stations locally (see src/dev/FakeRadioServer.js) and points
+// the app at them, with its own database so the real station list is left alone.
+// --offline skips Spotify entirely; tracks are still parsed, classified and recorded.
+const fakeRadio = process.argv.includes('--fake-radio');
+const offline = process.argv.includes('--offline');
+
+if (fakeRadio) {
+  process.env.STATIONS_CONFIG = path.join(__dirname, '../config/stations.fake.json');
+  process.env.DATABASE_PATH = process.env.FAKE_RADIO_DATABASE_PATH || path.join(__dirname, '../data/fake-radio.db');
+}
+
 class HalloweenRadioApp {
   constructor() {
     this.spotifyService = new SpotifyService();
+    this.spotifyService.offline = offline;
+    this.fakeRadioServer = null;
     this.radioMonitor = null;
     this.webInterface = null;
     this.isRunning = false;
@@ -18,11 +33,15 @@ class HalloweenRadioApp {
     try {
       logger.info(`🎃 Starting Halloween Radio to Spotify Monitor v${packageInfo.version}...`);
       
+      if (fakeRadio) {
+        this.fakeRadioServer = FakeRadioServer.load(process.env.FAKE_RADIO_CONFIG || undefined);
+      }
+      
       // Initialize Spotify service
       await this.spotifyService.initialize();
       
-      // Create radio monitor with Spotify service
-      this.radioMonitor = new RadioMonitor(this.spotifyService);
+      // Create radio monitor with Spotify service and the station registry
+      this.radioMonitor = new RadioMonitor(this.spotifyService, this.spotifyService.stationRegistry);
       
       // Create web interface
       this.webInterface = new WebInterface(this.radioMonitor, this.spotifyService);
@@ -48,11 +67,21 @@ class HalloweenRadioApp {
 
     try {
       this.isRunning = true;
+      
+      if (this.fakeRadioServer) {
+        await this.fakeRadioServer.listen();
+      }
+      
       await this.radioMonitor.startMonitoring();
       
       // Start web interface
       this.webInterface.start();
       
+      // Search again for unmatched tracks now and then (needs Spotify)
+      if (!offline) {
+        this.spotifyService.unmatchedRetry.start();
+      }
+      
       // Set up periodic data saving (every 5 minutes)
       this.saveInterval = setInterval(() => {
         this.spotifyService.saveData().catch(error => {
@@ -61,7 +90,7 @@ class HalloweenRadioApp {
       }, 5 * 60 * 1000); // 5 minutes
       
       logger.info(`🎵 Halloween Radio monitoring v${packageInfo.version} started successfully`);
-      logger.info('📻 Monitoring all 4 stations for new tracks...');
+      logger.info(`📻 Monitoring ${this.spotifyService.stationRegistry.getEnabledStations().length} stations for new tracks...`);
       logger.info(`📊 Version: ${packageInfo.version} | Build: ${new Date().toISOString()}`);
       
     } catch (error) {
@@ -84,6 +113,20 @@ class HalloweenRadioApp {
       this.saveInterval = null;
     }
     
+    // No more API requests once the database starts closing
+    if (this.webInterface) {
+      await this.webInterface.stop();
+    }
+    
+    // Stop monitoring first so final station events are written before the database closes
+    if (this.radioMonitor) {
+      await this.radioMonitor.stopMonitoring();
+    }
+    
+    if (this.fakeRadioServer) {
+      await this.fakeRadioServer.close();
+    }
+    
     // Save data before shutdown
     if (this.spotifyService) {
       try {
@@ -94,14 +137,6 @@ class HalloweenRadioApp {
       }
     }
     
-    if (this.radioMonitor) {
-      await this.radioMonitor.stopMonitoring();
-    }
-    
-    if (this.webInterface) {
-      this.webInterface.stop();
-    }
-    
     this.isRunning = false;
     logger.info('✅ Application stopped gracefully');
   }
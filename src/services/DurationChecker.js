@@ -0,0 +1,109 @@
+const logger = require('../utils/logger');
+const { createSongKey } = require('../utils/normalizer');
+const { compareDuration } = require('../utils/matchScoring');
+
+function formatDuration(seconds) {
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Once a play has ended (the station's next track started) and it has been matched, the
+ * matched track's length is compared with how long the play lasted, using the station's
+ * scoring settings (see matchScoring.js). The result is kept on the play (duration_check);
+ * plays the station's connection broke into are left out ('interrupted').
+ * A match that contradicts the play goes to the review queue as a duration flag, with the
+ * song's candidates re-ranked by the observed duration, unless a reviewer or an override
+ * already settled the song.
+ */
+class DurationChecker {
+  constructor(spotifyService) {
+    this.spotifyService = spotifyService;
+    this.database = spotifyService.database;
+  }
+
+  // Called when a play ends and when a play is matched; acts once both have happened
+  async checkPlay(playId, stationName) {
+    try {
+      const play = await this.database.getPlay(playId);
+      if (!play || !play.spotify_id || !play.duration_seconds || play.duration_check || play.content_type !== 'music') {
+        return null;
+      }
+
+      // A play cut off by a disconnect, or begun on a (re)connect, lasted part of the track
+      if (await this.database.hasStationEventsDuringPlay(play)) {
+        return (await this.database.setPlayDurationCheck(play.id, 'interrupted')) ? 'interrupted' : null;
+      }
+
+      const scoring = this.spotifyService.stationRegistry.getScoring(play.station);
+      const duration = compareDuration(play.duration_seconds * 1000, play.spotify_duration_ms, scoring);
+      if (!duration) {
+        return null;
+      }
+
+      const result = duration.contradicts ? 'mismatch' : 'consistent';
+      // Matching and the end of the play can race to get here; only the first one goes on
+      if (!(await this.database.setPlayDurationCheck(play.id, result))) {
+        return null;
+      }
+
+      if (duration.contradicts) {
+        logger.warn(`⏱️ ${play.artist} - ${play.title} (${stationName}) aired for ${formatDuration(play.duration_seconds)}, but its match lasts ${formatDuration(play.spotify_duration_ms / 1000)}`);
+        if (scoring.durationReview) {
+          await this.flagForReview(play, stationName, duration);
+        }
+      }
+      return result;
+    } catch (error) {
+      logger.error('❌ Error checking play duration:', error);
+      return null;
+    }
+  }
+
+  // How long the play's track was on air in ms, or null when unknown: the play hasn't
+  // ended, or the station connected or dropped off during it
+  async observedDuration(play) {
+    if (!play || !play.duration_seconds || await this.database.hasStationEventsDuringPlay(play)) {
+      return null;
+    }
+    return play.duration_seconds * 1000;
+  }
+
+  async flagForReview(play, stationName, duration) {
+    const { spotifyService } = this;
+    const songKey = createSongKey(play.artist, play.title, spotifyService.stationRegistry.defaultNormalizer);
+
+    // A track pinned by an override or approved in review stays, whatever its length
+    const override = await this.database.getMatchOverride(songKey);
+    const decisions = await this.database.getReviewDecisions(songKey);
+    if (override || decisions.approved.has(play.spotify_id)) {
+      return;
+    }
+
+    // The song's search results are usually still cached, so this rarely searches again
+    const { tracks } = await spotifyService.searchTracks(stationName, play.station, play.artist, play.title);
+    const { ranking, scoreDetails } = await spotifyService.rankSearchResults(play.station, songKey, play.artist, play.title, tracks, play.duration_seconds * 1000);
+    if (!ranking.top) {
+      logger.warn(`⚠️ No candidates to review for ${play.artist} - ${play.title} (${stationName})`);
+      return;
+    }
+
+    const metadata = {
+      artist: play.artist,
+      title: play.title,
+      original: play.raw_title,
+      station: play.station,
+      playId: play.id
+    };
+    await spotifyService.queueForReview(stationName, play.station, songKey, metadata, ranking, {
+      ...scoreDetails,
+      duration: {
+        observedSeconds: play.duration_seconds,
+        matchedSeconds: Math.round(play.spotify_duration_ms / 1000),
+        difference: duration.difference
+      }
+    }, { reason: 'duration', matchedSpotifyId: play.spotify_id });
+  }
+}
+
+module.exports = DurationChecker;
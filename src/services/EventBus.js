@@ -0,0 +1,106 @@
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+const logger = require('../utils/logger');
+
+// Every event the application publishes. Payloads:
+//   station.connected      { station, source }
+//   station.disconnected   { station, reason, error }  reason: disconnected, stopped, stall-no-data, stall-no-metadata
+//   track.changed          { station, stationName, artist, title, original, contentType, playId, startedAt }
+//   play.ended             { station, stationName, artist, title, contentType, playId, startedAt, endedAt, durationSeconds }
+//   track.matched          { station, stationName, artist, title, spotifyTrack, percentage, playId }
+//   track.unmatched        { station, stationName, artist, title, reason, bestMatch, percentage, playId }
+//   track.added            { station, stationName, playlist, spotifyTrack, percentage, playId }
+//   playlist.deduplicated  { station, playlist, removedCount }
+//   review.queued          { station, stationName, artist, title, reviewId, bestMatch, percentage, playId }
+//   review.decided         { station, stationName, artist, title, reviewId, decision, spotifyTrack }
+const EVENT_TYPES = [
+  'station.connected',
+  'station.disconnected',
+  'track.changed',
+  'play.ended',
+  'track.matched',
+  'track.unmatched',
+  'track.added',
+  'playlist.deduplicated',
+  'review.queued',
+  'review.decided'
+];
+
+const RECENT_EVENT_LIMIT = 200;
+
+/**
+ * Application-wide publish/subscribe for pipeline events. Events are wrapped in an
+ * envelope { id, type, correlationId, timestamp, payload }; the correlation ID follows a
+ * track from track.changed through matching and playlist additions.
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(50);
+    this.recentEvents = [];
+  }
+
+  static createCorrelationId() {
+    return randomUUID();
+  }
+
+  /**
+   * Subscribes to one event type ('*' for all). Handlers may be async; their errors are
+   * logged and never reach the publisher. Returns a function that unsubscribes.
+   */
+  subscribe(type, handler) {
+    if (type !== '*' && !EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    const listener = (event, results) => {
+      results.push(Promise.resolve()
+        .then(() => handler(event))
+        .catch(error => logger.error(`❌ Error in ${event.type} subscriber:`, error)));
+    };
+
+    this.emitter.on(type, listener);
+    return () => this.emitter.off(type, listener);
+  }
+
+  /**
+   * Publishes an event. Resolves once every subscriber has finished handling it, so
+   * callers that need ordering (e.g. one track at a time per station) can await it.
+   */
+  async publish(type, payload = {}, correlationId = null) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    const event = {
+      id: randomUUID(),
+      type,
+      correlationId: correlationId || EventBus.createCorrelationId(),
+      timestamp: new Date().toISOString(),
+      payload
+    };
+
+    this.recentEvents.push(event);
+    if (this.recentEvents.length > RECENT_EVENT_LIMIT) {
+      this.recentEvents.shift();
+    }
+
+    const results = [];
+    this.emitter.emit(type, event, results);
+    this.emitter.emit('*', event, results);
+    await Promise.all(results);
+
+    return event;
+  }
+
+  getRecentEvents(limit = 50, { type = null, correlationId = null } = {}) {
+    return this.recentEvents
+      .filter(event => (!type || event.type === type) && (!correlationId || event.correlationId === correlationId))
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+EventBus.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = EventBus;
@@ -0,0 +1,71 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Appends every raw now-playing update to a JSONL file, one object per line:
+ * { timestamp, station, source, streamTitle, artist, title, raw, startedAt, duration }.
+ * Captures can be fed back through the pipeline with `npm run replay`.
+ */
+class MetadataCapture {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.writeQueue = Promise.resolve(); // Keeps lines in arrival order
+    this.recordedCount = 0;
+  }
+
+  async open() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    logger.info(`📼 Capturing raw station metadata to ${this.filePath}`);
+  }
+
+  record(station, source, nowPlaying) {
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      station,
+      source,
+      streamTitle: nowPlaying.streamTitle,
+      artist: nowPlaying.artist || null,
+      title: nowPlaying.title || null,
+      raw: nowPlaying.raw !== undefined ? nowPlaying.raw : null,
+      startedAt: nowPlaying.startedAt || null,
+      duration: nowPlaying.duration || null
+    }) + '\n';
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(this.filePath, line, 'utf8'))
+      .then(() => { this.recordedCount++; })
+      .catch(error => logger.error('❌ Error writing metadata capture:', error));
+  }
+
+  async close() {
+    await this.writeQueue;
+    logger.info(`📼 Metadata capture closed (${this.recordedCount} entries written to ${this.filePath})`);
+  }
+
+  // Reads a capture back, oldest first. Lines that aren't valid JSON are skipped.
+  static async read(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const entries = [];
+
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (entry.station && entry.timestamp) {
+          entries.push(entry);
+        } else {
+          logger.warn(`⚠️ Skipping capture line ${index + 1}: missing station or timestamp`);
+        }
+      } catch (error) {
+        logger.warn(`⚠️ Skipping capture line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    return entries.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+}
+
+module.exports = MetadataCapture;
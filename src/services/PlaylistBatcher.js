@@ -0,0 +1,103 @@
+const logger = require('../utils/logger');
+const { parseSetting } = require('../utils/settings');
+
+// Spotify takes at most 100 tracks per add request
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Buffers playlist additions per playlist and sends them in batches: when a playlist has
+ * batchSize tracks waiting, or flushDelay after the first one arrived. add() resolves
+ * once the batch holding the track is confirmed by Spotify and rejects if it can't be
+ * added, so callers only record a track as added after the fact. Batches for the same
+ * playlist go out one after another, in the order the tracks were added.
+ */
+class PlaylistBatcher {
+  constructor(spotifyService) {
+    this.spotifyService = spotifyService;
+    this.batchSize = Math.min(MAX_BATCH_SIZE, Math.max(1, parseSetting(process.env.PLAYLIST_BATCH_SIZE, MAX_BATCH_SIZE)));
+    this.flushDelay = parseSetting(process.env.PLAYLIST_BATCH_DELAY, 2000);
+    this.closing = false;
+    this.playlists = new Map(); // Playlist ID -> { items, timer, sending }
+  }
+
+  add(playlistId, uri) {
+    return new Promise((resolve, reject) => {
+      const entry = this.getEntry(playlistId);
+      entry.items.push({ uri, resolve, reject });
+
+      if (entry.items.length >= this.batchSize || this.closing || this.flushDelay <= 0) {
+        this.flush(playlistId);
+      } else if (!entry.timer) {
+        entry.timer = setTimeout(() => this.flush(playlistId), this.flushDelay);
+      }
+    });
+  }
+
+  getEntry(playlistId) {
+    if (!this.playlists.has(playlistId)) {
+      this.playlists.set(playlistId, { items: [], timer: null, sending: Promise.resolve() });
+    }
+    return this.playlists.get(playlistId);
+  }
+
+  // Sends everything buffered for the playlist; resolves once it has all gone out
+  flush(playlistId) {
+    const entry = this.playlists.get(playlistId);
+    if (!entry) {
+      return Promise.resolve();
+    }
+
+    if (entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+
+    const items = entry.items.splice(0);
+    for (let i = 0; i < items.length; i += this.batchSize) {
+      const batch = items.slice(i, i + this.batchSize);
+      entry.sending = entry.sending.then(() => this.send(playlistId, batch));
+    }
+    return entry.sending;
+  }
+
+  async send(playlistId, batch) {
+    try {
+      await this.spotifyService.makeSpotifyRequest(
+        this.spotifyService.spotifyApi.addTracksToPlaylist,
+        playlistId,
+        batch.map(item => item.uri)
+      );
+      logger.info(`➕ Added ${batch.length} track${batch.length === 1 ? '' : 's'} to playlist ${playlistId}`);
+      batch.forEach(item => item.resolve());
+    } catch (error) {
+      // Spotify rejects the whole request for one bad track; split the batch so the rest
+      // still go in. Rate limits and server errors were already retried by the scheduler.
+      if (batch.length > 1 && error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 429) {
+        logger.warn(`⚠️ Batch of ${batch.length} tracks for playlist ${playlistId} was rejected (${error.message}), retrying in halves`);
+        const middle = Math.ceil(batch.length / 2);
+        await this.send(playlistId, batch.slice(0, middle));
+        await this.send(playlistId, batch.slice(middle));
+        return;
+      }
+
+      logger.error(`❌ Failed to add ${batch.length} track${batch.length === 1 ? '' : 's'} to playlist ${playlistId}: ${error.message}`);
+      batch.forEach(item => item.reject(error));
+    }
+  }
+
+  pendingCount() {
+    let count = 0;
+    for (const entry of this.playlists.values()) {
+      count += entry.items.length;
+    }
+    return count;
+  }
+
+  // Sends what is buffered now; later additions go out straight away
+  async close() {
+    this.closing = true;
+    await Promise.all(Array.from(this.playlists.keys()).map(playlistId => this.flush(playlistId)));
+  }
+}
+
+module.exports = PlaylistBatcher;
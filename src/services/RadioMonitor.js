@@ -1,21 +1,61 @@
-const ICY = require('icy');
 const logger = require('../utils/logger');
+const { parseSetting } = require('../utils/settings');
+const { computeBackoffDelay } = require('../utils/backoff');
+const { createSource } = require('../sources');
+const { parseWithRules } = require('../utils/titleParser');
+const { classifyTrack } = require('../utils/contentClassifier');
+const EventBus = require('./EventBus');
+const MetadataCapture = require('./MetadataCapture');
+
+// Connection lifecycle of a monitored station
+const STATION_STATES = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  BACKING_OFF: 'backing-off',
+  FAILED: 'failed',
+  DISABLED: 'disabled'
+};
+
+// A connection that lasts this long counts as healthy again
+const STABLE_CONNECTION_MS = 60 * 1000;
+
+// StreamTitles some servers send between tracks or while starting up (compared case-insensitively)
+const DEFAULT_PLACEHOLDER_TITLES = ['unknown', 'unknown - unknown', 'untitled', 'n/a', 'null', 'undefined', 'loading', 'loading...', 'stream title'];
 
 class RadioMonitor {
-  constructor(spotifyService) {
+  constructor(spotifyService, stationRegistry) {
     this.spotifyService = spotifyService;
+    this.stationRegistry = stationRegistry;
     this.stations = new Map();
     this.isMonitoring = false;
     this.lastMetadata = new Map();
-    this.checkInterval = parseInt(process.env.METADATA_CHECK_INTERVAL) || 30000;
+    this.currentPlays = new Map(); // Station ID -> { playId, correlationId } of the play still on air
+    this.committedTitles = new Map(); // Station ID -> StreamTitle of the track currently counted as on air
+    this.pendingTitles = new Map(); // Station ID -> { key, nowPlaying, firstSeenAt, timer } waiting to stabilize
+    this.processingTracks = new Set(); // Stabilized tracks still going through the pipeline
+    this.stabilizeDelay = parseSetting(process.env.METADATA_STABILIZE_DELAY, 10000); // 0 = count changes immediately
+    this.timeScale = 1; // Replays run faster than real time and shrink the stabilize delay to match
+    this.metadataCapture = process.env.METADATA_CAPTURE_FILE ? new MetadataCapture(process.env.METADATA_CAPTURE_FILE) : null;
+    this.checkInterval = parseInt(process.env.METADATA_CHECK_INTERVAL) || 30000; // Default poll interval for polling sources
     
-    // Halloween Radio station URLs
-    this.stationUrls = {
-      main: 'https://radio1.streamserver.link:8000/hrm-aac',
-      movies: 'https://radio1.streamserver.link/radio/8050/hrs-aac',
-      oldies: 'https://radio1.streamserver.link/radio/8020/hro-aac',
-      kids: 'https://radio1.streamserver.link:8030/hrk-aac'
+    // Reconnect backoff: exponential from base to max, with jitter
+    this.reconnectOptions = {
+      baseMs: parseInt(process.env.RECONNECT_BASE_DELAY) || 5000,
+      maxMs: parseInt(process.env.RECONNECT_MAX_DELAY) || 5 * 60 * 1000,
+      jitter: process.env.RECONNECT_JITTER !== undefined ? parseFloat(process.env.RECONNECT_JITTER) : 0.2
     };
+    this.maxReconnectAttempts = parseInt(process.env.RECONNECT_MAX_ATTEMPTS) || 0; // 0 = retry forever
+    
+    // Watchdog: reconnect streams that go silent (a timeout of 0 disables that check)
+    this.watchdogOptions = {
+      intervalMs: parseInt(process.env.WATCHDOG_INTERVAL) || 15000,
+      noDataMs: parseSetting(process.env.STALL_NO_DATA_TIMEOUT, 60 * 1000),
+      noMetadataMs: parseSetting(process.env.STALL_NO_METADATA_TIMEOUT, 30 * 60 * 1000)
+    };
+    this.watchdogTimer = null;
+    this.database = spotifyService.database;
+    this.eventBus = spotifyService.eventBus;
+    this.pendingEventWrites = new Set();
   }
 
   async startMonitoring() {
@@ -27,81 +67,259 @@ class RadioMonitor {
     logger.info('📻 Starting radio station monitoring...');
     this.isMonitoring = true;
 
-    // Start monitoring each station
-    for (const [stationName, url] of Object.entries(this.stationUrls)) {
-      try {
-        await this.connectToStation(stationName, url);
-      } catch (error) {
-        logger.error(`❌ Failed to connect to ${stationName}:`, error);
-      }
+    if (this.metadataCapture) {
+      await this.metadataCapture.open();
     }
 
+    // Plays still open were on air when the last run stopped without ending them (a crash)
+    const closed = await this.database.closeOpenPlays(new Date().toISOString());
+    if (closed > 0) {
+      logger.info(`🧹 Closed ${closed} plays left open by the last run`);
+    }
+
+    // Start monitoring each enabled station
+    for (const station of this.stationRegistry.getEnabledStations()) {
+      await this.startStation(station.id);
+    }
+
+    this.startWatchdog();
+
     logger.info(`✅ Monitoring ${this.stations.size} stations`);
   }
 
-  async connectToStation(stationName, url) {
-    return new Promise((resolve, reject) => {
-      logger.info(`🔗 Connecting to ${stationName}: ${url}`);
-
-      const request = ICY.get(url, (res) => {
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode} for ${stationName}`));
-          return;
-        }
-
-        const contentType = res.headers ? res.headers['content-type'] || 'unknown' : 'unknown';
-        logger.info(`✅ Connected to ${stationName} (${contentType})`);
-
-        // Store connection info
-        this.stations.set(stationName, {
-          url,
-          response: res,
-          connected: true,
-          lastMetadata: null
-        });
-
-        // Handle metadata
-        res.on('metadata', (metadata) => {
-          this.handleMetadata(stationName, metadata);
-        });
-
-        // Handle connection errors
-        res.on('error', (error) => {
-          logger.error(`❌ Stream error for ${stationName}:`, error);
-          this.handleStationDisconnect(stationName);
-        });
-
-        res.on('end', () => {
-          logger.warn(`⚠️ Stream ended for ${stationName}`);
-          this.handleStationDisconnect(stationName);
-        });
-
-        // We don't need the actual audio data, just metadata
-        res.resume();
-        resolve();
-      });
-
-      request.on('error', (error) => {
-        logger.error(`❌ Connection error for ${stationName}:`, error);
-        reject(error);
-      });
-
-      // Set timeout for connection
-      request.setTimeout(30000, () => {
-        request.destroy();
-        reject(new Error(`Connection timeout for ${stationName}`));
-      });
-    });
+  async startStation(stationName) {
+    const station = this.stationRegistry.getStation(stationName);
+    if (!station || !station.enabled || this.stations.has(stationName)) {
+      return;
+    }
+
+    const entry = {
+      state: STATION_STATES.CONNECTING,
+      source: null,
+      sourceType: null,
+      connected: false,
+      attempts: 0, // Connection attempts since the station was last stable
+      nextRetryAt: null,
+      retryTimer: null,
+      lastError: null,
+      connectedAt: null,
+      lastByteAt: null,
+      lastMetadataAt: null,
+      bytesReceived: 0,
+      stalls: 0
+    };
+    this.stations.set(stationName, entry);
+
+    await this.attemptConnection(stationName, entry);
+  }
+
+  stopStation(stationName) {
+    const entry = this.stations.get(stationName);
+
+    // Remove the entry first so pending connects, timers and stream events become no-ops
+    this.stations.delete(stationName);
+    this.lastMetadata.delete(stationName);
+    this.committedTitles.delete(stationName);
+    this.clearPendingTitle(stationName);
+
+    if (!entry) {
+      this.closeCurrentPlay(stationName);
+      return;
+    }
+
+    if (entry.retryTimer) {
+      clearTimeout(entry.retryTimer);
+    }
+    if (entry.source) {
+      entry.source.stop();
+      this.recordStationEvent(stationName, 'stopped');
+    }
+    this.closeCurrentPlay(stationName);
+    logger.info(`🛑 Stopped monitoring ${stationName}`);
   }
 
-  async handleMetadata(stationName, metadata) {
+  async syncStation(stationName) {
+    // Bring the live connection in line with the registry after a runtime change
+    this.stopStation(stationName);
+
+    if (this.isMonitoring) {
+      await this.startStation(stationName);
+    }
+  }
+
+  async attemptConnection(stationName, entry) {
+    const station = this.stationRegistry.getStation(stationName);
+    if (!station) {
+      return;
+    }
+
+    entry.state = STATION_STATES.CONNECTING;
+    entry.nextRetryAt = null;
+    entry.attempts++;
+
+    let source = null;
     try {
-      const parsed = ICY.parse(metadata);
-      if (!parsed.StreamTitle) {
+      source = createSource(station, { interval: this.checkInterval });
+      entry.sourceType = source.type;
+      this.attachSourceHandlers(stationName, entry, source);
+
+      await source.start();
+
+      // The station may have been stopped or restarted while we were connecting
+      if (this.stations.get(stationName) !== entry) {
+        source.stop();
+        return;
+      }
+
+      if (entry.attempts > 1 || entry.lastError) {
+        logger.info(`✅ Reconnected to ${stationName} after ${entry.attempts} attempt(s)`);
+      }
+
+      entry.state = STATION_STATES.CONNECTED;
+      entry.source = source;
+      entry.connected = true;
+      entry.connectedAt = new Date().toISOString();
+      entry.lastByteAt = Date.now();
+      entry.lastMetadataAt = Date.now(); // Give a fresh connection a full window before it counts as quiet
+
+      this.recordStationEvent(stationName, 'connected', source.type);
+    } catch (error) {
+      if (source) {
+        source.stop();
+      }
+      if (this.stations.get(stationName) !== entry) {
         return;
       }
 
-      const currentTrack = this.parseStreamTitle(parsed.StreamTitle);
+      logger.error(`❌ Failed to connect to ${stationName}: ${error.message}`);
+      entry.lastError = { message: error.message, at: new Date().toISOString() };
+      this.scheduleReconnect(stationName, entry);
+    }
+  }
+
+  attachSourceHandlers(stationName, entry, source) {
+    // Track liveness for the watchdog
+    source.on('activity', (bytes) => {
+      entry.lastByteAt = Date.now();
+      entry.bytesReceived += bytes;
+    });
+
+    // Every source delivers the same normalized now-playing info
+    source.on('track', (nowPlaying) => {
+      if (this.stations.get(stationName) !== entry) {
+        return;
+      }
+      entry.lastMetadataAt = Date.now();
+      if (this.metadataCapture) {
+        this.metadataCapture.record(stationName, source.type, nowPlaying);
+      }
+      this.handleMetadata(stationName, nowPlaying);
+    });
+
+    source.on('disconnect', (error) => {
+      this.handleStationDisconnect(stationName, source, error);
+    });
+  }
+
+  getMetadataSettings(stationName) {
+    const station = this.stationRegistry.getStation(stationName);
+    const overrides = (station && station.settings.metadata) || {};
+
+    return {
+      stabilizeDelay: (overrides.stabilizeDelay !== undefined ? overrides.stabilizeDelay : this.stabilizeDelay) / this.timeScale,
+      placeholders: DEFAULT_PLACEHOLDER_TITLES.concat((overrides.placeholders || []).map(title => title.trim().toLowerCase()))
+    };
+  }
+
+  isPlaceholderTitle(key, placeholders) {
+    // Blank or punctuation-only titles ("-", " - ") are placeholders too
+    return !/[\p{L}\p{N}]/u.test(key) || placeholders.includes(key.toLowerCase());
+  }
+
+  // A title only counts once it has stayed put for the stabilize delay, so placeholder
+  // blips and A→B→A flips during a crossfade don't become searches or plays
+  async handleMetadata(stationName, nowPlaying) {
+    if (!nowPlaying.streamTitle) {
+      return;
+    }
+
+    const key = nowPlaying.streamTitle.replace(/\s+/g, ' ').trim();
+    const { stabilizeDelay, placeholders } = this.getMetadataSettings(stationName);
+
+    if (this.isPlaceholderTitle(key, placeholders)) {
+      logger.info(`⏭️ Ignoring placeholder title on ${stationName}: "${nowPlaying.streamTitle}"`);
+      return;
+    }
+
+    // Back to the title already on air before the new one settled: merge into the current play
+    if (key === this.committedTitles.get(stationName)) {
+      if (this.pendingTitles.has(stationName)) {
+        logger.info(`🔁 Ignoring title flip on ${stationName}: "${this.pendingTitles.get(stationName).key}" did not stay`);
+        this.clearPendingTitle(stationName);
+      }
+      return;
+    }
+
+    const pending = this.pendingTitles.get(stationName);
+    if (pending && pending.key === key) {
+      return; // Still waiting for this title to settle
+    }
+
+    this.clearPendingTitle(stationName);
+    const firstSeenAt = new Date().toISOString();
+
+    if (!stabilizeDelay) {
+      await this.commitTitle(stationName, key, nowPlaying, firstSeenAt);
+      return;
+    }
+
+    this.pendingTitles.set(stationName, {
+      key,
+      nowPlaying,
+      firstSeenAt,
+      timer: setTimeout(() => {
+        this.pendingTitles.delete(stationName);
+        this.commitTitle(stationName, key, nowPlaying, firstSeenAt);
+      }, stabilizeDelay)
+    });
+  }
+
+  // Counts the title as on air and sends it down the pipeline; shutdown and replays wait
+  // for processingTracks, whether the title was stabilized or not
+  commitTitle(stationName, key, nowPlaying, firstSeenAt) {
+    this.committedTitles.set(stationName, key);
+
+    const processing = this.processTrack(stationName, nowPlaying, firstSeenAt)
+      .finally(() => this.processingTracks.delete(processing));
+    this.processingTracks.add(processing);
+    return processing;
+  }
+
+  // Resolves once no title is waiting to stabilize and every track has been processed
+  async waitForPendingTracks() {
+    while (this.pendingTitles.size > 0 || this.processingTracks.size > 0) {
+      if (this.processingTracks.size > 0) {
+        await Promise.all(Array.from(this.processingTracks));
+      } else {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    }
+  }
+
+  clearPendingTitle(stationName) {
+    const pending = this.pendingTitles.get(stationName);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pendingTitles.delete(stationName);
+    }
+  }
+
+  async processTrack(stationName, nowPlaying, firstSeenAt) {
+    try {
+      // Sources that report artist and title separately don't need the title parsed
+      const currentTrack = nowPlaying.artist && nowPlaying.title
+        ? { artist: nowPlaying.artist, title: nowPlaying.title, original: nowPlaying.streamTitle }
+        : this.parseStreamTitle(nowPlaying.streamTitle, stationName);
       if (!currentTrack || !currentTrack.artist || !currentTrack.title) {
         return;
       }
@@ -114,99 +332,238 @@ class RadioMonitor {
         return; // Same track, ignore
       }
 
+      // Label jingles, ads, talk and station IDs before any Spotify search is spent on them
+      const classification = classifyTrack(currentTrack, this.stationRegistry.getClassifier(stationName));
+      currentTrack.contentType = classification.label;
+
       // Store new track
       this.lastMetadata.set(stationName, currentTrack);
 
-      logger.info(`🎵 New track on ${stationName}: ${currentTrack.artist} - ${currentTrack.title}`);
+      const startedAt = nowPlaying.startedAt || firstSeenAt;
+      const correlationId = EventBus.createCorrelationId();
+      const playId = await this.recordPlay(stationName, currentTrack, nowPlaying.streamTitle, startedAt, correlationId);
 
-      // Add to Spotify playlist
-      await this.spotifyService.searchAndAddTrack(
-        this.capitalizeStationName(stationName),
-        currentTrack.artist,
-        currentTrack.title,
-        {
-          ...currentTrack,
-          station: stationName,
-          timestamp: new Date().toISOString()
-        }
-      );
+      if (classification.label !== 'music') {
+        logger.info(`⏭️ Skipping ${classification.label} on ${stationName}: ${currentTrack.artist} - ${currentTrack.title} (rule: ${classification.rule.name})`);
+      } else {
+        logger.info(`🎵 New track on ${stationName}: ${currentTrack.artist} - ${currentTrack.title}`);
+      }
+
+      // Subscribers (Spotify matching among them) take it from here; the correlation ID
+      // follows this track through matching and playlist additions
+      await this.eventBus.publish('track.changed', {
+        station: stationName,
+        stationName: this.getStationDisplayName(stationName),
+        artist: currentTrack.artist,
+        title: currentTrack.title,
+        original: currentTrack.original,
+        contentType: currentTrack.contentType,
+        playId,
+        startedAt
+      }, correlationId);
 
     } catch (error) {
       logger.error(`❌ Error handling metadata for ${stationName}:`, error);
     }
   }
 
-  parseStreamTitle(streamTitle) {
-    // Common formats:
-    // "Artist - Title"
-    // "Artist: Title"
-    // "Title by Artist"
-    // "Artist – Title" (different dash)
-    
-    const cleanTitle = streamTitle.trim();
-    
-    // Try different separators
-    const separators = [' - ', ' – ', ' — ', ': ', ' by '];
-    
-    for (const separator of separators) {
-      if (cleanTitle.includes(separator)) {
-        const parts = cleanTitle.split(separator);
-        
-        if (parts.length >= 2) {
-          if (separator === ' by ') {
-            // "Title by Artist" format
-            return {
-              title: parts[0].trim(),
-              artist: parts[1].trim(),
-              original: cleanTitle
-            };
-          } else {
-            // "Artist - Title" format
-            return {
-              artist: parts[0].trim(),
-              title: parts.slice(1).join(separator).trim(),
-              original: cleanTitle
-            };
-          }
-        }
-      }
+  // Every track change becomes a play; the previous play on the station ends when this one
+  // starts, which is when its duration is known
+  async recordPlay(stationName, track, rawTitle, startedAt, correlationId) {
+    await this.endCurrentPlay(stationName, startedAt);
+
+    const playId = await this.database.startPlay({
+      station: stationName,
+      rawTitle,
+      artist: track.artist,
+      title: track.title,
+      contentType: track.contentType,
+      startedAt
+    });
+    this.currentPlays.set(stationName, { playId, correlationId });
+
+    return playId;
+  }
+
+  // Ends the station's play on air, if any (play.ended, under that track's correlation ID)
+  async endCurrentPlay(stationName, endedAt) {
+    const current = this.currentPlays.get(stationName);
+    this.currentPlays.delete(stationName);
+
+    const ended = current && current.playId ? await this.database.endPlay(current.playId, endedAt) : null;
+    if (ended) {
+      await this.eventBus.publish('play.ended', {
+        station: stationName,
+        stationName: this.getStationDisplayName(stationName),
+        artist: ended.artist,
+        title: ended.title,
+        contentType: ended.content_type,
+        playId: ended.id,
+        startedAt: ended.started_at,
+        endedAt: ended.ended_at,
+        durationSeconds: ended.duration_seconds
+      }, current.correlationId);
+    }
+    return ended;
+  }
+
+  // A station that stops or drops off ends its play there, so the gap until the stream is
+  // back isn't counted as airtime. Fire-and-forget like station events; shutdown waits for it.
+  closeCurrentPlay(stationName) {
+    if (!this.currentPlays.has(stationName)) {
+      return;
     }
 
-    // If no separator found, log as unparseable
-    logger.warn(`⚠️ Could not parse stream title: "${cleanTitle}"`);
-    return {
-      artist: 'Unknown Artist',
-      title: cleanTitle,
-      original: cleanTitle
-    };
+    const write = this.endCurrentPlay(stationName, new Date().toISOString())
+      .catch(error => logger.error(`❌ Error ending the current play on ${stationName}:`, error))
+      .finally(() => this.pendingEventWrites.delete(write));
+    this.pendingEventWrites.add(write);
+  }
+
+  parseStreamTitle(streamTitle, stationName) {
+    // Rules come from the station's settings.parser, falling back to the default
+    // "Artist - Title" / "Artist: Title" rules
+    const parser = this.stationRegistry.getTitleParser(stationName);
+    const parsed = parseWithRules(streamTitle, parser);
+
+    if (!parsed.rule) {
+      logger.warn(`⚠️ Could not parse stream title: "${parsed.original}"`);
+    }
+
+    return parsed;
+  }
+
+  getStationDisplayName(stationName) {
+    const station = this.stationRegistry.getStation(stationName);
+    return station ? station.name : this.capitalizeStationName(stationName);
   }
 
   capitalizeStationName(stationName) {
     return stationName.charAt(0).toUpperCase() + stationName.slice(1);
   }
 
-  handleStationDisconnect(stationName) {
-    const station = this.stations.get(stationName);
-    if (station) {
-      station.connected = false;
+  handleStationDisconnect(stationName, source, error) {
+    const entry = this.stations.get(stationName);
+
+    // Ignore events from a source that was replaced, stopped or already handled
+    if (!entry || entry.source !== source) {
+      return;
+    }
+
+    entry.source = null;
+    entry.connected = false;
+    entry.lastError = { message: error.message, at: new Date().toISOString() };
+    source.stop();
+
+    // Only a connection that stayed up resets the backoff, so flapping streams still slow down
+    if (Date.now() - new Date(entry.connectedAt).getTime() >= STABLE_CONNECTION_MS) {
+      entry.attempts = 0;
+    }
+
+    logger.warn(`⚠️ ${stationName} disconnected: ${error.message}`);
+    this.recordStationEvent(stationName, 'disconnected', error.message);
+    this.closeCurrentPlay(stationName);
+    this.scheduleReconnect(stationName, entry);
+  }
+
+  startWatchdog() {
+    this.stopWatchdog();
+    this.watchdogTimer = setInterval(() => this.checkForStalls(), this.watchdogOptions.intervalMs);
+  }
+
+  stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+  }
+
+  getWatchdogThresholds(stationName, source = null) {
+    const station = this.stationRegistry.getStation(stationName);
+    const overrides = (station && station.settings.watchdog) || {};
+    let noDataMs = overrides.noDataTimeout !== undefined ? overrides.noDataTimeout : this.watchdogOptions.noDataMs;
+
+    // Polling sources only show signs of life once per poll
+    if (noDataMs && source && source.pollIntervalMs) {
+      noDataMs = Math.max(noDataMs, source.pollIntervalMs * 3);
+    }
+
+    return {
+      noDataMs,
+      noMetadataMs: overrides.noMetadataTimeout !== undefined ? overrides.noMetadataTimeout : this.watchdogOptions.noMetadataMs
+    };
+  }
+
+  checkForStalls() {
+    const now = Date.now();
+
+    for (const [stationName, entry] of this.stations) {
+      if (entry.state !== STATION_STATES.CONNECTED || !entry.source) {
+        continue;
+      }
+
+      // No bytes means a dead socket; bytes without metadata means the station is quiet or
+      // its metadata injection is stuck. Both get a fresh connection.
+      const { noDataMs, noMetadataMs } = this.getWatchdogThresholds(stationName, entry.source);
+      if (noDataMs && now - entry.lastByteAt > noDataMs) {
+        this.handleStall(stationName, entry, 'stall-no-data', entry.lastByteAt, 'no audio data');
+      } else if (noMetadataMs && now - entry.lastMetadataAt > noMetadataMs) {
+        this.handleStall(stationName, entry, 'stall-no-metadata', entry.lastMetadataAt, 'no metadata');
+      }
+    }
+  }
+
+  handleStall(stationName, entry, event, silentSince, description) {
+    const silentSeconds = Math.round((Date.now() - silentSince) / 1000);
+    entry.stalls++;
+
+    logger.warn(`🐕 Watchdog: ${stationName} stalled (${description} for ${silentSeconds}s), reconnecting...`);
+    this.recordStationEvent(stationName, event, `${description} for ${silentSeconds}s`, new Date(silentSince).toISOString());
+    this.handleStationDisconnect(stationName, entry.source, new Error(`Stalled: ${description} for ${silentSeconds}s`));
+  }
+
+  recordStationEvent(stationName, event, detail = null, silentSince = null) {
+    // Stalls are followed by a disconnect, which is what subscribers hear about
+    if (event === 'connected') {
+      this.eventBus.publish('station.connected', { station: stationName, source: detail });
+    } else if (event === 'disconnected' || event === 'stopped') {
+      this.eventBus.publish('station.disconnected', { station: stationName, reason: event, error: detail });
+    }
+
+    if (!this.database) {
+      return;
     }
 
-    logger.warn(`⚠️ ${stationName} disconnected. Attempting to reconnect in 30 seconds...`);
+    // Writes are fire-and-forget, but tracked so shutdown can wait for them
+    const write = this.database.addStationEvent(stationName, event, detail, silentSince)
+      .finally(() => this.pendingEventWrites.delete(write));
+    this.pendingEventWrites.add(write);
+  }
+
+  scheduleReconnect(stationName, entry) {
+    // Exactly one reconnect in flight per station
+    if (!this.isMonitoring || entry.retryTimer) {
+      return;
+    }
+
+    if (this.maxReconnectAttempts && entry.attempts >= this.maxReconnectAttempts) {
+      entry.state = STATION_STATES.FAILED;
+      logger.error(`❌ Giving up on ${stationName} after ${entry.attempts} failed attempts`);
+      return;
+    }
 
-    // Attempt to reconnect after delay
-    setTimeout(async () => {
-      if (this.isMonitoring) {
-        try {
-          const url = this.stationUrls[stationName];
-          await this.connectToStation(stationName, url);
-          logger.info(`✅ Reconnected to ${stationName}`);
-        } catch (error) {
-          logger.error(`❌ Failed to reconnect to ${stationName}:`, error);
-          // Try again later
-          this.handleStationDisconnect(stationName);
-        }
+    const delay = computeBackoffDelay(Math.max(1, entry.attempts), this.reconnectOptions);
+    entry.state = STATION_STATES.BACKING_OFF;
+    entry.nextRetryAt = new Date(Date.now() + delay).toISOString();
+
+    logger.warn(`⏳ Reconnecting to ${stationName} in ${Math.round(delay / 1000)}s (attempt ${entry.attempts + 1})`);
+
+    entry.retryTimer = setTimeout(() => {
+      entry.retryTimer = null;
+      if (this.isMonitoring && this.stations.get(stationName) === entry) {
+        this.attemptConnection(stationName, entry);
       }
-    }, 30000);
+    }, delay);
   }
 
   async stopMonitoring() {
@@ -216,16 +573,28 @@ class RadioMonitor {
 
     logger.info('🛑 Stopping radio monitoring...');
     this.isMonitoring = false;
+    this.stopWatchdog();
 
-    // Close all connections
-    for (const [stationName, station] of this.stations) {
-      if (station.response) {
-        station.response.destroy();
-      }
+    // Close all connections and cancel pending reconnects
+    for (const stationName of Array.from(this.stations.keys())) {
+      this.stopStation(stationName);
     }
 
     this.stations.clear();
     this.lastMetadata.clear();
+    this.committedTitles.clear();
+
+    // Track changes already detected still get recorded and queued for matching; the plays
+    // they started end with the shutdown
+    await Promise.all(Array.from(this.processingTracks));
+    for (const stationName of Array.from(this.currentPlays.keys())) {
+      this.closeCurrentPlay(stationName);
+    }
+    await Promise.all(Array.from(this.pendingEventWrites));
+
+    if (this.metadataCapture) {
+      await this.metadataCapture.close();
+    }
 
     logger.info('✅ Radio monitoring stopped');
   }
@@ -236,10 +605,29 @@ class RadioMonitor {
       stations: {}
     };
 
-    for (const [name, station] of this.stations) {
+    for (const registryStation of this.stationRegistry.getStations()) {
+      const name = registryStation.id;
+      const station = this.stations.get(name);
+
+      if (!station && registryStation.enabled) {
+        continue; // Not being monitored right now
+      }
+
       status.stations[name] = {
-        connected: station.connected,
-        lastTrack: this.lastMetadata.get(name)
+        displayName: registryStation.name,
+        state: station ? station.state : STATION_STATES.DISABLED,
+        source: station ? station.sourceType : null,
+        connected: station ? station.connected : false,
+        attempts: station ? station.attempts : 0,
+        nextRetryAt: station ? station.nextRetryAt : null,
+        lastError: station ? station.lastError : null,
+        connectedAt: station ? station.connectedAt : null,
+        lastByteAt: station && station.lastByteAt ? new Date(station.lastByteAt).toISOString() : null,
+        lastMetadataAt: station && station.lastMetadataAt ? new Date(station.lastMetadataAt).toISOString() : null,
+        bytesReceived: station ? station.bytesReceived : 0,
+        stalls: station ? station.stalls : 0,
+        lastTrack: this.lastMetadata.get(name),
+        pendingTitle: this.pendingTitles.has(name) ? this.pendingTitles.get(name).key : null
       };
     }
 
@@ -247,4 +635,4 @@ class RadioMonitor {
   }
 }
 
-module.exports = RadioMonitor;
\ No newline at end of file
+module.exports = RadioMonitor;
@@ -0,0 +1,247 @@
+const logger = require('../utils/logger');
+const { parseSetting } = require('../utils/settings');
+const { computeBackoffDelay } = require('../utils/backoff');
+
+// Seconds Spotify asks us to wait after a 429 (the header is missing on some responses)
+function retryAfterMs(error) {
+  const header = error.headers && (error.headers['retry-after'] || error.headers['Retry-After']);
+  const seconds = parseInt(header);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Every Spotify Web API call goes through here. At most maxConcurrent requests are in
+ * flight and a token bucket (rate per second, up to burst at once) keeps the stations from
+ * bursting past Spotify's rate limit. A 429 pauses all requests for the Retry-After the
+ * response asked for; 5xx responses and timeouts are retried with exponential backoff.
+ * Other errors go straight back to the caller. Metrics are kept per category.
+ */
+class RequestScheduler {
+  constructor() {
+    this.maxConcurrent = Math.max(1, parseSetting(process.env.SPOTIFY_MAX_CONCURRENT, 4));
+    this.rate = parseSetting(process.env.SPOTIFY_RATE_LIMIT, 5, { float: true }); // requests per second, 0 = unlimited
+    this.burst = Math.max(1, parseSetting(process.env.SPOTIFY_RATE_BURST, 10));
+    this.maxRetries = parseSetting(process.env.SPOTIFY_MAX_RETRIES, 3);
+    this.backoff = {
+      baseMs: parseSetting(process.env.SPOTIFY_RETRY_BASE_DELAY, 1000),
+      maxMs: 60 * 1000,
+      jitter: 0.2
+    };
+    // A longer Retry-After still pauses everything, but the request fails instead of waiting
+    this.maxRetryAfterMs = parseSetting(process.env.SPOTIFY_MAX_RETRY_AFTER, 2 * 60 * 1000);
+
+    this.tokens = this.burst;
+    this.lastRefillAt = Date.now();
+    this.active = 0;
+    this.waiting = []; // Resolvers of requests waiting for a slot, first come first served
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.retryWaits = new Set(); // Wakers of requests waiting to retry
+    this.closed = false;
+    this.metrics = new Map(); // Category -> counters
+  }
+
+  /**
+   * Runs task (a function returning the request's promise) when a slot and a token are
+   * free, retrying it as described above. Resolves or rejects with the task's result.
+   */
+  async schedule(category, task) {
+    const metrics = this.getMetrics(category);
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+      const queuedAt = Date.now();
+      if (!(await this.acquire())) {
+        metrics.failed++;
+        const error = new Error(`Spotify ${category} request cancelled by shutdown`);
+        error.name = 'CancelledError';
+        throw error;
+      }
+      const startedAt = Date.now();
+      metrics.requests++;
+      metrics.queueMs += startedAt - queuedAt;
+
+      let result;
+      let error = null;
+      try {
+        result = await task();
+      } catch (requestError) {
+        error = requestError;
+      }
+      metrics.totalMs += Date.now() - startedAt;
+      // The slot is free again while waiting to retry
+      this.release();
+
+      if (!error) {
+        metrics.succeeded++;
+        return result;
+      }
+
+      const delay = this.retryDelay(error, attempt, metrics);
+      if (delay === null) {
+        metrics.failed++;
+        metrics.lastError = { statusCode: error.statusCode || null, message: error.message, at: new Date().toISOString() };
+        throw error;
+      }
+
+      metrics.retried++;
+      logger.warn(`⏳ Spotify ${category} request failed (${error.statusCode || error.name}), retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${this.maxRetries + 1})`);
+      await this.waitToRetry(delay);
+    }
+  }
+
+  // How long to wait before retrying, or null when the error should be thrown
+  retryDelay(error, attempt, metrics) {
+    if (error.statusCode === 429) {
+      metrics.rateLimited++;
+      const wait = retryAfterMs(error);
+      const pause = wait !== null ? wait : computeBackoffDelay(attempt, this.backoff);
+      // The pause holds back every other request too
+      this.pause(pause);
+      return attempt > this.maxRetries || pause > this.maxRetryAfterMs ? null : pause;
+    }
+
+    if (error.statusCode >= 500 || error.name === 'TimeoutError') {
+      metrics.serverErrors++;
+      return attempt > this.maxRetries ? null : computeBackoffDelay(attempt, this.backoff);
+    }
+
+    return null;
+  }
+
+  pause(ms) {
+    const until = Date.now() + ms;
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      logger.warn(`🚦 Spotify rate limit hit, pausing requests for ${Math.round(ms / 1000)}s`);
+    }
+  }
+
+  // Resolves true once the request may go, or false when the scheduler was closed
+  acquire() {
+    return new Promise(resolve => {
+      if (this.closed) {
+        resolve(false);
+        return;
+      }
+      this.waiting.push(resolve);
+      this.pump();
+    });
+  }
+
+  waitToRetry(ms) {
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.retryWaits.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, ms);
+      this.retryWaits.add(wake);
+    });
+  }
+
+  /**
+   * Shutdown: requests waiting for a slot or a retry fail straight away, as does every
+   * later one. Requests already sent to Spotify finish.
+   */
+  close() {
+    this.closed = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.waiting.splice(0).forEach(resolve => resolve(false));
+    Array.from(this.retryWaits).forEach(wake => wake());
+  }
+
+  release() {
+    this.active--;
+    this.pump();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefillAt) / 1000 * this.rate);
+    this.lastRefillAt = now;
+  }
+
+  // Starts as many waiting requests as the pause, the concurrency cap and the bucket allow
+  pump() {
+    if (this.timer) {
+      return;
+    }
+
+    while (this.waiting.length > 0 && this.active < this.maxConcurrent) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        this.wakeAfter(this.pausedUntil - now);
+        return;
+      }
+
+      if (this.rate > 0) {
+        this.refill();
+        if (this.tokens < 1) {
+          this.wakeAfter((1 - this.tokens) / this.rate * 1000);
+          return;
+        }
+        this.tokens--;
+      }
+
+      this.active++;
+      this.waiting.shift()(true);
+    }
+  }
+
+  wakeAfter(ms) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pump();
+    }, Math.ceil(ms));
+  }
+
+  getMetrics(category) {
+    if (!this.metrics.has(category)) {
+      this.metrics.set(category, {
+        requests: 0,
+        succeeded: 0,
+        failed: 0,
+        retried: 0,
+        rateLimited: 0,
+        serverErrors: 0,
+        totalMs: 0,
+        queueMs: 0,
+        lastError: null
+      });
+    }
+    return this.metrics.get(category);
+  }
+
+  getStats() {
+    const categories = {};
+    for (const [category, metrics] of this.metrics) {
+      const { totalMs, queueMs, ...counts } = metrics;
+      categories[category] = {
+        ...counts,
+        avgMs: metrics.requests > 0 ? Math.round(totalMs / metrics.requests) : null,
+        avgQueueMs: metrics.requests > 0 ? Math.round(queueMs / metrics.requests) : null
+      };
+    }
+
+    return {
+      settings: {
+        maxConcurrent: this.maxConcurrent,
+        rate: this.rate,
+        burst: this.burst,
+        maxRetries: this.maxRetries
+      },
+      active: this.active,
+      queued: this.waiting.length,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      categories
+    };
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,125 @@
+const logger = require('../utils/logger');
+const { parseSetting } = require('../utils/settings');
+
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const DEFAULT_NEGATIVE_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Keeps Spotify search results in SQLite so the same query isn't sent twice within the
+ * TTL: stations repeat songs all day, and re-scoring after a settings change can reuse
+ * what Spotify already returned. Queries with no results are cached too, for a shorter
+ * time (SEARCH_CACHE_NEGATIVE_TTL), so a song Spotify doesn't have doesn't cost a search
+ * on every airing. A TTL of 0 turns that kind of caching off. Failed searches are never cached.
+ */
+class SearchCache {
+  constructor(database) {
+    this.database = database;
+    this.ttl = parseSetting(process.env.SEARCH_CACHE_TTL, DEFAULT_TTL);
+    this.negativeTtl = parseSetting(process.env.SEARCH_CACHE_NEGATIVE_TTL, DEFAULT_NEGATIVE_TTL);
+    this.session = { hits: 0, negativeHits: 0, misses: 0, bypassed: 0, writes: 0, since: new Date().toISOString() };
+  }
+
+  get enabled() {
+    return this.ttl > 0 || this.negativeTtl > 0;
+  }
+
+  // Spotify's search ignores case and extra spaces, so the cache does too
+  createKey(query, market = null) {
+    return `${query.toLowerCase().replace(/\s+/g, ' ').trim()}|${market || ''}`;
+  }
+
+  /**
+   * Cached tracks for a query, or null when it has to be searched. An empty array is a
+   * cached "no results".
+   */
+  async get(query, market = null) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const key = this.createKey(query, market);
+      const entry = await this.database.getCachedSearch(key);
+      if (!entry) {
+        this.session.misses++;
+        return null;
+      }
+
+      this.session.hits++;
+      if (entry.result_count === 0) {
+        this.session.negativeHits++;
+      }
+      await this.database.recordCachedSearchHit(key);
+      return JSON.parse(entry.results);
+    } catch (error) {
+      // A broken cache only costs a search
+      logger.warn(`⚠️ Search cache lookup failed for "${query}": ${error.message}`);
+      this.session.misses++;
+      return null;
+    }
+  }
+
+  async set(query, market, tracks) {
+    const ttl = tracks.length > 0 ? this.ttl : this.negativeTtl;
+    if (ttl <= 0) {
+      return;
+    }
+
+    const now = Date.now();
+    try {
+      await this.database.saveCachedSearch({
+        cacheKey: this.createKey(query, market),
+        query,
+        market,
+        results: tracks,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttl).toISOString()
+      });
+      this.session.writes++;
+    } catch (error) {
+      logger.warn(`⚠️ Could not cache search results for "${query}": ${error.message}`);
+    }
+  }
+
+  // A lookup that skipped the cache on purpose (fresh results were asked for)
+  recordBypass() {
+    this.session.bypassed++;
+  }
+
+  async prune() {
+    try {
+      const removed = await this.database.pruneSearchCache();
+      if (removed > 0) {
+        logger.info(`🧹 Removed ${removed} expired search cache entries`);
+      }
+      return removed;
+    } catch (error) {
+      logger.error('❌ Error pruning search cache:', error);
+      return 0;
+    }
+  }
+
+  async clear() {
+    const removed = await this.database.clearSearchCache();
+    logger.info(`🧹 Cleared ${removed} search cache entries`);
+    return removed;
+  }
+
+  async getStats() {
+    const stored = await this.database.getSearchCacheStats();
+    const lookups = this.session.hits + this.session.misses;
+    return {
+      enabled: this.enabled,
+      ttl: this.ttl,
+      negativeTtl: this.negativeTtl,
+      session: {
+        ...this.session,
+        lookups,
+        hitRate: lookups > 0 ? Math.round(this.session.hits / lookups * 1000) / 10 : null
+      },
+      stored
+    };
+  }
+}
+
+module.exports = SearchCache;
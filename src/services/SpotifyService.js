@@ -1,7 +1,79 @@
 const SpotifyWebApi = require('spotify-web-api-node');
-const stringSimilarity = require('string-similarity');
 const logger = require('../utils/logger');
+const { createError } = require('../utils/errors');
 const DatabaseService = require('../database/DatabaseService');
+const StationRegistry = require('./StationRegistry');
+const EventBus = require('./EventBus');
+const UnmatchedRetryJob = require('./UnmatchedRetryJob');
+const SearchCache = require('./SearchCache');
+const RequestScheduler = require('./RequestScheduler');
+const TrackJobQueue = require('./TrackJobQueue');
+const PlaylistBatcher = require('./PlaylistBatcher');
+const DurationChecker = require('./DurationChecker');
+const { createSongKey, normalizeForSearch } = require('../utils/normalizer');
+const { rankCandidates, summarizeRanking } = require('../utils/matchScoring');
+const { recordingIdentity, groupByRecording } = require('../utils/recording');
+
+// Which playlists get a song that several stations play:
+//   first   - only the first station that played it (one playlist per song)
+//   all     - every station that plays it
+//   primary - the primary station whenever it plays it, otherwise the first station
+const CROSS_STATION_POLICIES = ['first', 'all', 'primary'];
+
+// Candidates kept with a near miss for the reviewer to choose from
+const REVIEW_CANDIDATES = 5;
+
+// Request metrics are kept per category of Web API call
+const REQUEST_CATEGORIES = {
+  refreshAccessToken: 'auth',
+  getMe: 'user',
+  searchTracks: 'search',
+  getTrack: 'tracks',
+  getTracks: 'tracks',
+  getUserPlaylists: 'playlist-read',
+  getPlaylistTracks: 'playlist-read',
+  createPlaylist: 'playlist-write',
+  addTracksToPlaylist: 'playlist-write',
+  replaceTracksInPlaylist: 'playlist-write',
+  removeTracksFromPlaylist: 'playlist-write',
+  unfollowPlaylist: 'playlist-write'
+};
+
+// The parts of a Spotify track worth keeping once the search results are gone
+function compactTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    uri: track.uri,
+    artists: (track.artists || []).map(artist => ({ id: artist.id, name: artist.name })),
+    album: track.album ? { id: track.album.id, name: track.album.name, album_type: track.album.album_type, release_date: track.album.release_date } : null,
+    duration_ms: track.duration_ms,
+    explicit: track.explicit,
+    popularity: track.popularity,
+    is_playable: track.is_playable,
+    external_ids: track.external_ids,
+    external_urls: track.external_urls
+  };
+}
+
+function loadCrossStationSettings() {
+  let policy = process.env.CROSS_STATION_POLICY || 'first';
+  const primaryStation = process.env.PRIMARY_STATION || null;
+
+  if (!CROSS_STATION_POLICIES.includes(policy)) {
+    logger.warn(`⚠️ Unknown CROSS_STATION_POLICY "${policy}" (use ${CROSS_STATION_POLICIES.join(', ')}), using "first"`);
+    policy = 'first';
+  } else if (policy === 'primary' && !primaryStation) {
+    logger.warn('⚠️ CROSS_STATION_POLICY "primary" needs PRIMARY_STATION, using "first"');
+    policy = 'first';
+  }
+
+  return {
+    policy,
+    primaryStation,
+    window: parseInt(process.env.CROSS_STATION_WINDOW, 10) || 60 * 60 * 1000
+  };
+}
 
 class SpotifyService {
   constructor() {
@@ -12,12 +84,31 @@ class SpotifyService {
     });
     
     this.database = new DatabaseService();
+    this.stationRegistry = new StationRegistry(this.database);
+    this.eventBus = new EventBus();
+    this.searchCache = new SearchCache(this.database);
+    this.requestScheduler = new RequestScheduler();
+    this.playlistBatcher = new PlaylistBatcher(this);
+    this.pendingTokenRefresh = null; // Shared by requests that all found the token expired
+    // Searches ask for this market so Spotify marks (and relinks) tracks playable there
+    this.market = process.env.SPOTIFY_MARKET ? process.env.SPOTIFY_MARKET.toUpperCase() : null;
     
     this.userId = null;
     this.playlists = new Map();
     this.playlistTrackCounts = new Map(); // Station name -> track count
-    this.similarityThreshold = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.9;
     this.tokenRefreshInterval = null; // Store the interval ID
+    this.dryRun = false; // Search and record matches without touching Spotify playlists (used by replays)
+    this.offline = false; // No Spotify at all: tracks are recorded but never matched (fake radio, replays)
+    this.crossStation = loadCrossStationSettings();
+    this.recentResolutions = new Map(); // Song key -> { station, resolvedAt, resolution } shared across stations
+    this.trackLocks = new Map(); // Spotify ID -> tail of the playlist decisions queued for that track
+    this.unmatchedRetry = new UnmatchedRetryJob(this);
+    this.trackQueue = new TrackJobQueue(this);
+    this.durationChecker = new DurationChecker(this);
+    
+    // Matching is just another consumer of track changes (through the track queue)
+    this.unsubscribeMatching = this.eventBus.subscribe('track.changed', event => this.handleTrackChanged(event));
+    this.unsubscribeDurationChecks = this.eventBus.subscribe('play.ended', event => this.durationChecker.checkPlay(event.payload.playId, event.payload.stationName));
   }
 
   async initialize() {
@@ -27,6 +118,18 @@ class SpotifyService {
       // Initialize database first
       await this.database.initialize();
       
+      // Load the station registry (needed before playlists can be set up)
+      await this.stationRegistry.initialize();
+      
+      await this.searchCache.prune();
+      
+      if (this.offline) {
+        this.unsubscribeMatching();
+        this.unsubscribeDurationChecks();
+        logger.info('📴 Offline mode: skipping Spotify login, tracks will not be matched');
+        return;
+      }
+      
       // Try to use existing refresh token
       if (process.env.SPOTIFY_REFRESH_TOKEN) {
         this.spotifyApi.setRefreshToken(process.env.SPOTIFY_REFRESH_TOKEN);
@@ -41,11 +144,18 @@ class SpotifyService {
       logger.info(`✅ Authenticated as Spotify user: ${userProfile.body.display_name}`);
       
       // Create/find playlists
-      await this.setupPlaylists();
+      if (this.dryRun) {
+        logger.info('🧪 Dry run: skipping playlist setup');
+      } else {
+        await this.setupPlaylists();
+      }
       
       // Start periodic token refresh (every 50 minutes, tokens expire after 60 minutes)
       this.startTokenRefreshTimer();
       
+      // Match what was queued before the last shutdown, then keep up with new tracks
+      await this.trackQueue.start();
+      
       logger.info('✅ Spotify service initialized successfully');
       
     } catch (error) {
@@ -73,7 +183,7 @@ class SpotifyService {
 
   async refreshAccessToken() {
     try {
-      const data = await this.spotifyApi.refreshAccessToken();
+      const data = await this.requestScheduler.schedule('auth', () => this.spotifyApi.refreshAccessToken());
       this.spotifyApi.setAccessToken(data.body.access_token);
       
       // Update refresh token if provided
@@ -89,9 +199,13 @@ class SpotifyService {
     }
   }
 
+  // Every Web API call goes through the request scheduler (rate limits, 429s and 5xx retries)
   async makeSpotifyRequest(requestFn, ...args) {
+    const category = REQUEST_CATEGORIES[requestFn.name] || 'other';
+    const request = () => this.requestScheduler.schedule(category, () => requestFn.apply(this.spotifyApi, args));
+    
     try {
-      return await requestFn.apply(this.spotifyApi, args);
+      return await request();
     } catch (error) {
       // Check if the error is due to expired access token
       if (error.statusCode === 401 || 
@@ -99,9 +213,14 @@ class SpotifyService {
         logger.info('🔄 Access token expired, attempting to refresh...');
         
         try {
-          await this.refreshAccessToken();
+          if (!this.pendingTokenRefresh) {
+            this.pendingTokenRefresh = this.refreshAccessToken().finally(() => {
+              this.pendingTokenRefresh = null;
+            });
+          }
+          await this.pendingTokenRefresh;
           // Retry the original request
-          return await requestFn.apply(this.spotifyApi, args);
+          return await request();
         } catch (refreshError) {
           logger.error('❌ Failed to refresh token and retry request:', refreshError);
           throw refreshError;
@@ -142,59 +261,81 @@ class SpotifyService {
   }
 
   async setupPlaylists() {
-    const stationNames = ['Main', 'Movies', 'Oldies', 'Kids'];
+    const stations = this.stationRegistry.getEnabledStations();
+    
+    logger.info(`🎵 Setting up playlists for ${stations.length} stations...`);
+    
+    for (const station of stations) {
+      await this.setupStationPlaylist(station);
+    }
+    
+    logger.info(`✅ Successfully set up ${this.playlists.size} playlists`);
+  }
+
+  async setupStationPlaylist(station) {
+    const playlistName = this.stationRegistry.getPlaylistName(station);
     
-    logger.info(`🎵 Setting up playlists for ${stationNames.length} stations...`);
+    if (this.offline) {
+      return;
+    }
     
-    for (const station of stationNames) {
-      const playlistName = `Halloween Radio - ${station}`;
+    try {
+      logger.info(`🔍 Setting up playlist for ${station.name}...`);
       
-      try {
-        logger.info(`🔍 Setting up playlist for ${station}...`);
-        
-        // Check if playlist already exists
-        let playlist = await this.findPlaylistByName(playlistName);
-        
-        if (!playlist) {
-          // Create new playlist
-          logger.info(`📝 Creating new playlist: ${playlistName}`);
-          try {
-            const response = await this.makeSpotifyRequest(this.spotifyApi.createPlaylist, playlistName, {
-              description: `Automatically curated tracks from Halloween Radio ${station} station`,
-              public: false
-            });
-            playlist = response.body || response;
-            logger.info(`✅ Created playlist: ${playlistName} (ID: ${playlist.id})`);
-          } catch (createError) {
-            logger.error(`❌ Error creating playlist ${playlistName}:`, createError.message);
-            logger.debug('Create error details:', createError);
-            throw createError;
-          }
-        } else {
-          logger.info(`✅ Using existing playlist: ${playlistName} (ID: ${playlist.id})`);
-        }
-        
-        if (!playlist || !playlist.id) {
-          throw new Error(`Invalid playlist object for ${station}: ${JSON.stringify(playlist)}`);
+      // Check if playlist already exists
+      let playlist = await this.findPlaylistByName(playlistName);
+      
+      if (!playlist) {
+        // Create new playlist
+        logger.info(`📝 Creating new playlist: ${playlistName}`);
+        try {
+          const response = await this.makeSpotifyRequest(this.spotifyApi.createPlaylist, playlistName, {
+            description: `Automatically curated tracks from Halloween Radio ${station.name} station`,
+            public: false
+          });
+          playlist = response.body || response;
+          logger.info(`✅ Created playlist: ${playlistName} (ID: ${playlist.id})`);
+        } catch (createError) {
+          logger.error(`❌ Error creating playlist ${playlistName}:`, createError.message);
+          logger.debug('Create error details:', createError);
+          throw createError;
         }
-        
-        // Store the playlist
-        this.playlists.set(station.toLowerCase(), playlist);
-        
-        // Update playlist info in database
-        await this.database.updatePlaylistInfo(station, playlist.id, playlistName);
-        
-        // Load existing tracks to prevent duplicates
-        logger.info(`📚 Loading existing tracks from ${playlistName}...`);
-        await this.loadExistingTracks(playlist.id, station);
-        
-      } catch (error) {
-        logger.error(`❌ Failed to setup playlist for ${station}:`, error.message);
-        throw error;
+      } else {
+        logger.info(`✅ Using existing playlist: ${playlistName} (ID: ${playlist.id})`);
+      }
+      
+      if (!playlist || !playlist.id) {
+        throw new Error(`Invalid playlist object for ${station.name}: ${JSON.stringify(playlist)}`);
       }
+      
+      // Store the playlist
+      this.playlists.set(station.id, playlist);
+      
+      // Update playlist info in database
+      await this.database.updatePlaylistInfo(station.name, playlist.id, playlistName);
+      
+      // Load existing tracks to prevent duplicates
+      logger.info(`📚 Loading existing tracks from ${playlistName}...`);
+      await this.loadExistingTracks(playlist.id, station.id);
+      
+      return playlist;
+    } catch (error) {
+      logger.error(`❌ Failed to setup playlist for ${station.name}:`, error.message);
+      throw error;
     }
-    
-    logger.info(`✅ Successfully set up ${this.playlists.size} playlists`);
+  }
+
+  releaseStationPlaylist(stationId) {
+    // Stop routing tracks to this station's playlist; the playlist itself is kept on Spotify
+    this.playlists.delete(stationId);
+    this.playlistTrackCounts.delete(stationId);
+  }
+
+  isManagedPlaylistName(name) {
+    if (name.startsWith('Halloween Radio - ')) {
+      return true;
+    }
+    return this.stationRegistry.getStations().some(station => this.stationRegistry.getPlaylistName(station) === name);
   }
 
   async findPlaylistByName(name) {
@@ -342,10 +483,10 @@ class SpotifyService {
         logger.info(`🧹 Clearing entire playlist...`);
         await this.makeSpotifyRequest(this.spotifyApi.replaceTracksInPlaylist, playlistId, []);
         
-        // Add back only unique tracks
+        // Add back only unique tracks, in order (in batches of up to 100)
         if (allTracks.length > 0) {
           logger.info(`➕ Adding back ${allTracks.length} unique tracks...`);
-          await this.makeSpotifyRequest(this.spotifyApi.addTracksToPlaylist, playlistId, allTracks);
+          await Promise.all(allTracks.map(uri => this.playlistBatcher.add(playlistId, uri)));
         }
         
         logger.info(`✅ Playlist rebuilt: removed ${duplicatePositions.length} duplicates, kept ${allTracks.length} unique tracks`);
@@ -362,231 +503,345 @@ class SpotifyService {
     }
   }
 
-  async searchAndAddTrack(station, artist, title, metadata) {
-    try {
-      // Create search query
-      // Try multiple search strategies for better results
-      let tracks = [];
-      const searchQueries = [
-        `artist:"${artist}" track:"${title}"`,  // Exact match
-        `"${artist}" "${title}"`,               // Quoted terms
-        `${artist} ${title}`,                   // Simple search
-        title.includes('~') ? `"${title.split('~')[0].trim()}" "${artist}"` : null, // Handle ~ separator
-        title.includes('~') ? `"${title.split('~')[0].trim()}"` : null  // Just the song title before ~
-      ].filter(Boolean);
-      
-      logger.info(`🔍 Searching for: ${artist} - ${title} (${station})`);
-      
-      // Try each search strategy until we find results
-      for (const query of searchQueries) {
-        try {
-          const searchResults = await this.makeSpotifyRequest(this.spotifyApi.searchTracks, query, { limit: 20 });
-          const currentTracks = ((searchResults.body || searchResults).tracks || {}).items || [];
-          
-          if (currentTracks.length > 0) {
-            tracks = currentTracks;
-            logger.info(`📊 Found ${tracks.length} results with query: ${query}`);
-            break;
-          } else {
-            logger.info(`📊 No results for query: ${query}`);
-          }
-        } catch (searchError) {
-          logger.warn(`⚠️ Search failed for query "${query}": ${searchError.message}`);
-        }
-      }
-      
-      if (tracks.length === 0) {
-        await this.logUnmatchedTrack(station, metadata, 'No search results', [], null);
-        return false;
-      }
-      
-      // Find best match
-      const bestMatch = this.findBestMatch(artist, title, tracks);
-      
-      if (!bestMatch) {
-        // For unmatched tracks, still try to find the best match without threshold for logging
-        const bestMatchForLogging = this.findBestMatchForLogging(artist, title, tracks);
-        await this.logUnmatchedTrack(station, metadata, 'No suitable match found', tracks.slice(0, 3), bestMatchForLogging);
-        return false;
-      }
-      
-      // Check if already added using database
-      if (await this.database.isTrackAlreadyAdded(bestMatch.track.id)) {
-        logger.info(`⚠️ Track already exists: ${bestMatch.track.artists[0].name} - ${bestMatch.track.name}`);
-        
-        // Update daily stats for duplicate
-        await this.database.updateDailyStats(station, 'duplicate');
-        
-        return false;
+  async handleTrackChanged(event) {
+    const track = event.payload;
+    
+    // Jingles, ads, talk and station IDs are recorded but never searched
+    if (track.contentType && track.contentType !== 'music') {
+      return;
+    }
+    
+    // The track is safe in the queue once this resolves; workers do the matching
+    await this.trackQueue.enqueue({
+      station: track.station,
+      stationName: track.stationName,
+      artist: track.artist,
+      title: track.title,
+      original: track.original,
+      playId: track.playId,
+      correlationId: event.correlationId,
+      detectedAt: event.timestamp
+    });
+  }
+
+  publishTrackEvent(type, station, metadata, details = {}) {
+    return this.eventBus.publish(type, {
+      station: metadata.station || station.toLowerCase(),
+      stationName: station,
+      artist: metadata.artist,
+      title: metadata.title,
+      playId: metadata.playId || null,
+      ...details
+    }, metadata.correlationId);
+  }
+
+  formatSpotifyTrack(track) {
+    return {
+      id: track.id,
+      artist: track.artists[0].name,
+      title: track.name,
+      url: track.external_urls.spotify
+    };
+  }
+
+  // Stations often play the same song within minutes of each other, so one search is
+  // shared by every station that plays the song within the window (each station still
+  // scores the results with its own settings). Concurrent sightings wait for the same search.
+  resolveSong(station, stationKey, artist, title) {
+    // Keys use the default normalization so every station's sightings line up
+    const key = createSongKey(artist, title, this.stationRegistry.defaultNormalizer);
+    const now = Date.now();
+    
+    for (const [cachedKey, cached] of this.recentResolutions) {
+      if (now - cached.resolvedAt > this.crossStation.window) {
+        this.recentResolutions.delete(cachedKey);
       }
-      
-      // Add to playlist
-      const playlist = this.playlists.get(station.toLowerCase());
-      if (!playlist) {
-        logger.error(`❌ Playlist not found for station: ${station}`);
-        return false;
+    }
+    
+    const cached = this.recentResolutions.get(key);
+    if (cached) {
+      logger.info(`🔗 Reusing ${cached.station}'s search results for ${artist} - ${title} (${station})`);
+      return cached.resolution;
+    }
+    
+    const entry = { station, resolvedAt: now, resolution: null };
+    const forget = () => {
+      if (this.recentResolutions.get(key) === entry) {
+        this.recentResolutions.delete(key);
       }
-      
+    };
+    
+    entry.resolution = this.searchTracks(station, stationKey, artist, title)
+      .then(({ tracks, failed }) => {
+        // A search that only failed says nothing about the song, so don't share it
+        if (failed && tracks.length === 0) {
+          forget();
+        }
+        return { tracks, failed };
+      })
+      .catch(error => {
+        forget();
+        throw error;
+      });
+    
+    this.recentResolutions.set(key, entry);
+    return entry.resolution;
+  }
+
+  // options.refresh skips cached results (the fresh ones are still cached)
+  async searchTracks(station, stationKey, artist, title, options = {}) {
+    // Queries use the normalized names: "(Remastered 2009)", "~ From the Movie ..." and
+    // the like only get in the way of Spotify's search
+    const query = normalizeForSearch(artist, title, this.stationRegistry.getNormalizer(stationKey));
+    let tracks = [];
+    let failed = false;
+    const searchQueries = [
+      `artist:"${query.artist}" track:"${query.title}"`,  // Exact match
+      `"${query.artist}" "${query.title}"`,               // Quoted terms
+      `${query.artist} ${query.title}`,                   // Simple search
+      query.title !== title ? `"${query.title}"` : null   // Just the cleaned-up title
+    ].filter(Boolean);
+    
+    logger.info(`🔍 Searching for: ${query.artist} - ${query.title} (${station})`);
+    
+    // Try each search strategy until we find results
+    for (const query of searchQueries) {
       try {
-        await this.makeSpotifyRequest(this.spotifyApi.addTracksToPlaylist, playlist.id, [`spotify:track:${bestMatch.track.id}`]);
-      } catch (playlistError) {
-        logger.error(`❌ Failed to add track to Spotify playlist: ${playlistError.message}`);
-        await this.logUnmatchedTrack(station, metadata, `Spotify API error: ${playlistError.message}`, [], bestMatch);
-        return false;
+        const { tracks: currentTracks, cached } = await this.cachedSearch(query, options);
+        
+        if (currentTracks.length > 0) {
+          tracks = currentTracks;
+          logger.info(`📊 Found ${tracks.length} results with query: ${query}${cached ? ' (cached)' : ''}`);
+          break;
+        } else {
+          logger.info(`📊 No results for query: ${query}${cached ? ' (cached)' : ''}`);
+        }
+      } catch (searchError) {
+        logger.warn(`⚠️ Search failed for query "${query}": ${searchError.message}`);
+        failed = true;
       }
-      
-      // Update track count for this station
-      const currentCount = this.playlistTrackCounts.get(station.toLowerCase()) || 0;
-      this.playlistTrackCounts.set(station.toLowerCase(), currentCount + 1);
-      
-      // Save to database
-      const matchDetails = {
-        timestamp: new Date().toISOString(),
-        station,
-        metadata: {
-          artist: artist,
-          title: title,
-          original: metadata.original || `${artist} - ${title}`
-        },
-        spotifyMatch: {
-          artist: bestMatch.track.artists[0].name,
-          title: bestMatch.track.name,
-          id: bestMatch.track.id,
-          url: bestMatch.track.external_urls.spotify
-        },
-        percentage: Math.round(bestMatch.similarity * 100),
-        playlist: playlist.name
-      };
-      
-      const dbResult = await this.database.addMatchedTrack(matchDetails);
-      
-      if (dbResult === null) {
-        // Track was already in database (duplicate)
-        logger.info(`📋 Track already exists in database, but successfully added to playlist: ${bestMatch.track.artists[0].name} - ${bestMatch.track.name}`);
-      } else {
-        logger.info(`✅ Added to ${station}: ${bestMatch.track.artists[0].name} - ${bestMatch.track.name} (${Math.round(bestMatch.similarity * 100)}% match)`);
+    }
+    
+    return { tracks, failed };
+  }
+
+  async cachedSearch(query, { refresh = false } = {}) {
+    if (refresh) {
+      this.searchCache.recordBypass();
+    } else {
+      const cachedTracks = await this.searchCache.get(query, this.market);
+      if (cachedTracks) {
+        return { tracks: cachedTracks, cached: true };
       }
-      
-      return true;
-      
-    } catch (error) {
-      logger.error(`❌ Error adding track to ${station}:`, error);
-      await this.logUnmatchedTrack(station, metadata, `Error: ${error.message}`, [], null);
-      return false;
     }
+    
+    const searchResults = await this.makeSpotifyRequest(this.spotifyApi.searchTracks, query, this.searchOptions(20));
+    const tracks = (((searchResults.body || searchResults).tracks || {}).items || []).map(compactTrack);
+    await this.searchCache.set(query, this.market, tracks);
+    return { tracks, cached: false };
+  }
+
+  searchOptions(limit) {
+    return this.market ? { limit, market: this.market } : { limit };
   }
 
-  findBestMatch(artist, title, tracks) {
-    let bestMatch = null;
-    let bestSimilarity = 0;
+  // Whether a matched track (or another release of the same recording) is already where
+  // the cross-station policy would put it for this station
+  async isTrackInPlaylists(spotifyId, stationKey, station, identity = {}) {
+    const { policy, primaryStation } = this.crossStation;
     
-    // Clean the search terms for better matching
-    const cleanArtist = artist.toLowerCase().replace(/[^\w\s]/g, '').trim();
-    const cleanTitle = title.toLowerCase().replace(/[^\w\s]/g, '').trim();
+    if (policy === 'all' || (policy === 'primary' && stationKey === primaryStation)) {
+      return this.database.isTrackInStationPlaylist(spotifyId, stationKey, station, identity);
+    }
+    return this.database.isTrackAlreadyAdded(spotifyId, identity);
+  }
+
+  // Errors (Spotify down, the token refresh failing) are thrown rather than logged as
+  // unmatched: the track queue retries the track later
+  async searchAndAddTrack(station, artist, title, metadata) {
+    const stationKey = metadata.station || station.toLowerCase();
+    const songKey = createSongKey(artist, title, this.stationRegistry.defaultNormalizer);
     
-    for (const track of tracks) {
-      const trackArtist = track.artists.map(a => a.name).join(' ').toLowerCase().replace(/[^\w\s]/g, '').trim();
-      const trackTitle = track.name.toLowerCase().replace(/[^\w\s]/g, '').trim();
-      
-      // Calculate multiple similarity metrics
-      const artistSimilarity = stringSimilarity.compareTwoStrings(cleanArtist, trackArtist);
-      const titleSimilarity = stringSimilarity.compareTwoStrings(cleanTitle, trackTitle);
-      
-      // Check for partial matches (useful for songs with subtitles, etc.)
-      const artistContains = trackArtist.includes(cleanArtist) || cleanArtist.includes(trackArtist) ? 0.8 : 0;
-      const titleContains = trackTitle.includes(cleanTitle) || cleanTitle.includes(trackTitle) ? 0.8 : 0;
-      
-      // Use the best similarity score for each field
-      const finalArtistSimilarity = Math.max(artistSimilarity, artistContains);
-      const finalTitleSimilarity = Math.max(titleSimilarity, titleContains);
-      
-      // Weighted combination (title is slightly more important)
-      const combinedSimilarity = (finalArtistSimilarity * 0.4) + (finalTitleSimilarity * 0.6);
-      
-      if (combinedSimilarity > bestSimilarity && combinedSimilarity >= 0.75) { // Lowered from 0.9 to 0.75
-        bestSimilarity = combinedSimilarity;
-        bestMatch = {
-          track,
-          similarity: combinedSimilarity
-        };
+    // A permanent answer for this song beats any search
+    const override = await this.database.getMatchOverride(songKey);
+    if (override) {
+      return await this.applyMatchOverride(station, stationKey, artist, title, metadata, override);
+    }
+    
+    const { tracks, failed } = await this.resolveSong(station, stationKey, artist, title);
+    
+    if (tracks.length === 0) {
+      if (failed) {
+        throw createError('Spotify search failed', 503);
       }
+      await this.logUnmatchedTrack(station, metadata, 'No search results', [], null);
+      return false;
     }
     
-    // Log the best match details for debugging
-    if (bestMatch) {
-      logger.info(`🎯 Best match: ${bestMatch.track.artists[0].name} - ${bestMatch.track.name} (${Math.round(bestMatch.similarity * 100)}%)`);
+    // A play that has already ended (the track waited in the queue) tells how long the song was
+    const play = metadata.playId ? await this.database.getPlay(metadata.playId) : null;
+    const observedMs = await this.durationChecker.observedDuration(play);
+    
+    const { ranking, scoreDetails } = await this.rankSearchResults(stationKey, songKey, artist, title, tracks, observedMs);
+    const bestMatch = ranking.best;
+    
+    if (!bestMatch) {
+      if (ranking.nearMiss) {
+        await this.queueForReview(station, stationKey, songKey, metadata, ranking, scoreDetails);
+        return false;
+      }
+      
+      // Log the closest candidate (below the threshold) and why it fell short
+      const reason = ranking.candidates.length === 0 ? 'All candidates rejected in review' : 'No suitable match found';
+      await this.logUnmatchedTrack(station, metadata, reason, tracks.slice(0, 3), ranking.top, scoreDetails);
+      return false;
     }
     
-    return bestMatch;
+    const approved = bestMatch.breakdown.decision === 'approved' ? ', approved in review' : '';
+    logger.info(`🎯 Best match: ${bestMatch.track.artists[0].name} - ${bestMatch.track.name} (${Math.round(bestMatch.similarity * 100)}%${approved})`);
+    
+    return await this.acceptMatch(station, stationKey, artist, title, metadata, bestMatch, scoreDetails);
+  }
+
+  async rankSearchResults(stationKey, songKey, artist, title, tracks, observedMs = null) {
+    // Earlier review decisions about this song take precedence over the scores
+    const decisions = await this.database.getReviewDecisions(songKey);
+    const scoring = this.stationRegistry.getScoring(stationKey);
+    const ranking = rankCandidates(artist, title, tracks, scoring, this.stationRegistry.getNormalizer(stationKey), decisions, observedMs);
+    return { ranking, scoreDetails: summarizeRanking(ranking, scoring) };
   }
 
-  findBestMatchForLogging(artist, title, tracks) {
-    let bestMatch = null;
-    let bestSimilarity = 0;
+  async acceptMatch(station, stationKey, artist, title, metadata, bestMatch, scoreDetails) {
+    // The play is resolved even if the track turns out to be in a playlist already
+    if (metadata.playId) {
+      await this.database.linkPlayToTrack(metadata.playId, bestMatch.track.id, bestMatch.track.external_urls.spotify, bestMatch.track.duration_ms);
+    }
+    await this.database.recordTrackStation(bestMatch.track.id, stationKey, metadata.timestamp);
     
-    // Clean the search terms for better matching
-    const cleanArtist = artist.toLowerCase().replace(/[^\w\s]/g, '').trim();
-    const cleanTitle = title.toLowerCase().replace(/[^\w\s]/g, '').trim();
+    await this.publishTrackEvent('track.matched', station, metadata, {
+      spotifyTrack: this.formatSpotifyTrack(bestMatch.track),
+      percentage: Math.round(bestMatch.similarity * 100)
+    });
     
-    for (const track of tracks) {
-      const trackArtist = track.artists.map(a => a.name).join(' ').toLowerCase().replace(/[^\w\s]/g, '').trim();
-      const trackTitle = track.name.toLowerCase().replace(/[^\w\s]/g, '').trim();
-      
-      // Calculate multiple similarity metrics
-      const artistSimilarity = stringSimilarity.compareTwoStrings(cleanArtist, trackArtist);
-      const titleSimilarity = stringSimilarity.compareTwoStrings(cleanTitle, trackTitle);
-      
-      // Check for partial matches (useful for songs with subtitles, etc.)
-      const artistContains = trackArtist.includes(cleanArtist) || cleanArtist.includes(trackArtist) ? 0.8 : 0;
-      const titleContains = trackTitle.includes(cleanTitle) || cleanTitle.includes(trackTitle) ? 0.8 : 0;
-      
-      // Use the best similarity score for each field
-      const finalArtistSimilarity = Math.max(artistSimilarity, artistContains);
-      const finalTitleSimilarity = Math.max(titleSimilarity, titleContains);
+    // Stations that match the same track at the same moment must not both decide to add it
+    const added = await this.withTrackLock(bestMatch.track.id, () => this.addToStationPlaylist(station, stationKey, artist, title, metadata, bestMatch, scoreDetails));
+    
+    // If the play has already ended, its duration can be checked straight away
+    if (metadata.playId) {
+      await this.durationChecker.checkPlay(metadata.playId, station);
+    }
+    return added;
+  }
+
+  async withTrackLock(spotifyId, task) {
+    const current = (this.trackLocks.get(spotifyId) || Promise.resolve())
+      .catch(() => {})
+      .then(task);
+    this.trackLocks.set(spotifyId, current);
+    
+    try {
+      return await current;
+    } finally {
+      if (this.trackLocks.get(spotifyId) === current) {
+        this.trackLocks.delete(spotifyId);
+      }
+    }
+  }
+
+  async addToStationPlaylist(station, stationKey, artist, title, metadata, bestMatch, scoreDetails) {
+    // Check if already added using database; other releases of the recording count too
+    const identity = recordingIdentity(bestMatch.track);
+    if (await this.isTrackInPlaylists(bestMatch.track.id, stationKey, station, identity)) {
+      logger.info(`⚠️ Track already exists: ${bestMatch.track.artists[0].name} - ${bestMatch.track.name}${identity.isrc ? ` (ISRC ${identity.isrc})` : ''}`);
       
-      // Weighted combination (title is slightly more important)
-      const combinedSimilarity = (finalArtistSimilarity * 0.4) + (finalTitleSimilarity * 0.6);
+      // Update daily stats for duplicate
+      await this.database.updateDailyStats(station, 'duplicate');
       
-      // No threshold constraint for logging purposes
-      if (combinedSimilarity > bestSimilarity) {
-        bestSimilarity = combinedSimilarity;
-        bestMatch = {
-          track,
-          similarity: combinedSimilarity
-        };
+      return false;
+    }
+    
+    // Other stations' playlists may already have it (all and primary policies)
+    const inOtherPlaylist = await this.database.isTrackAlreadyAdded(bestMatch.track.id, identity);
+    
+    // Add to playlist
+    let playlist = this.playlists.get(stationKey);
+    if (!playlist && this.dryRun) {
+      // Dry runs never set up playlists; record the match against the playlist it would go to
+      const registered = this.stationRegistry.getStation(stationKey);
+      playlist = { id: null, name: registered ? this.stationRegistry.getPlaylistName(registered) : `Halloween Radio - ${station}` };
+    }
+    if (!playlist) {
+      logger.error(`❌ Playlist not found for station: ${station}`);
+      return false;
+    }
+    
+    if (this.dryRun) {
+      logger.info(`🧪 Dry run: not adding ${bestMatch.track.artists[0].name} - ${bestMatch.track.name} to ${playlist.name}`);
+    } else {
+      try {
+        // Resolves once the batch with this track is confirmed; nothing is recorded before that
+        await this.playlistBatcher.add(playlist.id, `spotify:track:${bestMatch.track.id}`);
+      } catch (playlistError) {
+        // Thrown so the caller can try again later (the track queue reschedules the job)
+        logger.error(`❌ Failed to add track to Spotify playlist: ${playlistError.message}`);
+        throw playlistError;
       }
     }
     
-    return bestMatch;
-  }
-
-  async logUnmatchedTrack(station, metadata, reason, searchResults = [], bestMatchForLogging = null) {
-    // Filter out obvious non-music tracks to reduce clutter
-    const artist = metadata.artist.toLowerCase();
-    const title = metadata.title.toLowerCase();
-    
-    // Skip logging for these obvious non-music entries
-    const skipPatterns = [
-      'azuracast',
-      'halloweenradio',
-      'commercials',
-      'jingle',
-      'station id',
-      'radio id',
-      'live!',
-      'streaming'
-    ];
+    // Update track count for this station
+    const currentCount = this.playlistTrackCounts.get(stationKey) || 0;
+    this.playlistTrackCounts.set(stationKey, currentCount + 1);
+    
+    // Save to database
+    const matchDetails = {
+      timestamp: new Date().toISOString(),
+      station,
+      metadata: {
+        artist: artist,
+        title: title,
+        original: metadata.original || `${artist} - ${title}`
+      },
+      spotifyMatch: {
+        artist: bestMatch.track.artists[0].name,
+        title: bestMatch.track.name,
+        id: bestMatch.track.id,
+        url: bestMatch.track.external_urls.spotify,
+        isrc: identity.isrc,
+        recordingKey: identity.recordingKey
+      },
+      percentage: Math.round(bestMatch.similarity * 100),
+      playlist: playlist.name,
+      scoreDetails
+    };
     
-    const shouldSkip = skipPatterns.some(pattern => 
-      artist.includes(pattern) || title.includes(pattern)
-    );
+    await this.database.markTrackAddedToStation(bestMatch.track.id, stationKey, identity);
     
-    if (shouldSkip) {
-      logger.info(`⏭️ Skipping non-music track: ${metadata.artist} - ${metadata.title}`);
-      return;
+    if (inOtherPlaylist) {
+      // matched_tracks keeps one row per song (from the first station); later stations
+      // are only recorded in track_stations
+      await this.database.updateDailyStats(station, 'matched', matchDetails.percentage);
+      logger.info(`✅ Added to ${station} as well: ${bestMatch.track.artists[0].name} - ${bestMatch.track.name} (${matchDetails.percentage}% match)`);
+    } else {
+      const dbResult = await this.database.addMatchedTrack(matchDetails);
+      
+      if (dbResult === null) {
+        // Track was already in database (duplicate)
+        logger.info(`📋 Track already exists in database, but successfully added to playlist: ${bestMatch.track.artists[0].name} - ${bestMatch.track.name}`);
+      } else {
+        logger.info(`✅ Added to ${station}: ${bestMatch.track.artists[0].name} - ${bestMatch.track.name} (${Math.round(bestMatch.similarity * 100)}% match)`);
+      }
     }
     
-    // Calculate best match percentage from search results or use provided match
+    await this.publishTrackEvent('track.added', station, metadata, {
+      playlist: { id: playlist.id, name: playlist.name },
+      spotifyTrack: this.formatSpotifyTrack(bestMatch.track),
+      percentage: Math.round(bestMatch.similarity * 100)
+    });
+    
+    return true;
+  }
+
+  async logUnmatchedTrack(station, metadata, reason, searchResults = [], bestMatchForLogging = null, scoreDetails = null) {
     let bestMatchPercentage = 0;
     let bestSpotifyMatch = null;
     
@@ -597,16 +852,6 @@ class SpotifyService {
         title: bestMatchForLogging.track.name,
         id: bestMatchForLogging.track.id
       };
-    } else if (searchResults.length > 0) {
-      const bestResult = this.findBestMatchForLogging(metadata.artist, metadata.title, searchResults);
-      if (bestResult) {
-        bestMatchPercentage = Math.round(bestResult.similarity * 100);
-        bestSpotifyMatch = {
-          artist: bestResult.track.artists[0].name,
-          title: bestResult.track.name,
-          id: bestResult.track.id
-        };
-      }
     }
     
     const unmatchDetails = {
@@ -620,13 +865,383 @@ class SpotifyService {
       spotifyMatch: bestSpotifyMatch,
       percentage: bestMatchPercentage,
       reason,
-      searchResultsCount: searchResults.length
+      searchResultsCount: searchResults.length,
+      scoreDetails
     };
     
     // Save to database instead of files
     await this.database.addUnmatchedTrack(unmatchDetails);
     
     logger.warn(`⚠️ Unmatched track (${station}): ${metadata.artist} - ${metadata.title} | Reason: ${reason} | Best match: ${bestMatchPercentage}%`);
+    
+    await this.publishTrackEvent('track.unmatched', station, metadata, {
+      reason,
+      bestMatch: bestSpotifyMatch,
+      percentage: bestMatchPercentage
+    });
+  }
+
+  // ==================== REVIEW QUEUE ====================
+
+  // flag marks a match already made that needs a second look: { reason, matchedSpotifyId }
+  async queueForReview(station, stationKey, songKey, metadata, ranking, scoreDetails, flag = {}) {
+    const top = ranking.top;
+    const percentage = Math.round(top.similarity * 100);
+    
+    // The reviewer should always see the track a flagged song was matched to
+    const candidates = ranking.candidates.slice(0, REVIEW_CANDIDATES);
+    const matched = ranking.candidates.find(candidate => candidate.track.id === flag.matchedSpotifyId);
+    if (matched && !candidates.includes(matched)) {
+      candidates[candidates.length - 1] = matched;
+    }
+    
+    const { id, created } = await this.database.addPendingReview({
+      songKey,
+      station,
+      stationId: stationKey,
+      metadata: {
+        artist: metadata.artist,
+        title: metadata.title,
+        original: metadata.original || `${metadata.artist} - ${metadata.title}`,
+        playId: metadata.playId
+      },
+      reason: flag.reason,
+      matchedSpotifyId: flag.matchedSpotifyId,
+      candidates: candidates.map(candidate => ({
+        track: compactTrack(candidate.track),
+        similarity: candidate.similarity,
+        breakdown: candidate.breakdown
+      })),
+      percentage,
+      scoreDetails
+    });
+    
+    logger.info(`🕵️ ${created ? 'Queued for review' : 'Still waiting for review'} (#${id}, ${station}${flag.reason ? `, ${flag.reason}` : ''}): ${metadata.artist} - ${metadata.title} → ${top.track.artists[0].name} - ${top.track.name} (${percentage}%)`);
+    
+    await this.publishTrackEvent('review.queued', station, metadata, {
+      reviewId: id,
+      bestMatch: this.formatSpotifyTrack(top.track),
+      percentage
+    });
+  }
+
+  async getReviewQueue(status = 'pending', limit = 100, offset = 0, stationId = null) {
+    const [items, counts] = await Promise.all([
+      this.database.getPendingReviews(status, limit, offset, stationId),
+      this.database.getPendingReviewCounts()
+    ]);
+    return { items, counts };
+  }
+
+  async getPendingReviewOrThrow(reviewId) {
+    const review = await this.database.getPendingReview(reviewId);
+    if (!review) {
+      throw createError(`Review ${reviewId} not found`, 404);
+    }
+    if (review.status !== 'pending') {
+      throw createError(`Review ${reviewId} was already ${review.status}`, 409);
+    }
+    return review;
+  }
+
+  reviewMetadata(review) {
+    return {
+      artist: review.radio_artist,
+      title: review.radio_title,
+      original: review.radio_original,
+      station: review.station_id,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Approves the top candidate, or the candidate with spotifyId ("pick a different one").
+  // The track is added like any other match, and later sightings of the song match it.
+  // For a flagged match, approving the matched track keeps it; approving another one
+  // replaces it.
+  async approveReview(reviewId, spotifyId = null) {
+    const review = await this.getPendingReviewOrThrow(reviewId);
+    const candidates = JSON.parse(review.candidates);
+    const chosen = spotifyId ? candidates.find(candidate => candidate.track.id === spotifyId) : candidates[0];
+    if (!chosen) {
+      throw createError(`Spotify track ${spotifyId} is not a candidate for review ${reviewId}`, 400);
+    }
+    
+    const metadata = this.reviewMetadata(review);
+    if (review.matched_spotify_id === chosen.track.id) {
+      return await this.confirmFlaggedMatch(review, chosen, metadata);
+    }
+    if (review.matched_spotify_id) {
+      await this.takeBackMatch(review);
+    }
+    
+    const bestMatch = { ...chosen, breakdown: { ...chosen.breakdown, decision: 'approved' } };
+    const scoreDetails = {
+      ...(review.score_details ? JSON.parse(review.score_details) : {}),
+      matched: true,
+      review: { id: review.id, decision: 'approved', spotifyId: chosen.track.id, reviewedAt: metadata.timestamp }
+    };
+    
+    logger.info(`👍 Review #${review.id} approved: ${review.radio_artist} - ${review.radio_title} → ${chosen.track.artists[0].name} - ${chosen.track.name}`);
+    
+    // Every play of the song while it waited gets the track
+    await this.database.linkUnresolvedPlays(review.station_id, review.radio_artist, review.radio_title, chosen.track.id, chosen.track.external_urls.spotify, chosen.track.duration_ms);
+    const added = await this.acceptMatch(review.station, review.station_id, review.radio_artist, review.radio_title, metadata, bestMatch, scoreDetails);
+    
+    // Only once the track is in (a failed playlist add throws), so a failure can be approved again
+    await this.database.resolvePendingReview(review.id, 'approved', chosen.track.id);
+    await this.database.recordReviewDecision(review.song_key, chosen.track.id, 'approved', review.id);
+    
+    await this.publishTrackEvent('review.decided', review.station, metadata, {
+      reviewId: review.id,
+      decision: 'approved',
+      spotifyTrack: this.formatSpotifyTrack(chosen.track)
+    });
+    
+    return { id: review.id, decision: 'approved', spotifyTrack: this.formatSpotifyTrack(chosen.track), added };
+  }
+
+  // Rejects every candidate: the track is logged as unmatched, and later sightings of the
+  // song never match these tracks again. A flagged match is taken back as well.
+  async rejectReview(reviewId) {
+    const review = await this.getPendingReviewOrThrow(reviewId);
+    const candidates = JSON.parse(review.candidates);
+    
+    if (review.matched_spotify_id) {
+      await this.takeBackMatch(review);
+    }
+    await this.database.resolvePendingReview(review.id, 'rejected');
+    for (const candidate of candidates) {
+      await this.database.recordReviewDecision(review.song_key, candidate.track.id, 'rejected', review.id);
+    }
+    
+    const metadata = this.reviewMetadata(review);
+    const scoreDetails = {
+      ...(review.score_details ? JSON.parse(review.score_details) : {}),
+      review: { id: review.id, decision: 'rejected', reviewedAt: metadata.timestamp }
+    };
+    
+    logger.info(`👎 Review #${review.id} rejected: ${review.radio_artist} - ${review.radio_title} (${candidates.length} candidates)`);
+    
+    await this.logUnmatchedTrack(review.station, metadata, 'Rejected in review', candidates, candidates[0] || null, scoreDetails);
+    
+    await this.publishTrackEvent('review.decided', review.station, metadata, {
+      reviewId: review.id,
+      decision: 'rejected',
+      spotifyTrack: null
+    });
+    
+    return { id: review.id, decision: 'rejected', rejectedCount: candidates.length };
+  }
+
+  // The flagged match was right after all: it stays, and the song keeps matching it
+  async confirmFlaggedMatch(review, chosen, metadata) {
+    await this.database.resolvePendingReview(review.id, 'approved', chosen.track.id);
+    await this.database.recordReviewDecision(review.song_key, chosen.track.id, 'approved', review.id);
+    
+    logger.info(`👍 Review #${review.id} kept the match: ${review.radio_artist} - ${review.radio_title} → ${chosen.track.artists[0].name} - ${chosen.track.name}`);
+    
+    await this.publishTrackEvent('review.decided', review.station, metadata, {
+      reviewId: review.id,
+      decision: 'approved',
+      spotifyTrack: this.formatSpotifyTrack(chosen.track)
+    });
+    
+    return { id: review.id, decision: 'approved', spotifyTrack: this.formatSpotifyTrack(chosen.track), added: false };
+  }
+
+  // Undoes a flagged match on the review's station: the track leaves the station's playlist,
+  // its match is forgotten, and the song never matches it again
+  async takeBackMatch(review) {
+    const spotifyId = review.matched_spotify_id;
+    if (await this.database.isTrackInStationPlaylist(spotifyId, review.station_id, review.station)) {
+      await this.removeFromStationPlaylist(review.station_id, spotifyId);
+    }
+    await this.database.unlinkMatchedTrack(spotifyId, review.station_id, review.station, review.radio_artist, review.radio_title);
+    await this.database.recordReviewDecision(review.song_key, spotifyId, 'rejected', review.id);
+    
+    logger.info(`↩️ Review #${review.id} took back ${spotifyId} for ${review.radio_artist} - ${review.radio_title} (${review.station})`);
+  }
+
+  async removeFromStationPlaylist(stationKey, spotifyId) {
+    const playlist = this.playlists.get(stationKey);
+    if (this.dryRun || !playlist) {
+      return;
+    }
+    
+    await this.makeSpotifyRequest(this.spotifyApi.removeTracksFromPlaylist, playlist.id, [{ uri: `spotify:track:${spotifyId}` }]);
+    this.playlistTrackCounts.set(stationKey, Math.max(0, (this.playlistTrackCounts.get(stationKey) || 1) - 1));
+    logger.info(`➖ Removed ${spotifyId} from ${playlist.name}`);
+  }
+
+  // ==================== MATCH OVERRIDES ====================
+
+  async applyMatchOverride(station, stationKey, artist, title, metadata, override) {
+    if (override.never_match) {
+      logger.info(`🚫 Not matching ${artist} - ${title} (${station}): marked never match`);
+      await this.publishTrackEvent('track.unmatched', station, metadata, {
+        reason: 'Never match (override)',
+        bestMatch: null,
+        percentage: 0
+      });
+      return false;
+    }
+    
+    const track = JSON.parse(override.spotify_track);
+    logger.info(`📌 Override: ${artist} - ${title} → ${track.artists[0].name} - ${track.name}`);
+    
+    return await this.acceptMatch(station, stationKey, artist, title, metadata, this.overrideMatch(track), this.overrideScoreDetails(override));
+  }
+
+  overrideMatch(track) {
+    return { track, similarity: 1, breakdown: { decision: 'override' } };
+  }
+
+  overrideScoreDetails(override) {
+    return {
+      matched: true,
+      override: { id: override.id, spotifyId: override.spotify_id, updatedAt: override.updated_at }
+    };
+  }
+
+  // Search proxy for linking tracks by hand
+  async searchSpotify(query, limit = 10) {
+    if (this.offline) {
+      throw createError('Spotify is not available in offline mode', 503);
+    }
+    
+    const response = await this.makeSpotifyRequest(this.spotifyApi.searchTracks, query, this.searchOptions(limit));
+    const items = ((response.body || response).tracks || {}).items || [];
+    return items.map(track => ({
+      id: track.id,
+      artist: track.artists.map(a => a.name).join(', '),
+      title: track.name,
+      album: track.album ? track.album.name : null,
+      releaseDate: track.album ? track.album.release_date : null,
+      durationMs: track.duration_ms,
+      explicit: track.explicit,
+      popularity: track.popularity,
+      playable: track.is_playable !== false,
+      url: track.external_urls.spotify
+    }));
+  }
+
+  async fetchTrack(spotifyId) {
+    if (this.offline) {
+      throw createError('Spotify is not available in offline mode', 503);
+    }
+    
+    try {
+      const response = await this.makeSpotifyRequest(this.spotifyApi.getTrack, spotifyId);
+      const track = response.body || response;
+      if (!track || !track.id) {
+        throw createError(`Spotify track ${spotifyId} not found`, 404);
+      }
+      return track;
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        throw createError(`Spotify track ${spotifyId} not found`, 404);
+      }
+      throw error;
+    }
+  }
+
+  stationIdForName(stationName) {
+    const station = this.stationRegistry.getStations().find(registered => registered.name === stationName);
+    return station ? station.id : stationName.toLowerCase();
+  }
+
+  // Points a song (by its normalized artist and title) at a Spotify track, or marks it
+  // never match. Past sightings of the song are resolved: unmatched rows become matches on
+  // their stations and pending reviews are closed.
+  async saveMatchOverride({ artist, title, spotifyId = null, neverMatch = false }) {
+    if (!artist || !title) {
+      throw createError('artist and title are required', 400);
+    }
+    if (!spotifyId === !neverMatch) {
+      throw createError('Give either spotifyId or neverMatch', 400);
+    }
+    
+    const songKey = createSongKey(artist, title, this.stationRegistry.defaultNormalizer);
+    const track = spotifyId ? compactTrack(await this.fetchTrack(spotifyId)) : null;
+    const override = await this.database.saveMatchOverride({ songKey, artist, title, spotifyId, neverMatch, track });
+    
+    logger.info(neverMatch
+      ? `🚫 Override saved: never match ${artist} - ${title}`
+      : `📌 Override saved: ${artist} - ${title} → ${track.artists[0].name} - ${track.name}`);
+    
+    const resolved = await this.resolvePastSightings(songKey, override);
+    return { override, ...resolved };
+  }
+
+  // Each sighting is resolved on its own, since adding to a playlist can't be rolled back.
+  // One that fails keeps its unmatched rows and pending reviews, and is reported in failed.
+  async resolvePastSightings(songKey, override) {
+    const pendingReviews = await this.database.getPendingReviewsForSong(songKey);
+    
+    if (override.never_match) {
+      for (const review of pendingReviews) {
+        await this.database.resolvePendingReview(review.id, 'rejected', null);
+      }
+      return { resolvedUnmatched: 0, resolvedReviews: pendingReviews.length, stations: [], failed: [] };
+    }
+    
+    const unmatched = (await this.database.getUnmatchedTrackTitles())
+      .filter(row => createSongKey(row.radio_artist, row.radio_title, this.stationRegistry.defaultNormalizer) === songKey);
+    
+    // One match per station and radio spelling, whichever way the song was left over
+    const sightings = new Map();
+    const sightingFor = (stationId, station, artist, title, original) => {
+      const key = `${stationId}|${artist}|${title}`;
+      if (!sightings.has(key)) {
+        sightings.set(key, { station, stationId, artist, title, original, unmatchedIds: [], reviewIds: [] });
+      }
+      return sightings.get(key);
+    };
+    for (const row of unmatched) {
+      sightingFor(this.stationIdForName(row.station), row.station, row.radio_artist, row.radio_title, row.radio_original).unmatchedIds.push(row.id);
+    }
+    for (const review of pendingReviews) {
+      sightingFor(review.station_id, review.station, review.radio_artist, review.radio_title, review.radio_original).reviewIds.push(review.id);
+    }
+    
+    const track = JSON.parse(override.spotify_track);
+    const resolved = [];
+    const failed = [];
+    for (const sighting of sightings.values()) {
+      try {
+        await this.database.linkUnresolvedPlays(sighting.stationId, sighting.artist, sighting.title, track.id, track.external_urls.spotify, track.duration_ms);
+        await this.acceptMatch(sighting.station, sighting.stationId, sighting.artist, sighting.title, {
+          artist: sighting.artist,
+          title: sighting.title,
+          original: sighting.original,
+          station: sighting.stationId,
+          timestamp: new Date().toISOString()
+        }, this.overrideMatch(track), this.overrideScoreDetails(override));
+        for (const reviewId of sighting.reviewIds) {
+          await this.database.resolvePendingReview(reviewId, 'approved', override.spotify_id);
+        }
+        resolved.push(sighting);
+      } catch (error) {
+        logger.error(`❌ Couldn't resolve ${sighting.artist} - ${sighting.title} on ${sighting.station} with the override:`, error);
+        failed.push({ station: sighting.stationId, artist: sighting.artist, title: sighting.title, error: error.message });
+      }
+    }
+    
+    const resolvedUnmatched = await this.database.deleteUnmatchedTracks(resolved.flatMap(sighting => sighting.unmatchedIds));
+    const resolvedReviews = resolved.reduce((count, sighting) => count + sighting.reviewIds.length, 0);
+    if (resolvedUnmatched > 0 || resolvedReviews > 0) {
+      logger.info(`🔁 Override resolved ${resolvedUnmatched} unmatched rows and ${resolvedReviews} pending reviews`);
+    }
+    if (failed.length > 0) {
+      logger.warn(`⚠️ Override left ${failed.length} sightings unresolved; save it again to retry them`);
+    }
+    
+    return {
+      resolvedUnmatched,
+      resolvedReviews,
+      stations: [...new Set(resolved.map(sighting => sighting.stationId))],
+      failed
+    };
   }
 
   async deleteAllHalloweenPlaylists(recreate = false) {
@@ -640,13 +1255,13 @@ class SpotifyService {
       const recreatedPlaylists = [];
       
       while (true) {
-        const response = await this.spotifyApi.getUserPlaylists(this.userId, { offset, limit });
+        const response = await this.makeSpotifyRequest(this.spotifyApi.getUserPlaylists, this.userId, { offset, limit });
         const playlists = (response.body?.items || response.items || []);
         
         if (playlists.length === 0) break;
         
       for (const playlist of playlists) {
-        if (playlist.name.startsWith('Halloween Radio - ')) {
+        if (this.isManagedPlaylistName(playlist.name)) {
           try {
             logger.info(`🗑️ Deleting playlist: ${playlist.name} (${playlist.id})`);
             await this.makeSpotifyRequest(this.spotifyApi.unfollowPlaylist, playlist.id);
@@ -674,9 +1289,7 @@ class SpotifyService {
         logger.info('🎵 Recreating empty playlists...');
         try {
           await this.setupPlaylists();
-          const playlistNames = Array.from(this.playlists.keys()).map(name => 
-            `Halloween Radio - ${name.charAt(0).toUpperCase() + name.slice(1)}`
-          );
+          const playlistNames = Array.from(this.playlists.values()).map(playlist => playlist.name);
           recreatedPlaylists.push(...playlistNames);
           logger.info(`✅ Recreated ${recreatedPlaylists.length} empty playlists`);
         } catch (recreateError) {
@@ -708,11 +1321,15 @@ class SpotifyService {
         if (removedCount > 0) {
           totalRemoved += removedCount;
           details.push(`${playlist.name}: ${removedCount} duplicates removed`);
+          await this.eventBus.publish('playlist.deduplicated', {
+            station: stationName,
+            playlist: { id: playlist.id, name: playlist.name },
+            removedCount
+          });
         }
       }
       
       // Reload track counts after cleanup
-      this.addedTracks.clear();
       this.playlistTrackCounts.clear();
       
       for (const [stationName, playlist] of this.playlists.entries()) {
@@ -801,6 +1418,68 @@ class SpotifyService {
     }
   }
 
+  // Lists tracks that are the same recording as another track in the same playlist (an
+  // album track and its compilation copies). Nothing is removed: the first one added is
+  // marked keep, the rest are left to be cleaned up by hand.
+  async findRecordingDuplicates() {
+    if (this.offline) {
+      throw createError('Spotify is not available in offline mode', 503);
+    }
+    
+    logger.info('🔍 Looking for the same recording added more than once...');
+    const report = [];
+    
+    for (const [stationKey, playlist] of this.playlists.entries()) {
+      const items = [];
+      let offset = 0;
+      const limit = 100;
+      
+      while (true) {
+        const response = await this.makeSpotifyRequest(this.spotifyApi.getPlaylistTracks, playlist.id, { offset, limit });
+        const tracks = (response.body || response).items || [];
+        
+        tracks.forEach((item, index) => {
+          if (item.track && item.track.id) {
+            items.push({ position: offset + index, track: item.track, identity: recordingIdentity(item.track) });
+          }
+        });
+        
+        if (tracks.length < limit) break;
+        offset += limit;
+      }
+      
+      // The same Spotify ID twice is a plain duplicate (see removeDuplicatesFromPlaylists)
+      const duplicates = groupByRecording(items)
+        .filter(group => new Set(group.map(item => item.track.id)).size > 1)
+        .map(group => ({
+          recordingKey: group[0].identity.recordingKey,
+          isrcs: [...new Set(group.map(item => item.identity.isrc).filter(Boolean))],
+          tracks: group.map((item, index) => ({
+            id: item.track.id,
+            position: item.position,
+            artist: item.track.artists.map(artist => artist.name).join(', '),
+            title: item.track.name,
+            album: item.track.album ? item.track.album.name : null,
+            albumType: item.track.album ? item.track.album.album_type : null,
+            isrc: item.identity.isrc,
+            url: item.track.external_urls ? item.track.external_urls.spotify : null,
+            keep: index === 0
+          }))
+        }));
+      
+      if (duplicates.length > 0) {
+        logger.info(`🔍 ${playlist.name}: ${duplicates.length} recordings added more than once`);
+      }
+      report.push({ station: stationKey, playlist: { id: playlist.id, name: playlist.name }, trackCount: items.length, duplicates });
+    }
+    
+    const recordings = report.reduce((sum, entry) => sum + entry.duplicates.length, 0);
+    const extraTracks = report.reduce((sum, entry) => sum + entry.duplicates.reduce((count, group) => count + group.tracks.length - 1, 0), 0);
+    logger.info(`✅ Found ${recordings} recordings added more than once (${extraTracks} extra tracks)`);
+    
+    return { success: true, recordings, extraTracks, playlists: report };
+  }
+
   async consolidateDuplicatePlaylists() {
     try {
       logger.info('🔄 Starting consolidation of duplicate Halloween Radio playlists...');
@@ -817,12 +1496,12 @@ class SpotifyService {
         if (playlists.length === 0) break;
         
         for (const playlist of playlists) {
-          if (playlist.name.startsWith('Halloween Radio - ')) {
-            const stationName = playlist.name.replace('Halloween Radio - ', '');
-            if (!playlistGroups[stationName]) {
-              playlistGroups[stationName] = [];
+          if (this.isManagedPlaylistName(playlist.name)) {
+            // Playlists sharing a name belong to the same station
+            if (!playlistGroups[playlist.name]) {
+              playlistGroups[playlist.name] = [];
             }
-            playlistGroups[stationName].push(playlist);
+            playlistGroups[playlist.name].push(playlist);
           }
         }
         
@@ -833,9 +1512,9 @@ class SpotifyService {
       const consolidatedStations = [];
       
       // Process each station group
-      for (const [stationName, playlists] of Object.entries(playlistGroups)) {
+      for (const [playlistName, playlists] of Object.entries(playlistGroups)) {
         if (playlists.length > 1) {
-          logger.info(`🔄 Consolidating ${playlists.length} playlists for ${stationName}...`);
+          logger.info(`🔄 Consolidating ${playlists.length} playlists named ${playlistName}...`);
           
           // Sort by creation date (if available) or use first one as primary
           const primaryPlaylist = playlists[0];
@@ -852,17 +1531,28 @@ class SpotifyService {
             const duplicateTracks = new Set();
             await this.loadPlaylistTracks(duplicate.id, duplicateTracks);
             
-            // Add unique tracks to primary playlist
-            for (const trackId of duplicateTracks) {
-              if (!allTracks.has(trackId)) {
-                try {
-                  await this.makeSpotifyRequest(this.spotifyApi.addTracksToPlaylist, primaryPlaylist.id, [`spotify:track:${trackId}`]);
-                  allTracks.add(trackId);
-                  logger.info(`➕ Added track ${trackId} to primary playlist`);
-                } catch (addError) {
-                  logger.warn(`⚠️ Failed to add track ${trackId}:`, addError.message);
-                }
+            // Add unique tracks to primary playlist (in batches of up to 100)
+            const missingTracks = Array.from(duplicateTracks).filter(trackId => !allTracks.has(trackId));
+            const results = await Promise.allSettled(missingTracks.map(trackId =>
+              this.playlistBatcher.add(primaryPlaylist.id, `spotify:track:${trackId}`)));
+            
+            let failedCount = 0;
+            results.forEach((result, index) => {
+              if (result.status === 'fulfilled') {
+                allTracks.add(missingTracks[index]);
+              } else {
+                failedCount++;
+                logger.warn(`⚠️ Failed to add track ${missingTracks[index]}: ${result.reason.message}`);
               }
+            });
+            if (missingTracks.length > 0) {
+              logger.info(`➕ Moved ${missingTracks.length - failedCount} tracks from ${duplicate.name} to the primary playlist`);
+            }
+            
+            // Keep a duplicate whose tracks didn't all make it, so nothing is lost
+            if (failedCount > 0) {
+              logger.warn(`⚠️ Keeping duplicate playlist ${duplicate.name} (${duplicate.id}): ${failedCount} tracks could not be moved`);
+              continue;
             }
             
             // Delete the duplicate playlist
@@ -874,7 +1564,7 @@ class SpotifyService {
             }
           }
           
-          consolidatedStations.push(stationName);
+          consolidatedStations.push(playlistName);
         }
       }
       
@@ -1052,6 +1742,12 @@ class SpotifyService {
     // Stop the token refresh timer
     this.stopTokenRefreshTimer();
     
+    await this.unmatchedRetry.stop();
+    // Finishes the tracks being matched; queued ones wait in the database for the next start
+    await this.trackQueue.stop();
+    // Then nothing adds to the batches any more: what is buffered goes out now
+    await this.playlistBatcher.close();
+    
     if (this.database) {
       await this.database.close();
     }
@@ -0,0 +1,338 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/errors');
+const { getSourceConfig, isKnownSourceType, SOURCE_TYPES } = require('../sources');
+const { DEFAULT_RULES, compileParser } = require('../utils/titleParser');
+const { DEFAULT_RULES: DEFAULT_CLASSIFIER_RULES, compileClassifier } = require('../utils/contentClassifier');
+const { DEFAULT_SCORING, compileScoring } = require('../utils/matchScoring');
+const { compileNormalizer } = require('../utils/normalizer');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/stations.json');
+const DEFAULT_PLAYLIST_TEMPLATE = 'Halloween Radio - {name}';
+const STATION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+class StationRegistry {
+  constructor(database) {
+    this.database = database;
+    this.configPath = process.env.STATIONS_CONFIG || DEFAULT_CONFIG_PATH;
+    this.defaultPlaylistTemplate = DEFAULT_PLAYLIST_TEMPLATE;
+    this.configStations = new Map(); // Station ID -> station as defined in the config file
+    this.stations = new Map(); // Station ID -> effective station
+    this.storedSettings = new Map(); // Station ID -> settings saved through the API
+    this.defaultParserRules = DEFAULT_RULES;
+    this.titleParsers = new Map(); // Station ID -> compiled StreamTitle parser
+    this.defaultClassifierRules = DEFAULT_CLASSIFIER_RULES;
+    this.classifiers = new Map(); // Station ID -> compiled content classifier
+    this.defaultScoring = compileScoring({
+      threshold: parseFloat(process.env.SIMILARITY_THRESHOLD) || DEFAULT_SCORING.threshold,
+      reviewThreshold: process.env.REVIEW_THRESHOLD ? parseFloat(process.env.REVIEW_THRESHOLD) : DEFAULT_SCORING.reviewThreshold
+    });
+    this.scorings = new Map(); // Station ID -> match scoring settings
+    this.defaultNormalization = {};
+    this.defaultNormalizer = compileNormalizer();
+    this.normalizers = new Map(); // Station ID -> compiled artist/title normalizer
+  }
+
+  async initialize() {
+    try {
+      logger.info(`📻 Loading station registry from ${this.configPath}...`);
+
+      const config = await this.loadConfig();
+      if (config.playlistTemplate) {
+        this.defaultPlaylistTemplate = config.playlistTemplate;
+      }
+      if (config.parserRules) {
+        this.buildTitleParser({ rules: config.parserRules, useDefaultRules: false });
+        this.defaultParserRules = config.parserRules;
+      }
+      if (config.classifierRules) {
+        this.buildClassifier({ rules: config.classifierRules, useDefaultRules: false });
+        this.defaultClassifierRules = config.classifierRules;
+      }
+      if (config.scoring) {
+        this.defaultScoring = this.buildScoring(config.scoring);
+      }
+      if (config.normalization) {
+        this.defaultNormalizer = this.buildNormalizer(config.normalization);
+        this.defaultNormalization = config.normalization;
+      }
+
+      // Config stations only seed the table; after that the database is authoritative,
+      // so stations edited or removed through the API stay that way across restarts
+      for (const entry of config.stations || []) {
+        const station = this.normalizeStation(entry);
+        this.validateStation(station);
+        this.configStations.set(station.id, station);
+
+        if (await this.database.insertStationIfMissing({ ...station, settings: {} })) {
+          logger.info(`➕ Seeded station from config: ${station.name} (${station.id})`);
+        }
+      }
+
+      await this.reload();
+      logger.info(`✅ Station registry loaded: ${this.getEnabledStations().length}/${this.stations.size} stations enabled`);
+    } catch (error) {
+      logger.error('❌ Failed to initialize station registry:', error);
+      throw error;
+    }
+  }
+
+  async loadConfig() {
+    try {
+      return JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn(`⚠️ Station config not found at ${this.configPath}, using stations from database only`);
+        return { stations: [] };
+      }
+      throw error;
+    }
+  }
+
+  async reload() {
+    const rows = await this.database.getStations();
+    this.stations.clear();
+    this.storedSettings.clear();
+    this.titleParsers.clear();
+    this.classifiers.clear();
+    this.scorings.clear();
+    this.normalizers.clear();
+
+    for (const row of rows) {
+      const configStation = this.configStations.get(row.id);
+      let storedSettings = {};
+      try {
+        storedSettings = row.settings ? JSON.parse(row.settings) : {};
+      } catch (error) {
+        logger.warn(`⚠️ Ignoring invalid settings JSON for station ${row.id}`);
+      }
+      this.storedSettings.set(row.id, storedSettings);
+
+      this.stations.set(row.id, {
+        id: row.id,
+        name: row.name,
+        url: row.stream_url,
+        playlistTemplate: row.playlist_template || null,
+        enabled: row.enabled === 1,
+        // Settings from the config file act as defaults for settings changed at runtime
+        settings: {
+          ...(configStation ? configStation.settings : {}),
+          ...storedSettings
+        }
+      });
+    }
+  }
+
+  normalizeStation(data) {
+    return {
+      id: typeof data.id === 'string' ? data.id.trim().toLowerCase() : data.id,
+      name: typeof data.name === 'string' ? data.name.trim() : data.name,
+      url: typeof data.url === 'string' ? data.url.trim() : data.url,
+      playlistTemplate: data.playlistTemplate || null,
+      enabled: data.enabled !== false,
+      settings: data.settings && typeof data.settings === 'object' ? data.settings : {}
+    };
+  }
+
+  validateStation(station) {
+    if (!station.id || !STATION_ID_PATTERN.test(station.id)) {
+      throw createError(`Invalid station id "${station.id}" (use lowercase letters, numbers, "-" or "_")`, 400);
+    }
+    if (!station.name) {
+      throw createError(`Station ${station.id} is missing a name`, 400);
+    }
+    if (!station.url || !/^https?:\/\//i.test(station.url)) {
+      throw createError(`Station ${station.id} needs an http(s) stream URL`, 400);
+    }
+    if (station.playlistTemplate && !station.playlistTemplate.includes('{name}') && !station.playlistTemplate.includes('{id}')) {
+      throw createError(`Playlist template for ${station.id} must contain {name} or {id}`, 400);
+    }
+
+    const source = getSourceConfig(station);
+    if (!isKnownSourceType(source.type || 'icy')) {
+      throw createError(`Unknown source type "${source.type}" for ${station.id} (use ${SOURCE_TYPES.join(', ')})`, 400);
+    }
+    if (source.type === 'azuracast' && !source.url && !source.shortcode) {
+      throw createError(`AzuraCast source for ${station.id} needs a "url" or "shortcode"`, 400);
+    }
+
+    const metadata = station.settings.metadata || {};
+    if (metadata.stabilizeDelay !== undefined && !(Number.isInteger(metadata.stabilizeDelay) && metadata.stabilizeDelay >= 0)) {
+      throw createError(`metadata.stabilizeDelay for ${station.id} must be a whole number of milliseconds`, 400);
+    }
+    if (metadata.placeholders !== undefined &&
+        !(Array.isArray(metadata.placeholders) && metadata.placeholders.every(title => typeof title === 'string'))) {
+      throw createError(`metadata.placeholders for ${station.id} must be a list of titles`, 400);
+    }
+
+    if (station.settings.parser) {
+      this.buildTitleParser(station.settings.parser);
+    }
+    if (station.settings.classifier) {
+      this.buildClassifier(station.settings.classifier);
+    }
+    if (station.settings.scoring) {
+      this.buildScoring(station.settings.scoring);
+    }
+    if (station.settings.normalization) {
+      this.buildNormalizer(station.settings.normalization);
+    }
+  }
+
+  /**
+   * Compiles StreamTitle parser settings on top of the default rules. Invalid rules
+   * are reported as a 400 so they can be fixed through the API.
+   */
+  buildTitleParser(parserSettings = {}) {
+    try {
+      return compileParser(parserSettings, this.defaultParserRules);
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+  }
+
+  buildClassifier(classifierSettings = {}) {
+    try {
+      return compileClassifier(classifierSettings, this.defaultClassifierRules);
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+  }
+
+  getClassifier(stationId) {
+    if (!this.classifiers.has(stationId)) {
+      const station = this.getStation(stationId);
+      this.classifiers.set(stationId, this.buildClassifier(station ? station.settings.classifier : {}));
+    }
+    return this.classifiers.get(stationId);
+  }
+
+  // Match scoring settings: the station's overrides on top of the config's (or built-in) defaults
+  buildScoring(scoringSettings = {}) {
+    try {
+      return compileScoring(scoringSettings, this.defaultScoring);
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+  }
+
+  getScoring(stationId) {
+    if (!this.scorings.has(stationId)) {
+      const station = this.getStation(stationId);
+      this.scorings.set(stationId, this.buildScoring(station ? station.settings.scoring : {}));
+    }
+    return this.scorings.get(stationId);
+  }
+
+  // Artist/title normalization: steps switched off and patterns added on top of the defaults
+  buildNormalizer(normalizationSettings = {}) {
+    try {
+      return compileNormalizer(normalizationSettings, this.defaultNormalization);
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+  }
+
+  getNormalizer(stationId) {
+    if (!this.normalizers.has(stationId)) {
+      const station = this.getStation(stationId);
+      this.normalizers.set(stationId, this.buildNormalizer(station ? station.settings.normalization : {}));
+    }
+    return this.normalizers.get(stationId);
+  }
+
+  getTitleParser(stationId) {
+    if (!this.titleParsers.has(stationId)) {
+      const station = this.getStation(stationId);
+      this.titleParsers.set(stationId, this.buildTitleParser(station ? station.settings.parser : {}));
+    }
+    return this.titleParsers.get(stationId);
+  }
+
+  getStations() {
+    return Array.from(this.stations.values());
+  }
+
+  getEnabledStations() {
+    return this.getStations().filter(station => station.enabled);
+  }
+
+  getStation(stationId) {
+    return this.stations.get(stationId) || null;
+  }
+
+  // The settings saved through the API, without the config file's defaults underneath
+  getStoredSettings(stationId) {
+    return this.storedSettings.get(stationId) || {};
+  }
+
+  getPlaylistName(station) {
+    const template = station.playlistTemplate || this.defaultPlaylistTemplate;
+    return template
+      .replace(/\{name\}/g, station.name)
+      .replace(/\{id\}/g, station.id);
+  }
+
+  async addStation(data) {
+    const station = this.normalizeStation(data);
+    this.validateStation(station);
+
+    if (this.stations.has(station.id)) {
+      throw createError(`Station ${station.id} already exists`, 409);
+    }
+
+    await this.database.saveStation(station);
+    await this.reload();
+
+    logger.info(`➕ Added station: ${station.name} (${station.id})`);
+    return this.getStation(station.id);
+  }
+
+  async updateStation(stationId, changes) {
+    const existing = this.getStation(stationId);
+    if (!existing) {
+      throw createError(`Station ${stationId} not found`, 404);
+    }
+
+    const station = this.normalizeStation({
+      ...existing,
+      ...changes,
+      id: existing.id, // The ID is the station's key everywhere and cannot be renamed
+      settings: changes.settings !== undefined ? changes.settings : this.storedSettings.get(stationId)
+    });
+    this.validateStation(station);
+
+    await this.database.saveStation(station);
+    await this.reload();
+
+    logger.info(`✏️ Updated station: ${station.name} (${station.id})`);
+    return this.getStation(station.id);
+  }
+
+  // Replaces one key of a station's stored settings (e.g. its classifier), keeping the rest
+  async updateStationSetting(stationId, key, value) {
+    const stored = this.storedSettings.get(stationId) || {};
+    const settings = { ...stored, [key]: value };
+    if (value === null || value === undefined) {
+      delete settings[key];
+    }
+
+    return this.updateStation(stationId, { settings });
+  }
+
+  async removeStation(stationId) {
+    const existing = this.getStation(stationId);
+    if (!existing) {
+      throw createError(`Station ${stationId} not found`, 404);
+    }
+
+    await this.database.markStationRemoved(stationId);
+    await this.reload();
+
+    logger.info(`🗑️ Removed station: ${existing.name} (${existing.id})`);
+    return existing;
+  }
+}
+
+module.exports = StationRegistry;
@@ -0,0 +1,185 @@
+const logger = require('../utils/logger');
+const { parseSetting } = require('../utils/settings');
+const { computeBackoffDelay } = require('../utils/backoff');
+
+// How often idle workers look for jobs that have become due
+const POLL_INTERVAL = 5000;
+
+// Finished jobs are kept this long for inspection
+const JOB_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Every detected track change becomes a row in track_jobs before any Spotify work is
+ * done, and workers match the jobs from there. A job that throws (Spotify down, token
+ * refresh failing) is retried with exponential backoff; after maxAttempts it fails and
+ * the track is logged as unmatched, where the unmatched retries take over. Jobs still
+ * queued or in progress at a crash or shutdown are picked up again on the next start.
+ */
+class TrackJobQueue {
+  constructor(spotifyService) {
+    this.spotifyService = spotifyService;
+    this.database = spotifyService.database;
+    this.concurrency = Math.max(1, parseSetting(process.env.TRACK_QUEUE_WORKERS, 2));
+    this.maxAttempts = Math.max(1, parseSetting(process.env.TRACK_QUEUE_MAX_ATTEMPTS, 10));
+    this.backoff = {
+      baseMs: parseSetting(process.env.TRACK_QUEUE_RETRY_DELAY, 30 * 1000), // 30s, 1m, 2m, ...
+      maxMs: 30 * 60 * 1000,
+      jitter: 0.2
+    };
+    this.drainTimeout = parseSetting(process.env.TRACK_QUEUE_DRAIN_TIMEOUT, 15000);
+    this.started = false;
+    this.pollTimer = null;
+    this.workers = new Set(); // Promises of the running workers
+    this.activeJobs = new Map(); // Job ID -> job being processed
+  }
+
+  // Resumes unfinished jobs and starts the workers
+  async start() {
+    if (this.started) {
+      return;
+    }
+
+    const requeued = await this.database.requeueInProgressTrackJobs();
+    await this.database.pruneTrackJobs(new Date(Date.now() - JOB_RETENTION).toISOString());
+    const counts = await this.database.getTrackJobCounts();
+    if (counts.pending > 0) {
+      logger.info(`📥 Resuming ${counts.pending} queued tracks${requeued > 0 ? ` (${requeued} interrupted)` : ''}`);
+    }
+
+    this.started = true;
+    this.pollTimer = setInterval(() => this.kick(), POLL_INTERVAL);
+    this.kick();
+  }
+
+  /**
+   * Stops taking jobs and waits up to drainTimeout for the jobs in progress. Whatever is
+   * still queued stays in the database. After that, Spotify requests still waiting (a rate
+   * limit pause, retries) are cancelled, so the remaining jobs fail and go back in the
+   * queue for the next start. Resolves once every worker has finished, so nothing is
+   * added to a playlist or written after the database closes.
+   */
+  async stop() {
+    if (!this.started) {
+      return;
+    }
+    this.started = false;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+
+    if (this.workers.size > 0) {
+      logger.info(`⏳ Waiting for ${this.activeJobs.size} tracks being matched...`);
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(true), this.drainTimeout);
+      });
+      const timedOut = await Promise.race([Promise.all(this.workers).then(() => false), timeout]);
+      clearTimeout(timer);
+
+      if (timedOut) {
+        logger.warn(`⚠️ ${this.activeJobs.size} tracks didn't finish matching before shutdown and will be retried on the next start`);
+        this.spotifyService.requestScheduler.close();
+        await this.waitForIdle();
+      }
+    }
+  }
+
+  async enqueue(track) {
+    const id = await this.database.addTrackJob(track);
+    this.kick();
+    return id;
+  }
+
+  // Starts workers up to the concurrency limit; each one works until the queue has nothing due
+  kick() {
+    while (this.started && this.workers.size < this.concurrency) {
+      const worker = this.work()
+        .catch(error => logger.error('❌ Track queue worker failed:', error))
+        .finally(() => this.workers.delete(worker));
+      this.workers.add(worker);
+    }
+  }
+
+  async work() {
+    while (this.started) {
+      const job = await this.database.claimTrackJob();
+      if (!job) {
+        return;
+      }
+
+      this.activeJobs.set(job.id, job);
+      try {
+        await this.process(job);
+      } catch (error) {
+        // Storing the job's outcome failed; don't leave it in progress until the next start
+        logger.error(`❌ Couldn't update the job for ${job.artist} - ${job.title} (${job.station_name}):`, error);
+        await this.requeue(job, error);
+      } finally {
+        this.activeJobs.delete(job.id);
+      }
+    }
+  }
+
+  // Puts a job back in the queue with the usual backoff. If the database is still failing,
+  // the job stays in progress and is resumed on the next start.
+  async requeue(job, error) {
+    const delay = computeBackoffDelay(job.attempts, this.backoff);
+    try {
+      await this.database.rescheduleTrackJob(job.id, new Date(Date.now() + delay).toISOString(), error.message);
+    } catch (requeueError) {
+      logger.error(`❌ Couldn't put ${job.artist} - ${job.title} (${job.station_name}) back in the queue:`, requeueError);
+    }
+  }
+
+  async process(job) {
+    const { spotifyService } = this;
+    const metadata = {
+      artist: job.artist,
+      title: job.title,
+      original: job.original,
+      station: job.station,
+      playId: job.play_id,
+      correlationId: job.correlation_id,
+      timestamp: job.detected_at
+    };
+
+    try {
+      await spotifyService.searchAndAddTrack(job.station_name, job.artist, job.title, metadata);
+      await this.database.completeTrackJob(job.id);
+    } catch (error) {
+      if (!this.started) {
+        // Cut short by the shutdown, which says nothing about the track
+        await this.database.rescheduleTrackJob(job.id, new Date().toISOString(), 'Interrupted by shutdown');
+        return;
+      }
+      if (job.attempts >= this.maxAttempts) {
+        logger.error(`❌ Giving up on ${job.artist} - ${job.title} (${job.station_name}) after ${job.attempts} attempts:`, error);
+        await this.database.failTrackJob(job.id, error.message);
+        await spotifyService.logUnmatchedTrack(job.station_name, metadata, `Error: ${error.message}`, [], null);
+        return;
+      }
+
+      const delay = computeBackoffDelay(job.attempts, this.backoff);
+      logger.warn(`⏳ Matching ${job.artist} - ${job.title} (${job.station_name}) failed: ${error.message}. Retrying in ${Math.round(delay / 1000)}s (attempt ${job.attempts}/${this.maxAttempts})`);
+      await this.database.rescheduleTrackJob(job.id, new Date(Date.now() + delay).toISOString(), error.message);
+    }
+  }
+
+  // Resolves once no job is due or being processed (replays wait for this before reporting)
+  async waitForIdle() {
+    while (this.workers.size > 0) {
+      await Promise.all(Array.from(this.workers));
+    }
+  }
+
+  async getStatus() {
+    const counts = await this.database.getTrackJobCounts();
+    return {
+      running: this.started,
+      workers: this.concurrency,
+      depth: counts.pending + counts.in_progress,
+      ...counts
+    };
+  }
+}
+
+module.exports = TrackJobQueue;
@@ -0,0 +1,264 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/errors');
+const { computeBackoffDelay } = require('../utils/backoff');
+const { createSongKey } = require('../utils/normalizer');
+const { recordingIdentity } = require('../utils/recording');
+
+/**
+ * Searches Spotify again for songs that ended up unmatched: Spotify's catalog and the
+ * scoring settings change over time. Runs on a cron schedule; each song (per station)
+ * waits twice as long after every unsuccessful retry, and is given up on after
+ * maxRetries. A song that now matches is added to its station's playlist and its
+ * unmatched rows are removed; a near miss moves to the review queue.
+ */
+class UnmatchedRetryJob {
+  constructor(spotifyService) {
+    this.spotifyService = spotifyService;
+    this.database = spotifyService.database;
+    this.schedule = process.env.UNMATCHED_RETRY_SCHEDULE || '*/30 * * * *';
+    this.backoff = {
+      baseMs: parseInt(process.env.UNMATCHED_RETRY_BACKOFF) || 60 * 60 * 1000, // 1h, 2h, 4h, ...
+      maxMs: Number.MAX_SAFE_INTEGER,
+      jitter: 0
+    };
+    this.maxRetries = parseInt(process.env.UNMATCHED_RETRY_MAX) || 8;
+    this.batchSize = parseInt(process.env.UNMATCHED_RETRY_BATCH) || 20;
+    this.task = null;
+    this.running = null; // Promise of the run in progress
+    this.lastRun = null;
+  }
+
+  start() {
+    if (!cron.validate(this.schedule)) {
+      logger.error(`❌ Invalid UNMATCHED_RETRY_SCHEDULE "${this.schedule}", unmatched tracks will not be retried`);
+      return;
+    }
+
+    this.task = cron.schedule(this.schedule, () => {
+      if (this.running) {
+        logger.info('⏭️ Unmatched retry still running, skipping this run');
+        return;
+      }
+      this.run().catch(error => logger.error('❌ Unmatched retry failed:', error));
+    });
+    logger.info(`🔁 Retrying unmatched tracks on schedule "${this.schedule}"`);
+  }
+
+  async stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    // Let a run in progress finish before the database closes
+    if (this.running) {
+      await this.running.catch(() => {});
+    }
+  }
+
+  // Unmatched rows grouped by station and song; every sighting of a song is one row
+  async loadSongs() {
+    const rows = await this.database.getUnmatchedTrackTitles();
+    const normalizer = this.spotifyService.stationRegistry.defaultNormalizer;
+    const songs = new Map();
+
+    for (const row of rows) {
+      const stationId = this.spotifyService.stationIdForName(row.station);
+      const songKey = createSongKey(row.radio_artist, row.radio_title, normalizer);
+      const key = `${stationId}|${songKey}`;
+
+      if (!songs.has(key)) {
+        songs.set(key, {
+          station: row.station,
+          stationId,
+          songKey,
+          artist: row.radio_artist,
+          title: row.radio_title,
+          original: row.radio_original,
+          rows: [],
+          retryCount: 0,
+          firstSeenAt: row.created_at,
+          lastRetryAt: null
+        });
+      }
+
+      const song = songs.get(key);
+      song.rows.push(row);
+      song.retryCount = Math.max(song.retryCount, row.retry_count || 0);
+      if (row.created_at < song.firstSeenAt) {
+        song.firstSeenAt = row.created_at;
+      }
+      if (row.last_retry_at && (!song.lastRetryAt || row.last_retry_at > song.lastRetryAt)) {
+        song.lastRetryAt = row.last_retry_at;
+      }
+    }
+
+    // The backoff counts from the last retry, or from when the song was first left unmatched
+    return [...songs.values()].map(song => ({ ...song, lastAttemptAt: song.lastRetryAt || song.firstSeenAt }));
+  }
+
+  isDue(song, now) {
+    if (song.retryCount >= this.maxRetries) {
+      return false;
+    }
+    const waitMs = computeBackoffDelay(song.retryCount + 1, this.backoff);
+    return now - Date.parse(song.lastAttemptAt) >= waitMs;
+  }
+
+  /**
+   * Retries unmatched songs. Scheduled runs take the songs that are due, oldest attempt
+   * first, up to the batch size. Manual runs ({ station } and/or { trackId }) retry every
+   * matching song straight away, ignoring the backoff and the retry limit. Scheduled runs
+   * always search Spotify again; manual runs re-score cached search results (e.g. after a
+   * scoring change) unless asked to { refresh: true }.
+   */
+  run(options = {}) {
+    if (this.running) {
+      return Promise.reject(createError('An unmatched retry is already running', 409));
+    }
+    this.running = this.runSongs(options).finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async runSongs({ station = null, trackId = null, refresh = false } = {}) {
+    if (this.spotifyService.offline) {
+      throw createError('Spotify is not available in offline mode', 503);
+    }
+
+    const manual = station !== null || trackId !== null;
+    const now = Date.now();
+    let songs = await this.loadSongs();
+
+    if (manual) {
+      songs = songs.filter(song =>
+        (station === null || song.stationId === station) &&
+        (trackId === null || song.rows.some(row => row.id === trackId)));
+      if (trackId !== null && songs.length === 0) {
+        throw createError(`Unmatched track ${trackId} not found`, 404);
+      }
+    } else {
+      songs = songs
+        .filter(song => this.isDue(song, now))
+        .sort((a, b) => a.lastAttemptAt.localeCompare(b.lastAttemptAt))
+        .slice(0, this.batchSize);
+    }
+
+    const summary = { retried: 0, matched: 0, queuedForReview: 0, stillUnmatched: 0, failed: 0, skipped: 0, results: [] };
+    if (songs.length === 0) {
+      return summary;
+    }
+
+    logger.info(`🔁 Retrying ${songs.length} unmatched songs${manual ? ' (manual)' : ''}...`);
+
+    for (const song of songs) {
+      const result = await this.retrySong(song, { refresh: refresh || !manual });
+      summary.results.push(result);
+      if (result.outcome === 'skipped') {
+        summary.skipped++;
+        continue;
+      }
+      summary.retried++;
+      if (result.outcome === 'matched') summary.matched++;
+      if (result.outcome === 'review') summary.queuedForReview++;
+      if (result.outcome === 'unmatched') summary.stillUnmatched++;
+      if (result.outcome === 'failed') summary.failed++;
+    }
+
+    const { results, ...counts } = summary;
+    this.lastRun = { finishedAt: new Date().toISOString(), manual, ...counts };
+    logger.info(`🔁 Unmatched retry done: ${summary.matched} matched, ${summary.queuedForReview} sent to review, ${summary.stillUnmatched} still unmatched, ${summary.failed} failed`);
+    return summary;
+  }
+
+  async retrySong(song, searchOptions = {}) {
+    const { spotifyService } = this;
+    const result = {
+      station: song.station,
+      artist: song.artist,
+      title: song.title,
+      rows: song.rows.length,
+      outcome: null,
+      percentage: 0,
+      spotifyTrack: null
+    };
+
+    try {
+      // Songs marked never match stay unmatched
+      const override = await this.database.getMatchOverride(song.songKey);
+      if (override && override.never_match) {
+        return { ...result, outcome: 'skipped', reason: 'Never match (override)' };
+      }
+
+      const { tracks, failed } = await spotifyService.searchTracks(song.station, song.stationId, song.artist, song.title, searchOptions);
+      if (failed && tracks.length === 0) {
+        // Spotify being down says nothing about the song; try again next run without counting it
+        return { ...result, outcome: 'failed', reason: 'Search failed' };
+      }
+
+      const { ranking, scoreDetails } = await spotifyService.rankSearchResults(song.stationId, song.songKey, song.artist, song.title, tracks);
+      const metadata = {
+        artist: song.artist,
+        title: song.title,
+        original: song.original,
+        station: song.stationId,
+        timestamp: new Date().toISOString()
+      };
+      const ids = song.rows.map(row => row.id);
+
+      if (ranking.best) {
+        const { track } = ranking.best;
+        logger.info(`🎯 Retry matched: ${song.artist} - ${song.title} → ${track.artists[0].name} - ${track.name} (${Math.round(ranking.best.similarity * 100)}%)`);
+        await this.database.linkUnresolvedPlays(song.stationId, song.artist, song.title, track.id, track.external_urls.spotify, track.duration_ms);
+        const added = await spotifyService.acceptMatch(song.station, song.stationId, song.artist, song.title, metadata, ranking.best, scoreDetails);
+
+        // A track already in the playlists resolves the song as well; anything else that kept
+        // it out (no playlist for the station) leaves the rows to keep backing off
+        const resolved = added || await spotifyService.isTrackInPlaylists(track.id, song.stationId, song.station, recordingIdentity(track));
+        if (!resolved) {
+          for (const id of ids) {
+            await this.database.retryUnmatchedTrack(id);
+          }
+          return { ...result, outcome: 'failed', reason: 'Not added to the playlist' };
+        }
+
+        await this.database.deleteUnmatchedTracks(ids);
+        return {
+          ...result,
+          outcome: 'matched',
+          added,
+          percentage: Math.round(ranking.best.similarity * 100),
+          spotifyTrack: spotifyService.formatSpotifyTrack(track)
+        };
+      }
+
+      if (ranking.nearMiss) {
+        await spotifyService.queueForReview(song.station, song.stationId, song.songKey, metadata, ranking, scoreDetails);
+        await this.database.deleteUnmatchedTracks(ids);
+        return {
+          ...result,
+          outcome: 'review',
+          percentage: Math.round(ranking.top.similarity * 100),
+          spotifyTrack: spotifyService.formatSpotifyTrack(ranking.top.track)
+        };
+      }
+
+      const newMatchData = ranking.top ? {
+        artist: ranking.top.track.artists[0].name,
+        title: ranking.top.track.name,
+        id: ranking.top.track.id,
+        percentage: Math.round(ranking.top.similarity * 100)
+      } : null;
+      for (const id of ids) {
+        await this.database.retryUnmatchedTrack(id, newMatchData);
+      }
+      return { ...result, outcome: 'unmatched', percentage: newMatchData ? newMatchData.percentage : 0 };
+    } catch (error) {
+      logger.error(`❌ Error retrying ${song.artist} - ${song.title} (${song.station}):`, error);
+      return { ...result, outcome: 'failed', reason: error.message };
+    }
+  }
+}
+
+module.exports = UnmatchedRetryJob;
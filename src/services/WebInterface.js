@@ -2,6 +2,9 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../utils/logger');
+const { parseWithRules } = require('../utils/titleParser');
+const { CONTENT_TYPES, classifyTrack } = require('../utils/contentClassifier');
+const { normalizeForSearch, normalizeForComparison, createSongKey } = require('../utils/normalizer');
 const packageInfo = require('../../package.json');
 
 class WebInterface {
@@ -10,6 +13,7 @@ class WebInterface {
     this.port = 8731; // Unique port for Halloween Radio Monitor
     this.radioMonitor = radioMonitor;
     this.spotifyService = spotifyService;
+    this.stationRegistry = spotifyService.stationRegistry;
     
     this.setupRoutes();
   }
@@ -44,11 +48,20 @@ class WebInterface {
       // Get unmatched track counts
       const unmatchedCounts = await this.spotifyService.getUnmatchedTrackCounts();
       
+      // Get station uptime over the last day (includes watchdog stalls)
+      const stationUptime = await this.spotifyService.database.getStationUptime(24);
+      
+      // Search cache hit rate since startup
+      const searchCache = await this.spotifyService.searchCache.getStats();
+      
+      // Tracks waiting to be matched
+      const trackQueue = await this.spotifyService.trackQueue.getStatus();
+      
       res.json({
         ...status,
         version: packageInfo.version,
         playlists: Array.from(this.spotifyService.playlists.entries()).map(([name, playlist]) => ({
-          name: name.charAt(0).toUpperCase() + name.slice(1),
+          name: this.stationRegistry.getStation(name)?.name || name.charAt(0).toUpperCase() + name.slice(1),
           id: playlist.id,
           url: playlist.external_urls.spotify
         })),
@@ -56,10 +69,328 @@ class WebInterface {
         stationTrackCounts: stationTrackCounts,
         unmatchedTrackCounts: unmatchedCounts,
         lastMatchedTrackTimestamp: lastMatchedTimestamp,
+        stationUptime: stationUptime,
+        searchCache: searchCache,
+        trackQueue: trackQueue,
+        spotifyRequests: this.spotifyService.requestScheduler.getStats(),
         databaseStats: systemStats
       });
     });
 
+    // Station registry endpoints
+    this.app.get('/api/stations', (req, res) => {
+      const status = this.radioMonitor.getStatus();
+      
+      res.json({
+        stations: this.stationRegistry.getStations().map(station => this.formatStation(station, status))
+      });
+    });
+
+    this.app.get('/api/stations/:id', (req, res) => {
+      const station = this.stationRegistry.getStation(req.params.id);
+      if (!station) {
+        return res.status(404).json({ error: `Station ${req.params.id} not found` });
+      }
+      
+      res.json({ station: this.formatStation(station, this.radioMonitor.getStatus()) });
+    });
+
+    this.app.post('/api/stations', async (req, res) => {
+      try {
+        const station = await this.stationRegistry.addStation(req.body || {});
+
+        if (station.enabled) {
+          try {
+            await this.spotifyService.setupStationPlaylist(station);
+          } catch (error) {
+            // Without its playlist the station would be saved but never monitored
+            await this.stationRegistry.removeStation(station.id);
+            this.spotifyService.releaseStationPlaylist(station.id);
+            throw error;
+          }
+          await this.radioMonitor.syncStation(station.id);
+        }
+        
+        res.status(201).json({ success: true, station: this.formatStation(station, this.radioMonitor.getStatus()) });
+      } catch (error) {
+        logger.error('❌ Error adding station:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.patch('/api/stations/:id', async (req, res) => {
+      try {
+        const previous = this.stationRegistry.getStation(req.params.id);
+        const previousSettings = this.stationRegistry.getStoredSettings(req.params.id);
+        const previousPlaylist = this.spotifyService.playlists.get(req.params.id);
+        const station = await this.stationRegistry.updateStation(req.params.id, req.body || {});
+        
+        if (station.enabled) {
+          try {
+            // Re-resolve the playlist in case the name or template changed
+            await this.spotifyService.setupStationPlaylist(station);
+          } catch (error) {
+            // Put the station back as it was, still monitored and adding to its old playlist
+            await this.stationRegistry.updateStation(previous.id, { ...previous, settings: previousSettings });
+            if (previousPlaylist) {
+              this.spotifyService.playlists.set(previous.id, previousPlaylist);
+            } else {
+              this.spotifyService.releaseStationPlaylist(previous.id);
+            }
+            throw error;
+          }
+        } else {
+          this.spotifyService.releaseStationPlaylist(station.id);
+        }
+        await this.radioMonitor.syncStation(station.id);
+        
+        res.json({ success: true, station: this.formatStation(station, this.radioMonitor.getStatus()) });
+      } catch (error) {
+        logger.error('❌ Error updating station:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Restart a station's connection now, resetting its backoff (also revives failed stations)
+    this.app.post('/api/stations/:id/reconnect', async (req, res) => {
+      const station = this.stationRegistry.getStation(req.params.id);
+      if (!station) {
+        return res.status(404).json({ success: false, error: `Station ${req.params.id} not found` });
+      }
+      if (!station.enabled) {
+        return res.status(409).json({ success: false, error: `Station ${station.id} is disabled` });
+      }
+      
+      await this.radioMonitor.syncStation(station.id);
+      res.json({ success: true, station: this.formatStation(station, this.radioMonitor.getStatus()) });
+    });
+
+    this.app.get('/api/stations/:id/events', async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || 100;
+        const events = await this.spotifyService.database.getStationEvents(req.params.id, limit);
+        
+        res.json({ station: req.params.id, events });
+      } catch (error) {
+        logger.error('❌ Error getting station events:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/stations/:id', async (req, res) => {
+      try {
+        const station = await this.stationRegistry.removeStation(req.params.id);
+        
+        this.radioMonitor.stopStation(station.id);
+        this.spotifyService.releaseStationPlaylist(station.id);
+        
+        res.json({ success: true, message: `Station ${station.name} removed`, station });
+      } catch (error) {
+        logger.error('❌ Error removing station:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Content classifier rules per station (jingles, ads, talk, station IDs)
+    this.app.get('/api/stations/:id/classifier', (req, res) => {
+      const station = this.stationRegistry.getStation(req.params.id);
+      if (!station) {
+        return res.status(404).json({ error: `Station ${req.params.id} not found` });
+      }
+
+      res.json({
+        station: station.id,
+        classifier: station.settings.classifier || {},
+        rules: this.formatClassifierRules(this.stationRegistry.getClassifier(station.id)),
+        contentTypes: CONTENT_TYPES
+      });
+    });
+
+    this.app.put('/api/stations/:id/classifier', async (req, res) => {
+      try {
+        const { rules, useDefaultRules } = req.body || {};
+        const station = await this.stationRegistry.updateStationSetting(req.params.id, 'classifier', {
+          rules: rules || [],
+          useDefaultRules: useDefaultRules !== false
+        });
+
+        res.json({
+          success: true,
+          station: station.id,
+          classifier: station.settings.classifier,
+          rules: this.formatClassifierRules(this.stationRegistry.getClassifier(station.id))
+        });
+      } catch (error) {
+        logger.error('❌ Error updating classifier rules:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/api/stations/:id/classifier', async (req, res) => {
+      try {
+        const station = await this.stationRegistry.updateStationSetting(req.params.id, 'classifier', null);
+
+        res.json({
+          success: true,
+          station: station.id,
+          rules: this.formatClassifierRules(this.stationRegistry.getClassifier(station.id))
+        });
+      } catch (error) {
+        logger.error('❌ Error resetting classifier rules:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Match scoring: the station's overrides and the effective settings (defaults merged in)
+    this.app.get('/api/stations/:id/scoring', (req, res) => {
+      const station = this.stationRegistry.getStation(req.params.id);
+      if (!station) {
+        return res.status(404).json({ error: `Station ${req.params.id} not found` });
+      }
+
+      res.json({
+        station: station.id,
+        scoring: station.settings.scoring || {},
+        effective: this.stationRegistry.getScoring(station.id)
+      });
+    });
+
+    this.app.put('/api/stations/:id/scoring', async (req, res) => {
+      try {
+        const station = await this.stationRegistry.updateStationSetting(req.params.id, 'scoring', req.body || {});
+
+        res.json({
+          success: true,
+          station: station.id,
+          scoring: station.settings.scoring,
+          effective: this.stationRegistry.getScoring(station.id)
+        });
+      } catch (error) {
+        logger.error('❌ Error updating scoring settings:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/api/stations/:id/scoring', async (req, res) => {
+      try {
+        const station = await this.stationRegistry.updateStationSetting(req.params.id, 'scoring', null);
+
+        res.json({
+          success: true,
+          station: station.id,
+          effective: this.stationRegistry.getScoring(station.id)
+        });
+      } catch (error) {
+        logger.error('❌ Error resetting scoring settings:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Classify a sample title with a station's rules, or with unsaved rules passed as "classifier"
+    this.app.post('/api/classifier/test', (req, res) => {
+      try {
+        const { streamTitle, artist, title, station: stationId, classifier: classifierSettings } = req.body || {};
+        if (!streamTitle && !(artist && title)) {
+          return res.status(400).json({ success: false, error: 'streamTitle or artist and title are required' });
+        }
+        if (stationId && !this.stationRegistry.getStation(stationId)) {
+          return res.status(404).json({ success: false, error: `Station ${stationId} not found` });
+        }
+
+        const track = artist && title
+          ? { artist, title, original: streamTitle || `${artist} - ${title}` }
+          : parseWithRules(streamTitle, stationId ? this.stationRegistry.getTitleParser(stationId) : this.stationRegistry.buildTitleParser());
+
+        let classifier;
+        if (classifierSettings) {
+          classifier = this.stationRegistry.buildClassifier(classifierSettings);
+        } else {
+          classifier = stationId ? this.stationRegistry.getClassifier(stationId) : this.stationRegistry.buildClassifier();
+        }
+        const classification = classifyTrack(track, classifier);
+
+        res.json({
+          success: true,
+          station: stationId || null,
+          track: { artist: track.artist, title: track.title },
+          label: classification.label,
+          rule: classification.rule
+        });
+      } catch (error) {
+        logger.error('❌ Error testing classifier rules:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Try a StreamTitle against a station's parser rules, or against unsaved rules passed as "parser"
+    this.app.post('/api/parser/test', (req, res) => {
+      try {
+        const { streamTitle, station: stationId, parser: parserSettings } = req.body || {};
+        if (!streamTitle || typeof streamTitle !== 'string') {
+          return res.status(400).json({ success: false, error: 'streamTitle is required' });
+        }
+        if (stationId && !this.stationRegistry.getStation(stationId)) {
+          return res.status(404).json({ success: false, error: `Station ${stationId} not found` });
+        }
+
+        let parser;
+        if (parserSettings) {
+          parser = this.stationRegistry.buildTitleParser(parserSettings);
+        } else {
+          parser = stationId ? this.stationRegistry.getTitleParser(stationId) : this.stationRegistry.buildTitleParser();
+        }
+        const parsed = parseWithRules(streamTitle, parser);
+
+        res.json({
+          success: true,
+          streamTitle,
+          station: stationId || null,
+          matched: parsed.rule !== null,
+          rule: parsed.rule,
+          result: { artist: parsed.artist, title: parsed.title },
+          rules: parser.rules.map(rule => ({ name: rule.name, origin: rule.origin, pattern: rule.pattern }))
+        });
+      } catch (error) {
+        logger.error('❌ Error testing parser rules:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Show what an artist and title become with a station's normalization, or with unsaved settings passed as "normalization"
+    this.app.post('/api/normalizer/test', (req, res) => {
+      try {
+        const { artist, title, station: stationId, normalization } = req.body || {};
+        if (!artist || !title) {
+          return res.status(400).json({ success: false, error: 'artist and title are required' });
+        }
+        if (stationId && !this.stationRegistry.getStation(stationId)) {
+          return res.status(404).json({ success: false, error: `Station ${stationId} not found` });
+        }
+
+        let normalizer;
+        if (normalization) {
+          normalizer = this.stationRegistry.buildNormalizer(normalization);
+        } else {
+          normalizer = stationId ? this.stationRegistry.getNormalizer(stationId) : this.stationRegistry.defaultNormalizer;
+        }
+
+        res.json({
+          success: true,
+          station: stationId || null,
+          search: normalizeForSearch(artist, title, normalizer),
+          comparison: {
+            artist: normalizeForComparison(artist, 'artist', normalizer),
+            title: normalizeForComparison(title, 'title', normalizer)
+          },
+          songKey: createSongKey(artist, title, this.stationRegistry.defaultNormalizer),
+          steps: normalizer.steps
+        });
+      } catch (error) {
+        logger.error('❌ Error testing normalization:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
     this.app.get('/api/logs/recent', async (req, res) => {
       try {
         const logFile = path.join(process.cwd(), 'logs', 'app.log');
@@ -71,6 +402,17 @@ class WebInterface {
       }
     });
 
+    // Recent pipeline events; filter by correlationId to follow one track end to end
+    this.app.get('/api/events/recent', (req, res) => {
+      const limit = parseInt(req.query.limit) || 50;
+      const events = this.spotifyService.eventBus.getRecentEvents(limit, {
+        type: req.query.type || null,
+        correlationId: req.query.correlationId || null
+      });
+
+      res.json({ events });
+    });
+
     this.app.get('/api/tracks/matched', async (req, res) => {
       try {
         const limit = parseInt(req.query.limit) || 50;
@@ -97,7 +439,8 @@ class WebInterface {
             url: track.spotify_url
           },
           percentage: track.match_percentage,
-          playlist: track.playlist_name
+          playlist: track.playlist_name,
+          scoreDetails: this.parseScoreDetails(track.score_details)
         }));
         
         res.json({ 
@@ -136,6 +479,7 @@ class WebInterface {
             id: track.best_spotify_id
           } : null,
           percentage: track.best_match_percentage || 0,
+          scoreDetails: this.parseScoreDetails(track.score_details),
           reason: track.reason,
           searchResultsCount: track.search_results_count
         }));
@@ -151,6 +495,41 @@ class WebInterface {
       }
     });
 
+    // Retry job settings and the last run's counts
+    this.app.get('/api/tracks/unmatched/retry', (req, res) => {
+      const job = this.spotifyService.unmatchedRetry;
+      res.json({
+        schedule: job.schedule,
+        backoffMs: job.backoff.baseMs,
+        maxRetries: job.maxRetries,
+        batchSize: job.batchSize,
+        running: !!job.running,
+        lastRun: job.lastRun
+      });
+    });
+
+    // Search again now: { station } (a station ID) and/or { trackId } (an unmatched row).
+    // Without either, retries the songs that are due, like a scheduled run. { refresh: true }
+    // skips the search cache.
+    this.app.post('/api/tracks/unmatched/retry', async (req, res) => {
+      try {
+        const { station, trackId, refresh } = req.body || {};
+        if (station && !this.stationRegistry.getStation(station)) {
+          return res.status(404).json({ success: false, error: `Station ${station} not found` });
+        }
+
+        const summary = await this.spotifyService.unmatchedRetry.run({
+          station: station || null,
+          trackId: trackId ? parseInt(trackId) : null,
+          refresh: refresh === true
+        });
+        res.json({ success: true, ...summary });
+      } catch (error) {
+        logger.error('❌ Error retrying unmatched tracks:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
     this.app.get('/api/tracks/top-unmatched', async (req, res) => {
       try {
         const limit = parseInt(req.query.limit) || 50;
@@ -166,6 +545,218 @@ class WebInterface {
       }
     });
 
+    // Full play history ("what played when"), newest first
+    this.app.get('/api/plays', async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = parseInt(req.query.offset) || 0;
+        const station = req.query.station || null;
+
+        const plays = await this.spotifyService.database.getPlays(limit, offset, station);
+        const total = await this.spotifyService.database.getPlaysCount(station);
+
+        res.json({
+          plays: plays,
+          total: total,
+          limit: limit,
+          offset: offset
+        });
+      } catch (error) {
+        logger.error('❌ Error getting plays:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Play counts and rotation frequency per track
+    this.app.get('/api/plays/top', async (req, res) => {
+      try {
+        const days = parseInt(req.query.days) || 7;
+        const limit = parseInt(req.query.limit) || 50;
+        const station = req.query.station || null;
+        const tracks = await this.spotifyService.database.getTopPlays(days, limit, station);
+
+        res.json({
+          tracks: tracks,
+          days: days
+        });
+      } catch (error) {
+        logger.error('❌ Error getting top plays:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Songs played on more than one station, with where each one was added
+    this.app.get('/api/tracks/cross-station', async (req, res) => {
+      try {
+        const days = parseInt(req.query.days) || 7;
+        const limit = parseInt(req.query.limit) || 50;
+        const tracks = await this.spotifyService.database.getCrossStationTracks(days, limit);
+
+        res.json({
+          tracks: tracks,
+          days: days,
+          policy: this.spotifyService.crossStation.policy,
+          primaryStation: this.spotifyService.crossStation.primaryStation
+        });
+      } catch (error) {
+        logger.error('❌ Error getting cross-station tracks:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/tracks/:spotifyId/stations', async (req, res) => {
+      try {
+        const stations = await this.spotifyService.database.getTrackStations(req.params.spotifyId);
+        res.json({ spotifyId: req.params.spotifyId, stations: stations });
+      } catch (error) {
+        logger.error('❌ Error getting track stations:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Near-miss matches waiting for a decision (or, with ?status=approved|rejected, already decided)
+    this.app.get('/api/review', async (req, res) => {
+      try {
+        const status = req.query.status || 'pending';
+        if (!['pending', 'approved', 'rejected'].includes(status)) {
+          return res.status(400).json({ error: 'status must be pending, approved or rejected' });
+        }
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+        const { items, counts } = await this.spotifyService.getReviewQueue(status, limit, offset, req.query.station || null);
+
+        res.json({
+          items: items.map(item => ({
+            id: item.id,
+            station: item.station,
+            stationId: item.station_id,
+            metadata: {
+              artist: item.radio_artist,
+              title: item.radio_title,
+              original: item.radio_original
+            },
+            reason: item.reason,
+            matchedSpotifyId: item.matched_spotify_id,
+            candidates: this.parseScoreDetails(item.candidates) || [],
+            percentage: item.best_match_percentage,
+            scoreDetails: this.parseScoreDetails(item.score_details),
+            status: item.status,
+            chosenSpotifyId: item.chosen_spotify_id,
+            seenCount: item.seen_count,
+            lastSeenAt: item.last_seen_at,
+            createdAt: item.created_at,
+            reviewedAt: item.reviewed_at
+          })),
+          counts: counts,
+          status: status
+        });
+      } catch (error) {
+        logger.error('❌ Error getting review queue:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Approve the top candidate, or another one with { "spotifyId": "..." }
+    this.app.post('/api/review/:id/approve', async (req, res) => {
+      try {
+        const { spotifyId } = req.body || {};
+        const result = await this.spotifyService.approveReview(parseInt(req.params.id), spotifyId || null);
+        res.json({ success: true, ...result });
+      } catch (error) {
+        logger.error('❌ Error approving review:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/review/:id/reject', async (req, res) => {
+      try {
+        const result = await this.spotifyService.rejectReview(parseInt(req.params.id));
+        res.json({ success: true, ...result });
+      } catch (error) {
+        logger.error('❌ Error rejecting review:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Search Spotify directly: ?q=..., or ?artist=...&title=...
+    this.app.get('/api/spotify/search', async (req, res) => {
+      try {
+        const query = req.query.q || [req.query.artist, req.query.title].filter(Boolean).join(' ');
+        if (!query.trim()) {
+          return res.status(400).json({ success: false, error: 'q or artist and title are required' });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const tracks = await this.spotifyService.searchSpotify(query, limit);
+        res.json({ success: true, query: query, tracks: tracks });
+      } catch (error) {
+        logger.error('❌ Error searching Spotify:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Spotify request scheduler: settings, queue and per-category metrics since startup
+    this.app.get('/api/spotify/requests', (req, res) => {
+      res.json(this.spotifyService.requestScheduler.getStats());
+    });
+
+    // Search cache
+    this.app.get('/api/cache/search', async (req, res) => {
+      try {
+        res.json(await this.spotifyService.searchCache.getStats());
+      } catch (error) {
+        logger.error('❌ Error getting search cache stats:', error.message);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Empties the cache (e.g. after Spotify's catalog for a station's songs changed)
+    this.app.delete('/api/cache/search', async (req, res) => {
+      try {
+        const removed = await this.spotifyService.searchCache.clear();
+        res.json({ success: true, removed });
+      } catch (error) {
+        logger.error('❌ Error clearing search cache:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/api/overrides', async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+        const overrides = await this.spotifyService.database.getMatchOverrides(limit, offset);
+        res.json({ overrides: overrides.map(override => this.formatOverride(override)) });
+      } catch (error) {
+        logger.error('❌ Error getting match overrides:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // { artist, title, spotifyId } or { artist, title, neverMatch: true }
+    this.app.post('/api/overrides', async (req, res) => {
+      try {
+        const { artist, title, spotifyId, neverMatch } = req.body || {};
+        const result = await this.spotifyService.saveMatchOverride({ artist, title, spotifyId, neverMatch: !!neverMatch });
+        res.json({ success: true, ...result, override: this.formatOverride(result.override) });
+      } catch (error) {
+        logger.error('❌ Error saving match override:', error.message);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/api/overrides/:id', async (req, res) => {
+      try {
+        const deleted = await this.spotifyService.database.deleteMatchOverride(parseInt(req.params.id));
+        if (!deleted) {
+          return res.status(404).json({ success: false, error: `Override ${req.params.id} not found` });
+        }
+        res.json({ success: true });
+      } catch (error) {
+        logger.error('❌ Error deleting match override:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
     this.app.get('/api/stats/daily', async (req, res) => {
       try {
         const days = parseInt(req.query.days) || 30;
@@ -194,6 +785,38 @@ class WebInterface {
       }
     });
 
+    // How much airtime went to music versus jingles, ads, talk and station IDs
+    this.app.get('/api/stats/airtime', async (req, res) => {
+      try {
+        const days = parseInt(req.query.days) || 7;
+        const station = req.query.station || null;
+        const airtime = await this.spotifyService.database.getAirtimeByContentType(days, station);
+        
+        res.json({ 
+          airtime: airtime,
+          days: days
+        });
+      } catch (error) {
+        logger.error('❌ Error getting airtime stats:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/stats/uptime', async (req, res) => {
+      try {
+        const hours = parseInt(req.query.hours) || 24;
+        const uptime = await this.spotifyService.database.getStationUptime(hours);
+        
+        res.json({ 
+          uptime: uptime,
+          hours: hours
+        });
+      } catch (error) {
+        logger.error('❌ Error getting station uptime:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Debug endpoint to check database stats
     this.app.get('/api/debug/database', async (req, res) => {
       try {
@@ -240,6 +863,17 @@ class WebInterface {
       }
     });
 
+    // Tracks that are the same recording as another track in their playlist (report only)
+    this.app.get('/api/playlists/recording-duplicates', async (req, res) => {
+      try {
+        const result = await this.spotifyService.findRecordingDuplicates();
+        res.json(result);
+      } catch (error) {
+        logger.error('❌ Error finding recording duplicates:', error);
+        res.status(error.statusCode || 500).json({ success: false, error: error.message });
+      }
+    });
+
     this.app.post('/api/data/clear', async (req, res) => {
       try {
         const result = await this.spotifyService.clearAllData();
@@ -276,6 +910,63 @@ class WebInterface {
     });
   }
 
+  formatStation(station, status) {
+    const liveStatus = status.stations[station.id];
+    const playlist = this.spotifyService.playlists.get(station.id);
+    
+    return {
+      ...station,
+      playlistName: this.stationRegistry.getPlaylistName(station),
+      playlistUrl: playlist ? playlist.external_urls.spotify : null,
+      connected: liveStatus ? liveStatus.connected : false,
+      state: liveStatus ? liveStatus.state : null,
+      lastError: liveStatus ? liveStatus.lastError : null
+    };
+  }
+
+  // Effective rules in the order they are tried
+  formatClassifierRules(classifier) {
+    return classifier.rules.map(rule => ({
+      name: rule.name,
+      origin: rule.origin,
+      type: rule.type,
+      match: rule.match,
+      field: rule.field,
+      label: rule.label
+    }));
+  }
+
+  formatOverride(override) {
+    const track = this.parseScoreDetails(override.spotify_track);
+    return {
+      id: override.id,
+      songKey: override.song_key,
+      artist: override.radio_artist,
+      title: override.radio_title,
+      neverMatch: !!override.never_match,
+      spotifyTrack: track ? {
+        id: track.id,
+        artist: track.artists.map(a => a.name).join(', '),
+        title: track.name,
+        url: track.external_urls.spotify
+      } : null,
+      createdAt: override.created_at,
+      updatedAt: override.updated_at
+    };
+  }
+
+  // Score breakdowns are stored as JSON; rows from before they were recorded have none
+  parseScoreDetails(value) {
+    if (!value) {
+      return null;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
   start() {
     this.server = this.app.listen(this.port, () => {
       logger.info(`🌐 Web interface available at: http://localhost:${this.port}`);
@@ -285,9 +976,11 @@ class WebInterface {
     });
   }
 
-  stop() {
+  // Resolves once requests in progress have finished
+  async stop() {
     if (this.server) {
-      this.server.close();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
       logger.info('🛑 Web interface stopped');
     }
   }
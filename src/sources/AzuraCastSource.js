@@ -0,0 +1,46 @@
+const PollingSource = require('./PollingSource');
+
+/**
+ * Polls AzuraCast's now-playing API, which gives artist and title separately along
+ * with when the song started and how long it is.
+ *
+ * Options: url (full now-playing URL) or shortcode (the AzuraCast station short name,
+ * combined with the stream's host), interval, timeout.
+ */
+class AzuraCastSource extends PollingSource {
+  constructor(station, options = {}) {
+    super(station, options);
+    this.type = 'azuracast';
+
+    if (options.url) {
+      this.nowPlayingUrl = options.url;
+    } else if (options.shortcode) {
+      this.nowPlayingUrl = new URL(`/api/nowplaying/${encodeURIComponent(options.shortcode)}`, station.url).toString();
+    } else {
+      throw new Error(`AzuraCast source for ${station.id} needs a "url" or "shortcode"`);
+    }
+  }
+
+  getPollUrl() {
+    return this.nowPlayingUrl;
+  }
+
+  extractTrack(data) {
+    const nowPlaying = data && data.now_playing;
+    if (!nowPlaying || !nowPlaying.song) {
+      throw new Error('Response has no now_playing song');
+    }
+
+    const song = nowPlaying.song;
+    return {
+      streamTitle: song.text || [song.artist, song.title].filter(Boolean).join(' - '),
+      artist: song.artist || null,
+      title: song.title || null,
+      raw: nowPlaying,
+      startedAt: nowPlaying.played_at ? new Date(nowPlaying.played_at * 1000).toISOString() : null,
+      duration: nowPlaying.duration || null
+    };
+  }
+}
+
+module.exports = AzuraCastSource;
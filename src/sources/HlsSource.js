@@ -0,0 +1,160 @@
+const axios = require('axios');
+const PollingSource = require('./PollingSource');
+const { extractId3Tags } = require('../utils/id3');
+
+/**
+ * Follows an HLS stream by polling its m3u8 playlist. Titles come from #EXTINF entries
+ * when the server writes them there, otherwise from ID3 timed metadata in the newest
+ * segment (packed AAC/MP3 or MPEG-TS).
+ *
+ * Options: url (defaults to the station URL), segmentMetadata (read ID3 from segments,
+ * default true), interval, timeout.
+ */
+class HlsSource extends PollingSource {
+  constructor(station, options = {}) {
+    super(station, options);
+    this.type = 'hls';
+    this.playlistUrl = options.url || station.url;
+    this.segmentMetadata = options.segmentMetadata !== false;
+    this.mediaPlaylistUrl = null; // Resolved from a master playlist on first poll
+    this.lastSegmentUri = null;
+    this.lastTrack = null;
+  }
+
+  getPollUrl() {
+    return this.mediaPlaylistUrl || this.playlistUrl;
+  }
+
+  async fetchText(url) {
+    const response = await axios.get(url, { timeout: this.requestTimeout, responseType: 'text' });
+    this.emit('activity', response.data.length);
+    return response.data;
+  }
+
+  async fetchTrack() {
+    let playlist = await this.fetchText(this.getPollUrl());
+
+    if (!playlist.startsWith('#EXTM3U')) {
+      throw new Error('Response is not an m3u8 playlist');
+    }
+
+    // A master playlist only lists variants; follow the lowest-bandwidth one from now on
+    if (!this.mediaPlaylistUrl && playlist.includes('#EXT-X-STREAM-INF')) {
+      this.mediaPlaylistUrl = this.selectVariant(playlist, this.playlistUrl);
+      playlist = await this.fetchText(this.mediaPlaylistUrl);
+    }
+
+    const segments = this.parseMediaPlaylist(playlist, this.getPollUrl());
+    const newest = segments[segments.length - 1];
+    if (!newest) {
+      return this.lastTrack;
+    }
+
+    // Nothing new since the last poll
+    if (newest.uri === this.lastSegmentUri) {
+      return this.lastTrack;
+    }
+
+    let track = this.trackFromExtinf(newest.title);
+    if (!track && this.segmentMetadata) {
+      track = await this.trackFromSegment(newest.uri);
+    }
+    // Only once the segment was read, so one that failed to download is tried again
+    this.lastSegmentUri = newest.uri;
+
+    if (track) {
+      this.lastTrack = track;
+    }
+    return this.lastTrack;
+  }
+
+  selectVariant(playlist, baseUrl) {
+    const lines = playlist.split(/\r?\n/);
+    const variants = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].startsWith('#EXT-X-STREAM-INF')) {
+        const bandwidth = parseInt((lines[i].match(/BANDWIDTH=(\d+)/) || [])[1]) || Infinity;
+        const uri = lines.slice(i + 1).find(line => line.trim() && !line.startsWith('#'));
+        if (uri) {
+          variants.push({ bandwidth, uri: new URL(uri.trim(), baseUrl).toString() });
+        }
+      }
+    }
+
+    if (variants.length === 0) {
+      throw new Error('Master playlist has no variants');
+    }
+
+    variants.sort((a, b) => a.bandwidth - b.bandwidth);
+    return variants[0].uri;
+  }
+
+  parseMediaPlaylist(playlist, baseUrl) {
+    const segments = [];
+    let pending = null;
+
+    for (const rawLine of playlist.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (line.startsWith('#EXTINF:')) {
+        const info = line.slice('#EXTINF:'.length);
+        const comma = info.indexOf(',');
+        pending = {
+          duration: parseFloat(info) || null,
+          title: comma !== -1 ? info.slice(comma + 1).trim() : ''
+        };
+      } else if (line && !line.startsWith('#') && pending) {
+        segments.push({ ...pending, uri: new URL(line, baseUrl).toString() });
+        pending = null;
+      }
+    }
+
+    return segments;
+  }
+
+  trackFromExtinf(extinfTitle) {
+    if (!extinfTitle) {
+      return null;
+    }
+
+    // Some servers write attributes: title="...",artist="..."
+    const attributes = {};
+    for (const match of extinfTitle.matchAll(/([\w-]+)="([^"]*)"/g)) {
+      attributes[match[1].toLowerCase()] = match[2];
+    }
+
+    if (attributes.title) {
+      const artist = attributes.artist || null;
+      return {
+        streamTitle: artist ? `${artist} - ${attributes.title}` : attributes.title,
+        artist,
+        title: artist ? attributes.title : null,
+        raw: extinfTitle
+      };
+    }
+
+    return { streamTitle: extinfTitle, raw: extinfTitle };
+  }
+
+  async trackFromSegment(segmentUrl) {
+    const response = await axios.get(segmentUrl, { timeout: this.requestTimeout, responseType: 'arraybuffer' });
+    const segment = Buffer.from(response.data);
+    this.emit('activity', segment.length);
+
+    // The last tag in the segment is the most recent now-playing update
+    const tags = extractId3Tags(segment).reverse();
+    for (const tag of tags) {
+      const streamTitle = tag.TXXX.StreamTitle || tag.TXXX.title || null;
+      if (tag.TIT2 && tag.TPE1) {
+        return { streamTitle: `${tag.TPE1} - ${tag.TIT2}`, artist: tag.TPE1, title: tag.TIT2, raw: tag };
+      }
+      if (streamTitle || tag.TIT2) {
+        return { streamTitle: streamTitle || tag.TIT2, raw: tag };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = HlsSource;
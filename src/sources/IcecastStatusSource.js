@@ -0,0 +1,56 @@
+const PollingSource = require('./PollingSource');
+
+/**
+ * Polls an Icecast server's status-json.xsl and picks out the station's mount.
+ *
+ * Options: statusUrl (defaults to /status-json.xsl on the stream's host),
+ * mount (defaults to the stream URL's path), interval, timeout.
+ */
+class IcecastStatusSource extends PollingSource {
+  constructor(station, options = {}) {
+    super(station, options);
+    this.type = 'icecast';
+
+    const streamUrl = new URL(station.url);
+    this.statusUrl = options.statusUrl || new URL('/status-json.xsl', streamUrl).toString();
+    this.mount = options.mount || streamUrl.pathname;
+  }
+
+  getPollUrl() {
+    return this.statusUrl;
+  }
+
+  extractTrack(data) {
+    const icestats = data && data.icestats;
+    if (!icestats) {
+      throw new Error('Response has no icestats');
+    }
+
+    // Icecast returns a single object instead of an array when only one mount exists
+    const sources = Array.isArray(icestats.source) ? icestats.source : [icestats.source].filter(Boolean);
+    const source = sources.find(entry => {
+      try {
+        return new URL(entry.listenurl).pathname === this.mount;
+      } catch (error) {
+        return false;
+      }
+    });
+
+    if (!source) {
+      throw new Error(`Mount ${this.mount} not found in Icecast status`);
+    }
+
+    const artist = source.artist ? String(source.artist).trim() : null;
+    const title = source.title ? String(source.title).trim() : null;
+
+    return {
+      // Icecast only fills "artist" when the source client sends it separately
+      streamTitle: artist && title ? `${artist} - ${title}` : title,
+      artist: artist && title ? artist : null,
+      title: artist && title ? title : null,
+      raw: source
+    };
+  }
+}
+
+module.exports = IcecastStatusSource;
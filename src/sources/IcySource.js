@@ -0,0 +1,108 @@
+const ICY = require('icy');
+const logger = require('../utils/logger');
+const NowPlayingSource = require('./NowPlayingSource');
+
+/**
+ * Reads ICY StreamTitle metadata from the audio stream itself. Simple and universal,
+ * but keeps the full audio stream open and throws the audio away.
+ */
+class IcySource extends NowPlayingSource {
+  constructor(station, options = {}) {
+    super(station, options);
+    this.type = 'icy';
+    this.url = options.url || station.url;
+    this.connectTimeout = options.connectTimeout || 30000;
+    this.response = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      logger.info(`🔗 Connecting to ${this.station.id}: ${this.url}`);
+
+      const request = ICY.get(this.url, (res) => {
+        if (res.statusCode !== 200) {
+          this.destroyStream(res);
+          reject(new Error(`HTTP ${res.statusCode} for ${this.station.id}`));
+          return;
+        }
+
+        const contentType = res.headers ? res.headers['content-type'] || 'unknown' : 'unknown';
+        logger.info(`✅ Connected to ${this.station.id} (${contentType})`);
+
+        // The timeout only guards the connect; once streaming, the watchdog watches for stalls
+        request.setTimeout(0);
+
+        if (this.stopped) {
+          this.destroyStream(res);
+          return;
+        }
+
+        this.response = res;
+        this.attachStreamHandlers(res);
+        resolve();
+      });
+
+      request.on('error', (error) => {
+        reject(error);
+      });
+
+      // Set timeout for connection
+      request.setTimeout(this.connectTimeout, () => {
+        request.destroy();
+        reject(new Error(`Connection timeout for ${this.station.id}`));
+      });
+    });
+  }
+
+  attachStreamHandlers(res) {
+    res.on('data', (chunk) => {
+      this.emit('activity', chunk.length);
+    });
+
+    res.on('metadata', (metadata) => {
+      const parsed = ICY.parse(metadata);
+      this.emitTrack({
+        streamTitle: parsed.StreamTitle,
+        raw: metadata.toString('utf8')
+      });
+    });
+
+    // icy wraps the HTTP response in a metadata Reader that doesn't see aborts, so watch both.
+    // error, end and close can all fire for one stream; only the first one counts
+    let disconnected = false;
+    const disconnect = (error) => {
+      if (!disconnected) {
+        disconnected = true;
+        this.emitDisconnect(error);
+      }
+    };
+
+    const streams = res.res ? [res, res.res] : [res];
+    for (const stream of streams) {
+      stream.on('error', (error) => disconnect(error));
+      stream.on('end', () => disconnect(new Error('Stream ended')));
+      stream.on('close', () => disconnect(new Error('Stream closed')));
+    }
+
+    // We don't need the actual audio data, just metadata
+    res.resume();
+  }
+
+  destroyStream(res) {
+    // Destroying only the icy Reader would leave the underlying socket open
+    if (res.res) {
+      res.res.destroy();
+    }
+    res.destroy();
+  }
+
+  stop() {
+    super.stop();
+    if (this.response) {
+      this.destroyStream(this.response);
+      this.response = null;
+    }
+  }
+}
+
+module.exports = IcySource;
@@ -0,0 +1,54 @@
+const EventEmitter = require('events');
+
+/**
+ * Base class for now-playing source adapters.
+ *
+ * An adapter connects to one station and reports what is playing. Events:
+ * - 'track'      normalized now-playing info: { streamTitle, artist, title, raw, startedAt, duration }
+ *                (artist/title are null when the source only provides a combined title)
+ * - 'activity'   proof of life for the watchdog, with the number of bytes received
+ * - 'disconnect' the source stopped working (only emitted after start() resolved)
+ */
+class NowPlayingSource extends EventEmitter {
+  constructor(station, options = {}) {
+    super();
+    this.station = station;
+    this.options = options;
+    this.type = 'unknown';
+    this.pollIntervalMs = null; // Set by polling sources so the watchdog can allow for it
+    this.stopped = false;
+  }
+
+  // Resolves once the source is connected, rejects if it can't connect
+  async start() {
+    throw new Error(`${this.constructor.name} does not implement start()`);
+  }
+
+  stop() {
+    this.stopped = true;
+    this.removeAllListeners();
+  }
+
+  emitTrack(track) {
+    if (this.stopped || !track || !track.streamTitle) {
+      return;
+    }
+
+    this.emit('track', {
+      streamTitle: track.streamTitle,
+      artist: track.artist || null,
+      title: track.title || null,
+      raw: track.raw !== undefined ? track.raw : track.streamTitle,
+      startedAt: track.startedAt || null,
+      duration: track.duration || null
+    });
+  }
+
+  emitDisconnect(error) {
+    if (!this.stopped) {
+      this.emit('disconnect', error);
+    }
+  }
+}
+
+module.exports = NowPlayingSource;
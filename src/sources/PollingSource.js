@@ -0,0 +1,88 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const NowPlayingSource = require('./NowPlayingSource');
+
+/**
+ * Base class for sources that poll a now-playing HTTP endpoint instead of holding
+ * the audio stream open. JSON sources implement getPollUrl() and extractTrack(data);
+ * anything else overrides fetchTrack().
+ */
+class PollingSource extends NowPlayingSource {
+  constructor(station, options = {}) {
+    super(station, options);
+    this.pollIntervalMs = options.interval || 15000;
+    this.requestTimeout = options.timeout || 10000;
+    this.pollTimer = null;
+    this.lastStreamTitle = null;
+  }
+
+  getPollUrl() {
+    throw new Error(`${this.constructor.name} does not implement getPollUrl()`);
+  }
+
+  extractTrack() {
+    throw new Error(`${this.constructor.name} does not implement extractTrack()`);
+  }
+
+  async start() {
+    logger.info(`🔗 Polling ${this.type} now-playing for ${this.station.id} every ${Math.round(this.pollIntervalMs / 1000)}s: ${this.getPollUrl()}`);
+
+    // The first poll doubles as the connection check
+    const track = await this.fetchTrack();
+    if (this.stopped) {
+      return;
+    }
+
+    this.scheduleNextPoll();
+
+    // Report the first result once our caller has had a chance to see start() resolve
+    setImmediate(() => this.handleTrack(track));
+  }
+
+  async fetchTrack() {
+    const url = this.getPollUrl();
+    const response = await axios.get(url, {
+      timeout: this.requestTimeout,
+      headers: { Accept: 'application/json' }
+    });
+
+    this.emit('activity', JSON.stringify(response.data).length);
+    return this.extractTrack(response.data);
+  }
+
+  scheduleNextPoll() {
+    this.pollTimer = setTimeout(async () => {
+      this.pollTimer = null;
+      try {
+        const track = await this.fetchTrack();
+        if (this.stopped) {
+          return;
+        }
+        this.handleTrack(track);
+        this.scheduleNextPoll();
+      } catch (error) {
+        this.emitDisconnect(new Error(`Poll failed: ${error.message}`));
+      }
+    }, this.pollIntervalMs);
+  }
+
+  handleTrack(track) {
+    // Like ICY metadata, only report changes
+    if (!track || !track.streamTitle || track.streamTitle === this.lastStreamTitle) {
+      return;
+    }
+
+    this.lastStreamTitle = track.streamTitle;
+    this.emitTrack(track);
+  }
+
+  stop() {
+    super.stop();
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
+
+module.exports = PollingSource;
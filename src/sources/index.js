@@ -0,0 +1,41 @@
+const IcySource = require('./IcySource');
+const IcecastStatusSource = require('./IcecastStatusSource');
+const AzuraCastSource = require('./AzuraCastSource');
+const HlsSource = require('./HlsSource');
+
+const SOURCE_TYPES = {
+  icy: IcySource,
+  icecast: IcecastStatusSource,
+  azuracast: AzuraCastSource,
+  hls: HlsSource
+};
+
+function getSourceConfig(station) {
+  return (station.settings && station.settings.source) || { type: 'icy' };
+}
+
+function isKnownSourceType(type) {
+  return Object.prototype.hasOwnProperty.call(SOURCE_TYPES, type);
+}
+
+/**
+ * Creates the now-playing source configured for a station (settings.source.type,
+ * defaulting to ICY). Station settings override the given defaults.
+ */
+function createSource(station, defaults = {}) {
+  const config = getSourceConfig(station);
+  const type = config.type || 'icy';
+
+  if (!isKnownSourceType(type)) {
+    throw new Error(`Unknown source type "${type}" for station ${station.id}`);
+  }
+
+  return new SOURCE_TYPES[type](station, { ...defaults, ...config });
+}
+
+module.exports = {
+  createSource,
+  getSourceConfig,
+  isKnownSourceType,
+  SOURCE_TYPES: Object.keys(SOURCE_TYPES)
+};
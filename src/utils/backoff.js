@@ -0,0 +1,13 @@
+/**
+ * Exponential backoff delay for the given attempt (1-based), capped at maxMs.
+ * Jitter spreads the delay by ±jitter (0-1) so reconnects and retries don't line up.
+ */
+function computeBackoffDelay(attempt, { baseMs = 5000, maxMs = 300000, jitter = 0.2 } = {}) {
+  const exponent = Math.max(0, attempt - 1);
+  const delay = Math.min(maxMs, baseMs * Math.pow(2, exponent));
+  const spread = delay * jitter * (Math.random() * 2 - 1);
+
+  return Math.round(Math.max(0, Math.min(maxMs, delay + spread)));
+}
+
+module.exports = { computeBackoffDelay };
@@ -0,0 +1,114 @@
+// Labels each parsed title as music or as one of the non-music content types, so
+// jingles, ads and station IDs never reach Spotify search. Rules look like:
+//   { "type": "substring", "match": "commercial", "label": "ad" }
+//   { "type": "regex", "match": "^halloween ?radio", "flags": "i", "label": "station-id", "field": "artist" }
+//   { "type": "exact", "match": "Station Break", "label": "station-id" }
+// Matching is case-insensitive (regex rules use their own flags). "field" is artist,
+// title or any (default: artist, title or the original StreamTitle).
+
+const CONTENT_TYPES = ['music', 'jingle', 'ad', 'talk', 'station-id'];
+const RULE_TYPES = ['substring', 'regex', 'exact'];
+const RULE_FIELDS = ['any', 'artist', 'title'];
+
+// The patterns the old non-music filter skipped. Words that song titles use too ("Jingle
+// Bell Rock", "Streaming Blood", "Live! Fast Die Young") only count at the start of the
+// artist, where the station puts them ("Jingle - Kids Halloween").
+const DEFAULT_RULES = [
+  { type: 'substring', match: 'azuracast', label: 'station-id' },
+  { type: 'substring', match: 'halloweenradio', label: 'station-id' },
+  { type: 'regex', match: '^commercials?\\b', field: 'artist', label: 'ad' },
+  { type: 'regex', match: '^jingles?\\b', field: 'artist', label: 'jingle' },
+  { type: 'regex', match: '\\bstation id\\b', label: 'station-id' },
+  { type: 'regex', match: '\\bradio id\\b', label: 'station-id' },
+  { type: 'regex', match: '^live!', field: 'artist', label: 'talk' },
+  { type: 'regex', match: '^streaming\\b', field: 'artist', label: 'station-id' }
+];
+
+function compileRule(rule, index) {
+  const type = rule.type || 'substring';
+  const name = rule.name || `${type}:${rule.match || index + 1}`;
+
+  if (!RULE_TYPES.includes(type)) {
+    throw new Error(`Classifier rule "${name}" has unknown type "${type}" (use ${RULE_TYPES.join(', ')})`);
+  }
+  if (!rule.match || typeof rule.match !== 'string') {
+    throw new Error(`Classifier rule "${name}" needs a "match" string`);
+  }
+  if (!CONTENT_TYPES.includes(rule.label)) {
+    throw new Error(`Classifier rule "${name}" has unknown label "${rule.label}" (use ${CONTENT_TYPES.join(', ')})`);
+  }
+
+  const field = rule.field || 'any';
+  if (!RULE_FIELDS.includes(field)) {
+    throw new Error(`Classifier rule "${name}" has unknown field "${field}" (use ${RULE_FIELDS.join(', ')})`);
+  }
+
+  let test;
+  if (type === 'regex') {
+    let regex;
+    try {
+      regex = new RegExp(rule.match, rule.flags || 'i');
+    } catch (error) {
+      throw new Error(`Classifier rule "${name}" has an invalid pattern: ${error.message}`);
+    }
+    test = value => regex.test(value);
+  } else if (type === 'exact') {
+    const expected = rule.match.trim().toLowerCase();
+    test = value => value.trim().toLowerCase() === expected;
+  } else {
+    const needle = rule.match.toLowerCase();
+    test = value => value.toLowerCase().includes(needle);
+  }
+
+  return { name, type, match: rule.match, label: rule.label, field, test };
+}
+
+/**
+ * Compiles classifier settings ({ rules, useDefaultRules }) into a classifier. Station
+ * rules are tried before the default rules unless useDefaultRules is false. Throws on
+ * invalid rules.
+ */
+function compileClassifier(settings = {}, defaultRules = DEFAULT_RULES) {
+  const stationRules = settings.rules || [];
+  if (!Array.isArray(stationRules)) {
+    throw new Error('Classifier rules must be a list');
+  }
+
+  const rules = stationRules.map((rule, index) => ({ ...compileRule(rule, index), origin: 'station' }));
+  if (settings.useDefaultRules !== false) {
+    defaultRules.forEach((rule, index) => rules.push({ ...compileRule(rule, index), origin: 'default' }));
+  }
+
+  return { rules };
+}
+
+/**
+ * Classifies a parsed track ({ artist, title, original }). Returns { label, rule }; the
+ * label is 'music' with a null rule when no rule matched.
+ */
+function classifyTrack(track, classifier) {
+  const values = {
+    artist: [track.artist || ''],
+    title: [track.title || ''],
+    any: [track.artist || '', track.title || '', track.original || '']
+  };
+
+  for (let index = 0; index < classifier.rules.length; index++) {
+    const rule = classifier.rules[index];
+    if (values[rule.field].some(value => value && rule.test(value))) {
+      return {
+        label: rule.label,
+        rule: { name: rule.name, index, origin: rule.origin, type: rule.type, match: rule.match }
+      };
+    }
+  }
+
+  return { label: 'music', rule: null };
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  DEFAULT_RULES,
+  compileClassifier,
+  classifyTrack
+};
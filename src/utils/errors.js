@@ -0,0 +1,8 @@
+// An Error carrying the HTTP status the web interface should answer with
+function createError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = { createError };
@@ -0,0 +1,176 @@
+// Minimal ID3v2 reader for HLS timed metadata. Only text frames are decoded,
+// which is all now-playing info needs.
+
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+
+function readSyncsafe(buffer, offset) {
+  return ((buffer[offset] & 0x7f) << 21) |
+    ((buffer[offset + 1] & 0x7f) << 14) |
+    ((buffer[offset + 2] & 0x7f) << 7) |
+    (buffer[offset + 3] & 0x7f);
+}
+
+function isId3Header(buffer, offset) {
+  return offset + 10 <= buffer.length &&
+    buffer[offset] === 0x49 && buffer[offset + 1] === 0x44 && buffer[offset + 2] === 0x33 && // "ID3"
+    buffer[offset + 3] >= 2 && buffer[offset + 3] <= 4 && buffer[offset + 4] !== 0xff &&
+    buffer[offset + 6] < 0x80 && buffer[offset + 7] < 0x80 && buffer[offset + 8] < 0x80 && buffer[offset + 9] < 0x80;
+}
+
+function decodeUtf16BE(data) {
+  const even = data.subarray(0, data.length - (data.length % 2));
+  return Buffer.from(even).swap16().toString('utf16le');
+}
+
+function decodeText(encoding, data) {
+  let text;
+  switch (encoding) {
+    case 1: // UTF-16 with BOM
+      if (data.length >= 2 && data[0] === 0xfe && data[1] === 0xff) {
+        text = decodeUtf16BE(data.subarray(2));
+      } else {
+        text = data.subarray(data.length >= 2 && data[0] === 0xff && data[1] === 0xfe ? 2 : 0).toString('utf16le');
+      }
+      break;
+    case 2: // UTF-16BE without BOM
+      text = decodeUtf16BE(data);
+      break;
+    case 3:
+      text = data.toString('utf8');
+      break;
+    default:
+      text = data.toString('latin1');
+  }
+  return text.replace(/\uFEFF/g, '').replace(/\0+$/, '');
+}
+
+/**
+ * Parses the ID3v2.3/2.4 tag starting at offset and returns its text frames,
+ * e.g. { TIT2: 'Title', TPE1: 'Artist', TXXX: { StreamTitle: '...' } }.
+ */
+function parseId3Tag(buffer, offset = 0) {
+  if (!isId3Header(buffer, offset)) {
+    return null;
+  }
+
+  const version = buffer[offset + 3];
+  const flags = buffer[offset + 5];
+  const tagSize = readSyncsafe(buffer, offset + 6);
+  const end = Math.min(buffer.length, offset + 10 + tagSize);
+  let position = offset + 10;
+
+  // Skip the extended header if present
+  if (flags & 0x40) {
+    const extendedSize = version === 4 ? readSyncsafe(buffer, position) : buffer.readUInt32BE(position) + 4;
+    position += extendedSize;
+  }
+
+  const frames = { TXXX: {} };
+  // ID3v2.2 uses 3-character frame IDs and 3-byte sizes; 2.3/2.4 use 4 and 4
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+
+  while (position + headerLength <= end) {
+    const frameId = buffer.toString('latin1', position, position + idLength);
+    if (!/^[A-Z0-9]+$/.test(frameId)) {
+      break; // Padding
+    }
+
+    let frameSize;
+    if (version === 2) {
+      frameSize = buffer.readUIntBE(position + 3, 3);
+    } else if (version === 4) {
+      frameSize = readSyncsafe(buffer, position + 4);
+    } else {
+      frameSize = buffer.readUInt32BE(position + 4);
+    }
+
+    const dataStart = position + headerLength;
+    const dataEnd = dataStart + frameSize;
+    if (frameSize <= 0 || dataEnd > end) {
+      break;
+    }
+
+    const data = buffer.subarray(dataStart, dataEnd);
+    const id = version === 2 ? ({ TT2: 'TIT2', TP1: 'TPE1', TXX: 'TXXX' })[frameId] || frameId : frameId;
+
+    if (id === 'TXXX') {
+      // Description and value are separated by a terminator in the frame's encoding
+      const value = decodeText(data[0], data.subarray(1));
+      const separator = value.indexOf('\0');
+      if (separator !== -1) {
+        frames.TXXX[value.slice(0, separator)] = value.slice(separator + 1).replace(/^\0+/, '');
+      }
+    } else if (id[0] === 'T') {
+      frames[id] = decodeText(data[0], data.subarray(1));
+    }
+
+    position = dataEnd;
+  }
+
+  return frames;
+}
+
+/**
+ * Collects the payload of each MPEG-TS elementary stream so tags split across
+ * 188-byte packets can be read as one buffer.
+ */
+function demuxTransportStream(buffer) {
+  const streams = new Map();
+
+  for (let offset = 0; offset + TS_PACKET_SIZE <= buffer.length; offset += TS_PACKET_SIZE) {
+    if (buffer[offset] !== TS_SYNC_BYTE) {
+      continue;
+    }
+
+    const pid = ((buffer[offset + 1] & 0x1f) << 8) | buffer[offset + 2];
+    const adaptationControl = (buffer[offset + 3] >> 4) & 0x03;
+    if (adaptationControl === 0 || adaptationControl === 2) {
+      continue; // No payload
+    }
+
+    let payloadStart = offset + 4;
+    if (adaptationControl === 3) {
+      payloadStart += 1 + buffer[offset + 4];
+    }
+    if (payloadStart >= offset + TS_PACKET_SIZE) {
+      continue;
+    }
+
+    if (!streams.has(pid)) {
+      streams.set(pid, []);
+    }
+    streams.get(pid).push(buffer.subarray(payloadStart, offset + TS_PACKET_SIZE));
+  }
+
+  return Array.from(streams.values()).map(chunks => Buffer.concat(chunks));
+}
+
+/**
+ * Finds ID3 tags in an HLS segment: at the start of packed audio (AAC/MP3)
+ * segments, or as timed metadata inside MPEG-TS segments.
+ */
+function extractId3Tags(segment) {
+  const buffers = segment[0] === TS_SYNC_BYTE && segment.length >= TS_PACKET_SIZE
+    ? demuxTransportStream(segment)
+    : [segment];
+  const tags = [];
+
+  for (const buffer of buffers) {
+    let offset = buffer.indexOf('ID3');
+    while (offset !== -1) {
+      const tag = parseId3Tag(buffer, offset);
+      if (tag) {
+        tags.push(tag);
+        offset = buffer.indexOf('ID3', offset + 10 + readSyncsafe(buffer, offset + 6));
+      } else {
+        offset = buffer.indexOf('ID3', offset + 3);
+      }
+    }
+  }
+
+  return tags;
+}
+
+module.exports = { parseId3Tag, extractId3Tags };
@@ -0,0 +1,275 @@
+// Scores Spotify search results against the artist and title heard on the radio. Both
+// sides are normalized first (see normalizer.js). Each candidate gets a breakdown so a
+// match (or a miss) can be explained later:
+//   artistSimilarity / titleSimilarity   Dice coefficient of the normalized names (0-1)
+//   artistContainment / titleContainment containmentScore when one name contains the other
+//   artistScore / titleScore             the better of similarity and containment
+//   penalties                            [{ reason, amount }] from the version rules
+//                                        (versionRules.js); bonuses have negative amounts
+// score = artistScore * weights.artist + titleScore * weights.title - penalties, kept
+// between 0 and 1. Bonuses only count towards rankScore, the value candidates are ranked
+// by: they pick the original among close candidates and break ties between perfect
+// matches, but never lift a near miss over threshold or a reject over reviewThreshold. Tracks Spotify marks as not playable in the configured
+// market are left out. A top candidate scoring at least reviewThreshold but under
+// threshold is a near miss and goes to the review queue.
+// When it is known how long the play lasted (the next track has started), a candidate
+// whose duration_ms contradicts it gets a "duration" penalty of durationPenalty. A
+// duration contradicts the play when it is more than durationTolerance seconds off and
+// also off by more than durationDeviation of the track's length (so crossfades and DJ
+// talk don't count, but the 12" mix for the radio edit does). Settings look like:
+//   { "weights": { "artist": 0.4, "title": 0.6 }, "containmentScore": 0.8, "threshold": 0.75,
+//     "reviewThreshold": 0.55, "runnersUp": 3,
+//     "rules": [{ "type": "explicit", "penalty": 0.2 }], "useDefaultRules": true,
+//     "durationTolerance": 30, "durationDeviation": 0.35, "durationPenalty": 0.2, "durationReview": true }
+// A station's rules are checked before the ones it inherits (the config's scoring rules,
+// then the built-in DEFAULT_VERSION_RULES); "useDefaultRules": false drops the inherited
+// ones.
+
+const stringSimilarity = require('string-similarity');
+const { normalizeForComparison } = require('./normalizer');
+const { DEFAULT_VERSION_RULES, compileVersionRules, applyVersionRules } = require('./versionRules');
+
+const DEFAULT_SCORING = {
+  weights: { artist: 0.4, title: 0.6 },
+  containmentScore: 0.8,
+  threshold: 0.75,
+  reviewThreshold: 0.55,
+  runnersUp: 3,
+  rules: DEFAULT_VERSION_RULES,
+  durationTolerance: 30,
+  durationDeviation: 0.35,
+  durationPenalty: 0.2,
+  durationReview: true
+};
+
+const NO_DECISIONS = { approved: new Set(), rejected: new Set() };
+
+function isFraction(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+/**
+ * Merges scoring settings over the defaults (weights are merged key by key, rules are
+ * put in front of the inherited ones) and validates the result. Throws on invalid
+ * settings.
+ */
+function compileScoring(settings = {}, defaults = DEFAULT_SCORING) {
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Scoring settings must be an object');
+  }
+
+  const scoring = {
+    ...defaults,
+    ...settings,
+    weights: { ...defaults.weights, ...(settings.weights || {}) }
+  };
+
+  if (settings.rules !== undefined && !Array.isArray(settings.rules)) {
+    throw new Error('Scoring rules must be a list');
+  }
+  const inheritedRules = settings.useDefaultRules === false ? [] : defaults.rules || [];
+  scoring.rules = [...(settings.rules || []), ...inheritedRules];
+  delete scoring.useDefaultRules;
+
+  for (const field of ['artist', 'title']) {
+    if (!isFraction(scoring.weights[field])) {
+      throw new Error(`Scoring weight "${field}" must be a number between 0 and 1`);
+    }
+  }
+  if (scoring.weights.artist + scoring.weights.title <= 0) {
+    throw new Error('Scoring weights must not both be 0');
+  }
+  if (!isFraction(scoring.containmentScore)) {
+    throw new Error('Scoring containmentScore must be a number between 0 and 1');
+  }
+  if (!isFraction(scoring.threshold)) {
+    throw new Error('Scoring threshold must be a number between 0 and 1');
+  }
+  if (!isFraction(scoring.reviewThreshold)) {
+    throw new Error('Scoring reviewThreshold must be a number between 0 and 1');
+  }
+  if (!Number.isInteger(scoring.runnersUp) || scoring.runnersUp < 0) {
+    throw new Error('Scoring runnersUp must be a whole number');
+  }
+  if (typeof scoring.durationTolerance !== 'number' || scoring.durationTolerance < 0) {
+    throw new Error('Scoring durationTolerance must be a number of seconds');
+  }
+  if (!isFraction(scoring.durationDeviation)) {
+    throw new Error('Scoring durationDeviation must be a number between 0 and 1');
+  }
+  if (!isFraction(scoring.durationPenalty)) {
+    throw new Error('Scoring durationPenalty must be a number between 0 and 1');
+  }
+  if (typeof scoring.durationReview !== 'boolean') {
+    throw new Error('Scoring durationReview must be true or false');
+  }
+
+  // Compiled alongside the settings but left out of them when they are shown or merged
+  Object.defineProperty(scoring, 'versionRules', { value: compileVersionRules(scoring.rules) });
+
+  return scoring;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function scoreField(expected, actual, scoring) {
+  const similarity = stringSimilarity.compareTwoStrings(expected, actual);
+  const contains = expected && actual && (actual.includes(expected) || expected.includes(actual));
+  const containment = contains ? scoring.containmentScore : 0;
+  return { similarity, containment, score: Math.max(similarity, containment) };
+}
+
+/**
+ * Compares a track's duration with how long the play lasted. Returns null when either is
+ * unknown, otherwise { difference (seconds, positive when the play ran longer), contradicts }.
+ */
+function compareDuration(observedMs, trackMs, scoring) {
+  if (!observedMs || !trackMs) {
+    return null;
+  }
+
+  const difference = Math.round((observedMs - trackMs) / 1000);
+  const offBy = Math.abs(difference);
+  return {
+    difference,
+    contradicts: offBy > scoring.durationTolerance && offBy > scoring.durationDeviation * trackMs / 1000
+  };
+}
+
+/**
+ * Scores one Spotify track against the normalized radio artist and title ({ artist, title }
+ * as returned by normalizeQuery). context holds radioText, the artist and title as
+ * broadcast (keyword rules check it so a station playing the instrumental isn't penalized
+ * for it), and observedMs, how long the play lasted if known. Returns { track, similarity,
+ * rankScore, breakdown }, where similarity is the final score (kept under that name for
+ * existing callers) and rankScore the unclamped score with the bonuses added.
+ */
+function scoreCandidate(query, track, scoring, normalizer, context = {}) {
+  const { radioText = '', observedMs = null } = context;
+  const trackArtists = track.artists.map(a => normalizeForComparison(a.name, 'artist', normalizer));
+  const trackArtist = trackArtists.join(' ');
+  const artistResult = scoreField(query.artist, trackArtist, scoring);
+  const titleResult = scoreField(query.title, normalizeForComparison(track.name, 'title', normalizer), scoring);
+  const penalties = applyVersionRules(scoring.versionRules || [], track, {
+    radioText: radioText.toLowerCase(),
+    artist: query.artist,
+    trackArtists: [...trackArtists, trackArtist]
+  });
+  const duration = compareDuration(observedMs, track.duration_ms, scoring);
+  if (duration && duration.contradicts && scoring.durationPenalty > 0) {
+    penalties.push({ reason: 'duration', amount: scoring.durationPenalty });
+  }
+
+  const totalWeight = scoring.weights.artist + scoring.weights.title;
+  const weighted = (artistResult.score * scoring.weights.artist + titleResult.score * scoring.weights.title) / totalWeight;
+  const penaltyTotal = penalties.reduce((sum, penalty) => sum + Math.max(0, penalty.amount), 0);
+  const bonusTotal = penalties.reduce((sum, penalty) => sum - Math.min(0, penalty.amount), 0);
+  const score = Math.min(1, Math.max(0, weighted - penaltyTotal));
+  const rankScore = weighted - penaltyTotal + bonusTotal;
+
+  return {
+    track,
+    similarity: score,
+    rankScore,
+    breakdown: {
+      artistSimilarity: round(artistResult.similarity),
+      titleSimilarity: round(titleResult.similarity),
+      artistContainment: round(artistResult.containment),
+      titleContainment: round(titleResult.containment),
+      artistScore: round(artistResult.score),
+      titleScore: round(titleResult.score),
+      penalties,
+      ...(duration ? { durationDifference: duration.difference } : {}),
+      score: round(score)
+    }
+  };
+}
+
+function normalizeQuery(artist, title, normalizer) {
+  return {
+    artist: normalizeForComparison(artist, 'artist', normalizer),
+    title: normalizeForComparison(title, 'title', normalizer)
+  };
+}
+
+/**
+ * Scores and sorts all candidates (best first; ties keep Spotify's order), leaving out
+ * tracks that aren't playable in the search market. best is the top candidate if it
+ * reaches the threshold, otherwise null. Review decisions for the song ({ approved,
+ * rejected } sets of Spotify IDs) override the scores: rejected tracks are dropped and an
+ * approved track wins whatever it scored. nearMiss is set when there is no match but the
+ * top candidate reached reviewThreshold. observedMs is how long the play lasted, if known.
+ */
+function rankCandidates(artist, title, tracks, scoring, normalizer, decisions = NO_DECISIONS, observedMs = null) {
+  const query = normalizeQuery(artist, title, normalizer);
+  const context = { radioText: `${artist} ${title}`, observedMs };
+  const scored = tracks
+    .filter(track => track.is_playable !== false)
+    .map(track => scoreCandidate(query, track, scoring, normalizer, context));
+  const candidates = scored
+    .filter(candidate => !decisions.rejected.has(candidate.track.id))
+    .sort((a, b) => b.rankScore - a.rankScore);
+
+  const approved = candidates.find(candidate => decisions.approved.has(candidate.track.id));
+  if (approved) {
+    approved.breakdown.decision = 'approved';
+    candidates.splice(candidates.indexOf(approved), 1);
+    candidates.unshift(approved);
+  }
+
+  const top = candidates[0] || null;
+  const best = approved || (top && top.similarity >= scoring.threshold ? top : null);
+  return {
+    query,
+    observedMs,
+    candidates,
+    rejectedCount: scored.length - candidates.length,
+    top,
+    best,
+    nearMiss: !best && !!top && top.similarity >= scoring.reviewThreshold
+  };
+}
+
+function describeCandidate(candidate) {
+  return {
+    id: candidate.track.id,
+    artist: candidate.track.artists.map(a => a.name).join(', '),
+    title: candidate.track.name,
+    ...candidate.breakdown
+  };
+}
+
+/**
+ * The part of a ranking worth storing: the settings used, the top candidate's breakdown
+ * and the runners-up.
+ */
+function summarizeRanking(ranking, scoring) {
+  if (!ranking || !ranking.top) {
+    return null;
+  }
+
+  return {
+    threshold: scoring.threshold,
+    reviewThreshold: scoring.reviewThreshold,
+    weights: scoring.weights,
+    containmentScore: scoring.containmentScore,
+    query: ranking.query,
+    ...(ranking.observedMs ? { observedSeconds: Math.round(ranking.observedMs / 1000) } : {}),
+    matched: !!ranking.best,
+    rejectedInReview: ranking.rejectedCount,
+    winner: describeCandidate(ranking.top),
+    runnersUp: ranking.candidates.slice(1, 1 + scoring.runnersUp).map(describeCandidate)
+  };
+}
+
+module.exports = {
+  DEFAULT_SCORING,
+  compileScoring,
+  compareDuration,
+  normalizeQuery,
+  scoreCandidate,
+  rankCandidates,
+  summarizeRanking
+};
@@ -0,0 +1,169 @@
+// Cleans artist and title strings before they are searched for and scored, on both the
+// radio side and the Spotify side. Steps (all on by default) can be switched off, and
+// extra patterns stripped, per station or in the config's top-level "normalization":
+//   { "steps": { "leadingThe": false }, "stripPatterns": ["\\s*\\(Halloween Mix\\)"] }
+//
+//   unicode        fold accents and compatibility forms (Öyster -> Oyster, ﬁ -> fi)
+//   sourceSuffix   "~ From the Movie ...", "(From "Beetlejuice")", "- From the Motion Picture ..."
+//   versionSuffix  "(Remastered 2009)", "- Single Version", "[Radio Edit]", "- Mono"
+//   bracketedYear  "(1973)", "[2009]"
+//   featuring      "feat. X", "(ft. X)", "featuring X"
+//   leadingThe     "The Cramps" -> "Cramps" (artists only)
+//   ampersand      "&" -> "and"
+//
+// Search queries get the noise removed but keep their spelling; scoring and song keys
+// additionally get lowercased, with punctuation (but not letters in any script) removed.
+
+const STEPS = ['unicode', 'sourceSuffix', 'versionSuffix', 'bracketedYear', 'featuring', 'leadingThe', 'ampersand'];
+
+const VERSION_WORDS = [
+  '(?:\\d{4}\\s+)?(?:digital(?:ly)?\\s+)?remaster(?:ed)?(?:\\s+(?:version|\\d{4}))*',
+  'single version', 'radio edit', 'radio version', 'album version', 'original version',
+  'mono(?:\\s+version)?', 'stereo(?:\\s+version)?', 'explicit', 'clean'
+].join('|');
+
+const PATTERNS = {
+  sourceSuffix: [
+    /\s*~.*$/,
+    /\s*[([]\s*from\s+[^)\]]*[)\]]/gi,
+    /\s+-\s+from\s+(?:the\s+)?(?:movie|film|motion picture|soundtrack|musical)\b.*$/i
+  ],
+  versionSuffix: [
+    new RegExp(`\\s*[(\\[]\\s*(?:${VERSION_WORDS})\\s*[)\\]]`, 'gi'),
+    new RegExp(`\\s+-\\s+(?:${VERSION_WORDS})\\s*$`, 'i')
+  ],
+  bracketedYear: [
+    /\s*[([]\s*(?:19|20)\d{2}\s*[)\]]/g
+  ],
+  featuring: [
+    /\s*[([]\s*(?:feat\.?|ft\.?|featuring)\s+[^)\]]*[)\]]/gi,
+    /\s+(?:feat\.|ft\.|featuring)\s+.*$/i
+  ],
+  leadingThe: [
+    /^the\s+/i
+  ]
+};
+
+// Letters NFKD leaves alone
+const FOLDED_LETTERS = { 'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O', 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ı': 'i' };
+const QUOTES = { '‘': "'", '’': "'", '‚': "'", '“': '"', '”': '"', '„': '"' };
+
+function foldUnicode(value) {
+  return value
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[ßæÆœŒøØłŁđĐı]/g, letter => FOLDED_LETTERS[letter])
+    .replace(/[‘’‚“”„]/g, quote => QUOTES[quote]);
+}
+
+function stripAll(value, patterns) {
+  // A step never empties a field: "(1973)" on its own stays a title
+  const stripped = patterns.reduce((result, pattern) => result.replace(pattern, ''), value).trim();
+  return stripped || value;
+}
+
+/**
+ * Compiles normalization settings ({ steps, stripPatterns }) on top of the defaults.
+ * Throws on unknown steps or invalid patterns.
+ */
+function compileNormalizer(settings = {}, defaults = {}) {
+  const steps = {};
+  for (const step of STEPS) {
+    steps[step] = true;
+  }
+
+  for (const source of [defaults.steps || {}, settings.steps || {}]) {
+    for (const [step, enabled] of Object.entries(source)) {
+      if (!STEPS.includes(step)) {
+        throw new Error(`Unknown normalization step "${step}" (use ${STEPS.join(', ')})`);
+      }
+      steps[step] = enabled !== false;
+    }
+  }
+
+  const patternSources = [...(defaults.stripPatterns || []), ...(settings.stripPatterns || [])];
+  const stripPatterns = patternSources.map(pattern => {
+    try {
+      return new RegExp(pattern, 'gi');
+    } catch (error) {
+      throw new Error(`Invalid normalization strip pattern "${pattern}": ${error.message}`);
+    }
+  });
+
+  return { steps, stripPatterns };
+}
+
+function applySteps(value, field, normalizer) {
+  const { steps } = normalizer;
+  let result = (value || '').replace(/\s+/g, ' ').trim();
+
+  if (steps.unicode) {
+    result = foldUnicode(result);
+  }
+  if (normalizer.stripPatterns.length > 0) {
+    result = stripAll(result, normalizer.stripPatterns);
+  }
+  if (field === 'title') {
+    if (steps.sourceSuffix) {
+      result = stripAll(result, PATTERNS.sourceSuffix);
+    }
+    if (steps.versionSuffix) {
+      result = stripAll(result, PATTERNS.versionSuffix);
+    }
+    if (steps.bracketedYear) {
+      result = stripAll(result, PATTERNS.bracketedYear);
+    }
+  }
+  if (steps.featuring) {
+    result = stripAll(result, PATTERNS.featuring);
+  }
+
+  return result.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The artist and title to put in search queries: noise removed, spelling kept.
+ */
+function normalizeForSearch(artist, title, normalizer) {
+  return {
+    artist: applySteps(artist, 'artist', normalizer),
+    title: applySteps(title, 'title', normalizer)
+  };
+}
+
+/**
+ * The form compared during scoring: every step, lowercased, punctuation removed.
+ * field is 'artist' or 'title'.
+ */
+function normalizeForComparison(value, field, normalizer) {
+  const { steps } = normalizer;
+  let result = applySteps(value, field, normalizer);
+
+  if (field === 'artist' && steps.leadingThe) {
+    result = stripAll(result, PATTERNS.leadingThe);
+  }
+  if (steps.ampersand) {
+    result = result.replace(/\s*&\s*/g, ' and ');
+  }
+
+  return result
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+const DEFAULT_NORMALIZER = compileNormalizer();
+
+// Identity for "the same song" across stations that format titles differently
+function createSongKey(artist, title, normalizer = DEFAULT_NORMALIZER) {
+  return `${normalizeForComparison(artist, 'artist', normalizer)}|${normalizeForComparison(title, 'title', normalizer)}`;
+}
+
+module.exports = {
+  STEPS,
+  compileNormalizer,
+  normalizeForSearch,
+  normalizeForComparison,
+  createSongKey
+};
@@ -0,0 +1,74 @@
+// Recording identity: the same recording turns up on Spotify under several track IDs (the
+// original album, the single, compilations). Two tracks are taken to be the same
+// recording when they share an ISRC, or when their normalized primary artist and title
+// (the recording key, see normalizer.js) are equal, which covers reissues that were
+// given a new ISRC. The key only knows artist and title, so it also collapses everything
+// else the artist released under that title: re-recordings, and live versions or remixes
+// titled like the original. "(Remastered 2009)" and "- Radio Edit" are stripped by the
+// normalizer, but "(Live)", "- Acoustic" or "(Club Mix)" are not, so versions titled that
+// way keep a key of their own.
+
+const { createSongKey } = require('./normalizer');
+
+// Always the built-in normalization, not the configured one: the keys are stored, and
+// have to stay comparable when the normalization settings change
+function recordingKey(artist, title) {
+  return createSongKey(artist || '', title || '');
+}
+
+/**
+ * { isrc, recordingKey } of a Spotify track (full or compacted). isrc is null when
+ * Spotify didn't give one.
+ */
+function recordingIdentity(track) {
+  const isrc = track.external_ids && track.external_ids.isrc ? track.external_ids.isrc.toUpperCase() : null;
+  const artist = track.artists && track.artists.length > 0 ? track.artists[0].name : '';
+  return {
+    isrc,
+    recordingKey: recordingKey(artist, track.name)
+  };
+}
+
+/**
+ * Groups items ({ identity, ... }) that are the same recording. Sharing either the ISRC
+ * or the recording key is enough, so one group can span several of each. Returns the
+ * groups (arrays of items, in their original order) in the order their first item came.
+ */
+function groupByRecording(items) {
+  const groups = [];
+  const byIdentity = new Map(); // "isrc:..." or "key:..." -> group
+
+  for (const item of items) {
+    const labels = [
+      item.identity.isrc ? `isrc:${item.identity.isrc}` : null,
+      `key:${item.identity.recordingKey}`
+    ].filter(Boolean);
+
+    // Every group this item touches becomes one
+    const touched = [...new Set(labels.map(label => byIdentity.get(label)).filter(Boolean))];
+    const group = touched[0] || { items: [], labels: new Set() };
+    if (!touched[0]) {
+      groups.push(group);
+    }
+    for (const other of touched.slice(1)) {
+      group.items.push(...other.items);
+      other.labels.forEach(label => group.labels.add(label));
+      groups.splice(groups.indexOf(other), 1);
+    }
+
+    group.items.push(item);
+    labels.forEach(label => group.labels.add(label));
+    group.labels.forEach(label => byIdentity.set(label, group));
+  }
+
+  const position = new Map(items.map((item, index) => [item, index]));
+  return groups
+    .map(group => group.items.sort((a, b) => position.get(a) - position.get(b)))
+    .sort((a, b) => position.get(a[0]) - position.get(b[0]));
+}
+
+module.exports = {
+  recordingKey,
+  recordingIdentity,
+  groupByRecording
+};
@@ -0,0 +1,15 @@
+/**
+ * Reads a numeric setting from an environment variable. Unset, blank or non-numeric
+ * values fall back to the default; 0 is kept (it turns several features off).
+ * Whole numbers unless { float: true } is passed.
+ */
+function parseSetting(value, fallback, { float = false } = {}) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const parsed = float ? parseFloat(value) : parseInt(value);
+  return isNaN(parsed) ? fallback : parsed;
+}
+
+module.exports = { parseSetting };
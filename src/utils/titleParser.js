@@ -0,0 +1,145 @@
+// Rule-based StreamTitle parsing. Each station has an ordered list of rules; the
+// first rule whose regex matches wins. Rules look like:
+//   { "name": "dash", "pattern": "^(?<artist>.+?) - (?<title>.+)$", "flags": "i",
+//     "swap": false, "stripPrefixes": ["Now Playing: "], "stripSuffixes": [" [Live]"] }
+
+// Same order as the original fixed separator list. "Title by Artist" is left to station
+// rules: as a default it split plain titles such as "Stand by Me" into title and artist.
+const DEFAULT_RULES = [
+  { name: 'hyphen', pattern: '^(?<artist>.+?) - (?<title>.+)$' },
+  { name: 'en-dash', pattern: '^(?<artist>.+?) – (?<title>.+)$' },
+  { name: 'em-dash', pattern: '^(?<artist>.+?) — (?<title>.+)$' },
+  { name: 'colon', pattern: '^(?<artist>.+?): (?<title>.+)$' }
+];
+
+function toStringList(value, label) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(item => typeof item === 'string' && item.length > 0)) {
+    throw new Error(`${label} must be a list of non-empty strings`);
+  }
+  return list;
+}
+
+function compileRule(rule, index) {
+  const name = rule.name || `rule-${index + 1}`;
+  if (!rule.pattern || typeof rule.pattern !== 'string') {
+    throw new Error(`Parser rule "${name}" needs a pattern`);
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(rule.pattern, rule.flags || '');
+  } catch (error) {
+    throw new Error(`Parser rule "${name}" has an invalid pattern: ${error.message}`);
+  }
+  if (!rule.pattern.includes('(?<artist>') || !rule.pattern.includes('(?<title>')) {
+    throw new Error(`Parser rule "${name}" must have named "artist" and "title" groups`);
+  }
+
+  return {
+    name,
+    pattern: rule.pattern,
+    regex,
+    swap: rule.swap === true,
+    stripPrefixes: toStringList(rule.stripPrefixes, `stripPrefixes of rule "${name}"`),
+    stripSuffixes: toStringList(rule.stripSuffixes, `stripSuffixes of rule "${name}"`)
+  };
+}
+
+/**
+ * Compiles parser settings ({ rules, stripPrefixes, stripSuffixes, useDefaultRules })
+ * into a parser. Station rules are tried before the default rules unless
+ * useDefaultRules is false. Throws on invalid rules.
+ */
+function compileParser(settings = {}, defaultRules = DEFAULT_RULES) {
+  const stationRules = settings.rules || [];
+  if (!Array.isArray(stationRules)) {
+    throw new Error('Parser rules must be a list');
+  }
+
+  const rules = stationRules.map((rule, index) => ({ ...compileRule(rule, index), origin: 'station' }));
+  if (settings.useDefaultRules !== false) {
+    defaultRules.forEach((rule, index) => rules.push({ ...compileRule(rule, index), origin: 'default' }));
+  }
+
+  return {
+    rules,
+    stripPrefixes: toStringList(settings.stripPrefixes, 'stripPrefixes'),
+    stripSuffixes: toStringList(settings.stripSuffixes, 'stripSuffixes')
+  };
+}
+
+// Removes any of the given prefixes/suffixes (case-insensitive), repeatedly, e.g. "Now Playing: "
+function stripAffixes(text, prefixes, suffixes) {
+  let result = text;
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (const prefix of prefixes) {
+      if (result.toLowerCase().startsWith(prefix.toLowerCase())) {
+        result = result.slice(prefix.length).trim();
+        changed = true;
+      }
+    }
+    for (const suffix of suffixes) {
+      if (result.toLowerCase().endsWith(suffix.toLowerCase())) {
+        result = result.slice(0, result.length - suffix.length).trim();
+        changed = true;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parses a StreamTitle with a compiled parser. Returns { artist, title, original, rule },
+ * where rule describes the matching rule, or is null when nothing matched and the whole
+ * title was used with an unknown artist.
+ */
+function parseWithRules(streamTitle, parser) {
+  const original = streamTitle.trim();
+  const cleaned = stripAffixes(original, parser.stripPrefixes, parser.stripSuffixes);
+
+  for (let index = 0; index < parser.rules.length; index++) {
+    const rule = parser.rules[index];
+    const input = stripAffixes(cleaned, rule.stripPrefixes, rule.stripSuffixes);
+    const match = rule.regex.exec(input);
+    if (!match || !match.groups) {
+      continue;
+    }
+
+    let artist = (match.groups.artist || '').trim();
+    let title = (match.groups.title || '').trim();
+    if (rule.swap) {
+      [artist, title] = [title, artist];
+    }
+    if (!artist || !title) {
+      continue;
+    }
+
+    return {
+      artist,
+      title,
+      original,
+      rule: { name: rule.name, index, origin: rule.origin, pattern: rule.pattern }
+    };
+  }
+
+  return {
+    artist: 'Unknown Artist',
+    title: cleaned,
+    original,
+    rule: null
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  compileParser,
+  parseWithRules
+};
@@ -0,0 +1,138 @@
+// Preference and penalty rules applied to Spotify candidates after the name similarity,
+// so the original recording beats karaoke, tribute and re-recorded versions with the same
+// names. Rules go in the scoring settings ("rules"), see matchScoring.js for how station
+// rules and the defaults combine. Each rule has a penalty (subtracted from the score) or a
+// bonus (added):
+//   { "type": "keyword", "match": ["karaoke", "tribute"], "field": "any", "penalty": 0.3 }
+//   { "type": "albumType", "match": "compilation", "penalty": 0.05 }
+//   { "type": "explicit", "penalty": 0.2 }
+//   { "type": "exactArtist", "bonus": 0.05 }
+//   { "type": "popularity", "bonus": 0.05 }   (scaled by popularity / 100)
+// Keyword rules look at the track name, album name, artist names or all of them ("any",
+// the default), case-insensitively, and don't apply when the radio's own artist or title
+// has the keyword (a station really playing the instrumental).
+
+const RULE_TYPES = ['keyword', 'albumType', 'explicit', 'exactArtist', 'popularity'];
+const KEYWORD_FIELDS = ['any', 'title', 'album', 'artist'];
+const ALBUM_TYPES = ['album', 'single', 'compilation'];
+
+const DEFAULT_VERSION_RULES = [
+  {
+    name: 'karaoke or tribute',
+    type: 'keyword',
+    match: ['karaoke', 'made famous by', 'in the style of', 'originally performed', 'tribute', 'cover version', 'backing track'],
+    penalty: 0.3
+  },
+  { name: 'instrumental', type: 'keyword', match: ['instrumental'], penalty: 0.15 },
+  { name: 'compilation', type: 'albumType', match: 'compilation', penalty: 0.05 },
+  { name: 'exact artist', type: 'exactArtist', bonus: 0.05 },
+  { name: 'popularity', type: 'popularity', bonus: 0.03 }
+];
+
+function isFraction(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+function compileRule(rule, index) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Scoring rule ${index + 1} must be an object`);
+  }
+
+  const type = rule.type;
+  const name = rule.name || `${type}:${[].concat(rule.match || index + 1).join('|')}`;
+
+  if (!RULE_TYPES.includes(type)) {
+    throw new Error(`Scoring rule "${name}" has unknown type "${type}" (use ${RULE_TYPES.join(', ')})`);
+  }
+  if ((rule.penalty === undefined) === (rule.bonus === undefined)) {
+    throw new Error(`Scoring rule "${name}" needs either a "penalty" or a "bonus"`);
+  }
+  const amount = rule.penalty !== undefined ? rule.penalty : rule.bonus;
+  if (!isFraction(amount)) {
+    throw new Error(`Scoring rule "${name}" ${rule.penalty !== undefined ? 'penalty' : 'bonus'} must be a number between 0 and 1`);
+  }
+
+  const compiled = { name, type, penalty: rule.penalty !== undefined ? rule.penalty : -rule.bonus };
+
+  if (type === 'keyword') {
+    const keywords = [].concat(rule.match || []);
+    if (keywords.length === 0 || keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim())) {
+      throw new Error(`Scoring rule "${name}" needs a "match" keyword or list of keywords`);
+    }
+    const field = rule.field || 'any';
+    if (!KEYWORD_FIELDS.includes(field)) {
+      throw new Error(`Scoring rule "${name}" has unknown field "${field}" (use ${KEYWORD_FIELDS.join(', ')})`);
+    }
+    compiled.keywords = keywords.map(keyword => keyword.trim().toLowerCase());
+    compiled.field = field;
+  }
+
+  if (type === 'albumType') {
+    const albumTypes = [].concat(rule.match || []);
+    if (albumTypes.length === 0 || albumTypes.some(albumType => !ALBUM_TYPES.includes(albumType))) {
+      throw new Error(`Scoring rule "${name}" needs a "match" album type (${ALBUM_TYPES.join(', ')})`);
+    }
+    compiled.albumTypes = albumTypes;
+  }
+
+  return compiled;
+}
+
+/**
+ * Validates and compiles a list of rules, in the order given. Throws on invalid rules.
+ */
+function compileVersionRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Scoring rules must be a list');
+  }
+  return rules.map(compileRule);
+}
+
+function fieldText(track, field) {
+  const values = {
+    title: track.name || '',
+    album: track.album ? track.album.name || '' : '',
+    artist: (track.artists || []).map(artist => artist.name).join(' ')
+  };
+  return (field === 'any' ? Object.values(values).join(' ') : values[field]).toLowerCase();
+}
+
+/**
+ * The adjustments the rules make to one candidate: [{ reason, amount }], where a positive
+ * amount is subtracted from the score and a negative one (a bonus) added. context holds
+ * what the radio played: radioText (artist and title as broadcast, lowercased), artist
+ * (normalized) and trackArtists (the candidate's artists, normalized).
+ */
+function applyVersionRules(rules, track, context) {
+  const adjustments = [];
+
+  for (const rule of rules) {
+    let amount = 0;
+
+    if (rule.type === 'keyword') {
+      const text = fieldText(track, rule.field);
+      const keyword = rule.keywords.find(word => text.includes(word) && !context.radioText.includes(word));
+      amount = keyword ? rule.penalty : 0;
+    } else if (rule.type === 'albumType') {
+      amount = track.album && rule.albumTypes.includes(track.album.album_type) ? rule.penalty : 0;
+    } else if (rule.type === 'explicit') {
+      amount = track.explicit ? rule.penalty : 0;
+    } else if (rule.type === 'exactArtist') {
+      amount = context.artist && context.trackArtists.includes(context.artist) ? rule.penalty : 0;
+    } else if (rule.type === 'popularity') {
+      amount = typeof track.popularity === 'number' ? rule.penalty * track.popularity / 100 : 0;
+    }
+
+    if (amount !== 0) {
+      adjustments.push({ reason: rule.name, amount: Math.round(amount * 1000) / 1000 });
+    }
+  }
+
+  return adjustments;
+}
+
+module.exports = {
+  DEFAULT_VERSION_RULES,
+  compileVersionRules,
+  applyVersionRules
+};
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('../src/database/DatabaseService');
+const DurationChecker = require('../src/services/DurationChecker');
+const { compileScoring, rankCandidates, summarizeRanking } = require('../src/utils/matchScoring');
+const { compileNormalizer } = require('../src/utils/normalizer');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duration-checker-test-'));
+const normalizer = compileNormalizer();
+const scoring = compileScoring();
+let database;
+
+test.before(async () => {
+  process.env.DATABASE_PATH = path.join(dataDir, 'plays.db');
+  database = new DatabaseService();
+  await database.initialize();
+});
+
+test.after(async () => {
+  await database.close();
+  delete process.env.DATABASE_PATH;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function track(id, durationSeconds) {
+  return {
+    id,
+    name: 'Thriller',
+    artists: [{ name: 'Michael Jackson' }],
+    album: { name: 'Thriller', album_type: 'album' },
+    duration_ms: durationSeconds * 1000,
+    external_urls: { spotify: `https://open.spotify.com/track/${id}` }
+  };
+}
+
+const singleEdit = track('single-edit', 311);
+const albumVersion = track('album-version', 357);
+
+// A SpotifyService stand-in that searches the two versions above and records review flags
+function createChecker() {
+  const spotifyService = {
+    database,
+    reviews: [],
+    stationRegistry: {
+      defaultNormalizer: normalizer,
+      getNormalizer: () => normalizer,
+      getScoring: () => scoring
+    },
+    async searchTracks() {
+      return { tracks: [singleEdit, albumVersion] };
+    },
+    async rankSearchResults(stationKey, songKey, artist, title, tracks, observedMs) {
+      const ranking = rankCandidates(artist, title, tracks, scoring, normalizer, undefined, observedMs);
+      return { ranking, scoreDetails: summarizeRanking(ranking, scoring) };
+    },
+    async queueForReview(stationName, stationKey, songKey, metadata, ranking, scoreDetails, flag) {
+      this.reviews.push({ ranking, scoreDetails, flag });
+    }
+  };
+  return { checker: new DurationChecker(spotifyService), spotifyService };
+}
+
+// A matched play of the given length that ended a moment ago
+async function airPlay(station, matched, durationSeconds, endedAt = new Date().toISOString()) {
+  const startedAt = new Date(Date.parse(endedAt) - durationSeconds * 1000).toISOString();
+  const playId = await database.startPlay({ station, rawTitle: 'Michael Jackson - Thriller', artist: 'Michael Jackson', title: 'Thriller', startedAt });
+  await database.endPlay(playId, endedAt);
+  await database.linkPlayToTrack(playId, matched.id, matched.external_urls.spotify, matched.duration_ms);
+  return playId;
+}
+
+test('a match as long as the play is consistent', async () => {
+  const { checker, spotifyService } = createChecker();
+  const playId = await airPlay('main', singleEdit, 300);
+
+  assert.strictEqual(await checker.checkPlay(playId, 'Main'), 'consistent');
+  assert.strictEqual((await database.getPlay(playId)).duration_check, 'consistent');
+  assert.deepStrictEqual(spotifyService.reviews, []);
+  // Only the first check counts
+  assert.strictEqual(await checker.checkPlay(playId, 'Main'), null);
+});
+
+test('a match much shorter than the play is flagged for review', async () => {
+  const { checker, spotifyService } = createChecker();
+  const playId = await airPlay('movies', singleEdit, 800);
+
+  assert.strictEqual(await checker.checkPlay(playId, 'Movies'), 'mismatch');
+  assert.strictEqual(spotifyService.reviews.length, 1);
+
+  const { ranking, scoreDetails, flag } = spotifyService.reviews[0];
+  assert.deepStrictEqual(flag, { reason: 'duration', matchedSpotifyId: 'single-edit' });
+  assert.deepStrictEqual(scoreDetails.duration, { observedSeconds: 800, matchedSeconds: 311, difference: 489 });
+  // Both versions contradict an 800 second play, so both get the penalty
+  for (const candidate of ranking.candidates) {
+    assert.ok(candidate.breakdown.penalties.some(penalty => penalty.reason === 'duration' && penalty.amount === scoring.durationPenalty));
+  }
+});
+
+test('the duration penalty only hits versions that don\'t fit the play', () => {
+  const radioEdit = track('radio-edit', 200);
+  const extendedMix = track('extended-mix', 600);
+  const ranking = rankCandidates('Michael Jackson', 'Thriller', [radioEdit, singleEdit, extendedMix], scoring, normalizer, undefined, 590 * 1000);
+  const penalized = id => ranking.candidates
+    .find(candidate => candidate.track.id === id).breakdown.penalties
+    .some(penalty => penalty.reason === 'duration' && penalty.amount === scoring.durationPenalty);
+
+  assert.strictEqual(ranking.best.track.id, 'extended-mix');
+  assert.strictEqual(ranking.best.breakdown.durationDifference, -10);
+  assert.strictEqual(penalized('extended-mix'), false);
+  assert.strictEqual(penalized('radio-edit'), true);
+  assert.strictEqual(penalized('single-edit'), true);
+
+  // 49 seconds off is over durationTolerance (30s) but under durationDeviation (35% of 311s)
+  const talkOver = rankCandidates('Michael Jackson', 'Thriller', [singleEdit], scoring, normalizer, undefined, 360 * 1000);
+  assert.strictEqual(talkOver.top.breakdown.durationDifference, 49);
+  assert.ok(!talkOver.top.breakdown.penalties.some(penalty => penalty.reason === 'duration'));
+});
+
+test('a play a disconnect broke into is not checked', async () => {
+  const { checker, spotifyService } = createChecker();
+  await database.addStationEvent('oldies', 'disconnected');
+  // The play ends when the station drops off, two minutes into a five minute track
+  const playId = await airPlay('oldies', singleEdit, 120, new Date(Date.now() + 1000).toISOString());
+
+  assert.strictEqual(await checker.checkPlay(playId, 'Oldies'), 'interrupted');
+  assert.strictEqual((await database.getPlay(playId)).duration_check, 'interrupted');
+  assert.strictEqual(await checker.observedDuration(await database.getPlay(playId)), null);
+  assert.deepStrictEqual(spotifyService.reviews, []);
+});
+
+test('events before the previous play ended don\'t count', async () => {
+  const { checker } = createChecker();
+  await database.addStationEvent('kids', 'connected');
+  const firstEnd = new Date(Date.now() + 1000).toISOString();
+  await airPlay('kids', singleEdit, 100, firstEnd);
+  const playId = await airPlay('kids', singleEdit, 310, new Date(Date.parse(firstEnd) + 310 * 1000).toISOString());
+
+  assert.strictEqual(await checker.checkPlay(playId, 'Kids'), 'consistent');
+  assert.strictEqual(await checker.observedDuration(await database.getPlay(playId)), 310 * 1000);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const HlsSource = require('../src/sources/HlsSource');
+
+// ID3v2.4 tag with TIT2 "Monster Mash" and TPE1 "Bobby Pickett", as at the start of a packed AAC segment
+const ID3_SEGMENT = Buffer.concat([
+  Buffer.from('49443304000000000031' +
+    '544954320000000d0000' + '03' + '4d6f6e73746572204d617368' +
+    '545045310000000e0000' + '00' + '426f626279205069636b657474' +
+    '0000', 'hex'),
+  Buffer.alloc(32, 0xaa)
+]);
+
+const MASTER = `#EXTM3U
+#EXT-X-STREAM-INF:BANDWIDTH=256000,CODECS="mp4a.40.2"
+high/playlist.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=64000,CODECS="mp4a.40.5"
+low/playlist.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=128000,CODECS="mp4a.40.2"
+https://cdn.example.com/mid/playlist.m3u8
+`;
+
+function mediaPlaylist(...segments) {
+  return ['#EXTM3U', '#EXT-X-TARGETDURATION:10', ...segments.flatMap(([extinf, uri]) => [`#EXTINF:${extinf}`, uri])].join('\n');
+}
+
+// Serves responses from routes (URL -> string, Buffer or Error) and records the URLs asked for
+function serve(routes) {
+  const requested = [];
+  const get = axios.get;
+  axios.get = async url => {
+    requested.push(url);
+    const response = routes[url];
+    if (response === undefined) {
+      throw new Error(`Unexpected request for ${url}`);
+    }
+    if (response instanceof Error) {
+      throw response;
+    }
+    return { data: response };
+  };
+  return { requested, restore: () => { axios.get = get; } };
+}
+
+const createSource = (url = 'https://radio.example.com/hls/live.m3u8', options = {}) => new HlsSource({ id: 'main', url }, options);
+
+test('a master playlist is followed to its lowest-bandwidth variant', async () => {
+  const server = serve({
+    'https://radio.example.com/hls/live.m3u8': MASTER,
+    'https://radio.example.com/hls/low/playlist.m3u8': mediaPlaylist(['10.0,Oingo Boingo - Dead Man\'s Party', 'seg1.aac'])
+  });
+
+  try {
+    const source = createSource();
+    const track = await source.fetchTrack();
+    assert.strictEqual(source.mediaPlaylistUrl, 'https://radio.example.com/hls/low/playlist.m3u8');
+    assert.strictEqual(track.streamTitle, 'Oingo Boingo - Dead Man\'s Party');
+
+    // Later polls skip the master playlist
+    await source.fetchTrack();
+    assert.deepStrictEqual(server.requested.slice(2), ['https://radio.example.com/hls/low/playlist.m3u8']);
+  } finally {
+    server.restore();
+  }
+});
+
+test('variants without a bandwidth come last', () => {
+  const source = createSource();
+  const master = '#EXTM3U\n#EXT-X-STREAM-INF:CODECS="mp4a.40.2"\nnone.m3u8\n#EXT-X-STREAM-INF:BANDWIDTH=96000\nsome.m3u8\n';
+  assert.strictEqual(source.selectVariant(master, 'https://radio.example.com/hls/live.m3u8'), 'https://radio.example.com/hls/some.m3u8');
+  assert.throws(() => source.selectVariant('#EXTM3U\n', 'https://radio.example.com/'), /no variants/);
+});
+
+test('EXTINF titles and attributes', () => {
+  const source = createSource();
+  const segments = source.parseMediaPlaylist(mediaPlaylist(
+    ['9.98,title="Thriller",artist="Michael Jackson"', 'a.aac'],
+    ['10.0,title="Ghostbusters"', 'b.aac'],
+    ['10.0,Ray Parker Jr. - Ghostbusters', 'c.aac'],
+    ['10.0,', 'https://cdn.example.com/d.aac']
+  ), 'https://radio.example.com/hls/live.m3u8');
+
+  assert.deepStrictEqual(segments.map(segment => [segment.duration, segment.uri]), [
+    [9.98, 'https://radio.example.com/hls/a.aac'],
+    [10, 'https://radio.example.com/hls/b.aac'],
+    [10, 'https://radio.example.com/hls/c.aac'],
+    [10, 'https://cdn.example.com/d.aac']
+  ]);
+
+  const tracks = segments.map(segment => source.trackFromExtinf(segment.title));
+  assert.deepStrictEqual(tracks[0], { streamTitle: 'Michael Jackson - Thriller', artist: 'Michael Jackson', title: 'Thriller', raw: 'title="Thriller",artist="Michael Jackson"' });
+  assert.deepStrictEqual(tracks[1], { streamTitle: 'Ghostbusters', artist: null, title: null, raw: 'title="Ghostbusters"' });
+  assert.deepStrictEqual(tracks[2], { streamTitle: 'Ray Parker Jr. - Ghostbusters', raw: 'Ray Parker Jr. - Ghostbusters' });
+  assert.strictEqual(tracks[3], null);
+});
+
+test('titles come from segment ID3 tags when EXTINF has none', async () => {
+  const server = serve({
+    'https://radio.example.com/hls/live.m3u8': mediaPlaylist(['10.0,', 'seg1.aac']),
+    'https://radio.example.com/hls/seg1.aac': ID3_SEGMENT
+  });
+
+  try {
+    const source = createSource();
+    const track = await source.fetchTrack();
+    assert.strictEqual(track.streamTitle, 'Bobby Pickett - Monster Mash');
+    assert.strictEqual(track.artist, 'Bobby Pickett');
+    assert.strictEqual(track.title, 'Monster Mash');
+
+    // The same newest segment isn't downloaded again
+    assert.strictEqual(await source.fetchTrack(), track);
+    assert.strictEqual(server.requested.filter(url => url.endsWith('.aac')).length, 1);
+  } finally {
+    server.restore();
+  }
+});
+
+test('a segment that failed to download is read on the next poll', async () => {
+  const routes = {
+    'https://radio.example.com/hls/live.m3u8': mediaPlaylist(['10.0,', 'seg1.aac']),
+    'https://radio.example.com/hls/seg1.aac': new Error('socket hang up')
+  };
+  const server = serve(routes);
+
+  try {
+    const source = createSource();
+    await assert.rejects(source.fetchTrack(), /socket hang up/);
+
+    routes['https://radio.example.com/hls/seg1.aac'] = ID3_SEGMENT;
+    const track = await source.fetchTrack();
+    assert.strictEqual(track.streamTitle, 'Bobby Pickett - Monster Mash');
+  } finally {
+    server.restore();
+  }
+});
+
+test('segments are not downloaded when segmentMetadata is off', async () => {
+  const server = serve({
+    'https://radio.example.com/hls/live.m3u8': mediaPlaylist(['10.0,', 'seg1.aac'])
+  });
+
+  try {
+    const source = createSource(undefined, { segmentMetadata: false });
+    assert.strictEqual(await source.fetchTrack(), null);
+    assert.deepStrictEqual(server.requested, ['https://radio.example.com/hls/live.m3u8']);
+  } finally {
+    server.restore();
+  }
+});
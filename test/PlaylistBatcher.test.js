@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PlaylistBatcher = require('../src/services/PlaylistBatcher');
+
+// A SpotifyService stand-in recording every add request; reject(uris) returns the error to fail it with
+function createBatcher(settings = {}, reject = () => null) {
+  const spotifyService = {
+    requests: [],
+    spotifyApi: { addTracksToPlaylist: 'addTracksToPlaylist' },
+    async makeSpotifyRequest(method, playlistId, uris) {
+      this.requests.push({ playlistId, uris });
+      const error = reject(uris);
+      if (error) {
+        throw error;
+      }
+    }
+  };
+
+  const batcher = new PlaylistBatcher(spotifyService);
+  Object.assign(batcher, { batchSize: 100, flushDelay: 20, ...settings });
+  return { batcher, spotifyService };
+}
+
+const uris = (count, from = 0) => Array.from({ length: count }, (_, index) => `spotify:track:${from + index}`);
+
+function clientError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+test('a full batch goes out without waiting for the delay', async () => {
+  const { batcher, spotifyService } = createBatcher({ batchSize: 3, flushDelay: 60000 });
+
+  await Promise.all(uris(3).map(uri => batcher.add('halloween', uri)));
+
+  assert.deepStrictEqual(spotifyService.requests, [{ playlistId: 'halloween', uris: uris(3) }]);
+});
+
+test('batches hold at most 100 tracks', async () => {
+  const { batcher, spotifyService } = createBatcher({ flushDelay: 60000 });
+
+  const added = uris(150).map(uri => batcher.add('halloween', uri));
+  await batcher.close();
+  await Promise.all(added);
+
+  assert.deepStrictEqual(spotifyService.requests.map(request => request.uris.length), [100, 50]);
+  assert.deepStrictEqual(spotifyService.requests.flatMap(request => request.uris), uris(150));
+});
+
+test('PLAYLIST_BATCH_SIZE is capped at 100', () => {
+  process.env.PLAYLIST_BATCH_SIZE = '500';
+  try {
+    assert.strictEqual(new PlaylistBatcher({}).batchSize, 100);
+  } finally {
+    delete process.env.PLAYLIST_BATCH_SIZE;
+  }
+});
+
+test('a partial batch goes out after the delay, per playlist', async () => {
+  const { batcher, spotifyService } = createBatcher({ flushDelay: 20 });
+
+  const added = [
+    batcher.add('halloween', 'spotify:track:1'),
+    batcher.add('halloween', 'spotify:track:2'),
+    batcher.add('movies', 'spotify:track:3')
+  ];
+  assert.strictEqual(batcher.pendingCount(), 3);
+  assert.strictEqual(spotifyService.requests.length, 0);
+
+  await Promise.all(added);
+  assert.strictEqual(batcher.pendingCount(), 0);
+  assert.deepStrictEqual(spotifyService.requests, [
+    { playlistId: 'halloween', uris: ['spotify:track:1', 'spotify:track:2'] },
+    { playlistId: 'movies', uris: ['spotify:track:3'] }
+  ]);
+});
+
+test('close sends what is buffered and later additions straight away', async () => {
+  const { batcher, spotifyService } = createBatcher({ flushDelay: 60000 });
+
+  const buffered = batcher.add('halloween', 'spotify:track:1');
+  await batcher.close();
+  assert.deepStrictEqual(spotifyService.requests, [{ playlistId: 'halloween', uris: ['spotify:track:1'] }]);
+  await buffered;
+
+  await batcher.add('halloween', 'spotify:track:2');
+  assert.strictEqual(spotifyService.requests.length, 2);
+});
+
+test('a failed batch rejects every track in it', async () => {
+  const error = new Error('Service unavailable');
+  error.statusCode = 503;
+  const { batcher, spotifyService } = createBatcher({ batchSize: 3 }, () => error);
+
+  const results = await Promise.allSettled(uris(3).map(uri => batcher.add('halloween', uri)));
+  // Server errors were already retried by the scheduler, so the batch isn't split
+  assert.strictEqual(spotifyService.requests.length, 1);
+  assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'rejected', 'rejected']);
+  results.forEach(result => assert.strictEqual(result.reason, error));
+});
+
+test('a rejected batch is split so only the bad track fails', async () => {
+  const { batcher, spotifyService } = createBatcher({ batchSize: 4 },
+    batch => batch.includes('spotify:track:2') ? clientError('Invalid track uri: spotify:track:2') : null);
+
+  const results = await Promise.allSettled(uris(4).map(uri => batcher.add('halloween', uri)));
+
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+  assert.match(results[2].reason.message, /spotify:track:2/);
+  assert.deepStrictEqual(spotifyService.requests.map(request => request.uris.length), [4, 2, 2, 1, 1]);
+});
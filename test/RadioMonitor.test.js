@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RadioMonitor = require('../src/services/RadioMonitor');
+const { compileParser } = require('../src/utils/titleParser');
+const { compileClassifier } = require('../src/utils/contentClassifier');
+
+const STABILIZE_DELAY = 40;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A monitor with stand-ins for the database, event bus and station registry; plays lists
+// the titles that made it through as new tracks
+function createMonitor(metadata = {}, publishDelay = 0) {
+  const plays = [];
+  let nextPlayId = 1;
+  const spotifyService = {
+    database: {
+      async startPlay(play) {
+        plays.push(play);
+        return nextPlayId++;
+      },
+      async endPlay() {
+        return null;
+      }
+    },
+    eventBus: {
+      async publish() {
+        await sleep(publishDelay);
+      }
+    }
+  };
+  const stationRegistry = {
+    getStation: id => ({ id, name: 'Main', settings: { metadata } }),
+    getTitleParser: () => compileParser(),
+    getClassifier: () => compileClassifier()
+  };
+
+  const monitor = new RadioMonitor(spotifyService, stationRegistry);
+  monitor.stabilizeDelay = STABILIZE_DELAY;
+  const send = streamTitle => monitor.handleMetadata('main', { streamTitle });
+  return { monitor, plays, send };
+}
+
+test('a title counts once it has stayed put, from when it first appeared', async () => {
+  const { monitor, plays, send } = createMonitor();
+
+  const firstSeen = Date.now();
+  await send('Bobby Pickett - Monster Mash');
+  assert.strictEqual(plays.length, 0);
+  assert.strictEqual(monitor.pendingTitles.get('main').key, 'Bobby Pickett - Monster Mash');
+
+  await sleep(STABILIZE_DELAY * 2);
+  await monitor.waitForPendingTracks();
+  assert.deepStrictEqual(plays.map(play => play.title), ['Monster Mash']);
+  assert.ok(Date.parse(plays[0].startedAt) - firstSeen < STABILIZE_DELAY, 'the play starts when the title was first seen');
+});
+
+test('an A→B→A flip inside the window stays one play', async () => {
+  const { monitor, plays, send } = createMonitor();
+
+  await send('Bobby Pickett - Monster Mash');
+  await sleep(STABILIZE_DELAY * 2);
+  await monitor.waitForPendingTracks();
+
+  await send('Ray Parker Jr. - Ghostbusters');
+  await sleep(STABILIZE_DELAY / 4);
+  await send('Bobby Pickett - Monster Mash');
+  await sleep(STABILIZE_DELAY * 2);
+  await monitor.waitForPendingTracks();
+
+  assert.deepStrictEqual(plays.map(play => play.title), ['Monster Mash']);
+});
+
+test('a title replaced inside the window is dropped, and the window starts again', async () => {
+  const { monitor, plays, send } = createMonitor();
+
+  await send('Bobby Pickett - Monster Mash');
+  await sleep(STABILIZE_DELAY / 2);
+  await send('Ray Parker Jr. - Ghostbusters');
+  await sleep(STABILIZE_DELAY * 3 / 4);
+  // Monster Mash's window would have ended by now
+  assert.strictEqual(plays.length, 0);
+  await sleep(STABILIZE_DELAY);
+  await monitor.waitForPendingTracks();
+
+  assert.deepStrictEqual(plays.map(play => play.title), ['Ghostbusters']);
+});
+
+test('placeholder titles are ignored and don\'t end the window', async () => {
+  const { monitor, plays, send } = createMonitor({ placeholders: ['Halloween Radio'] });
+
+  await send('Bobby Pickett - Monster Mash');
+  for (const placeholder of ['', ' - ', '...', 'Unknown', 'LOADING...', 'Stream Title', 'halloween radio']) {
+    await send(placeholder);
+  }
+  assert.strictEqual(monitor.pendingTitles.get('main').key, 'Bobby Pickett - Monster Mash');
+
+  await sleep(STABILIZE_DELAY * 2);
+  await monitor.waitForPendingTracks();
+  assert.deepStrictEqual(plays.map(play => play.title), ['Monster Mash']);
+});
+
+test('stations can set their own delay', async () => {
+  const { monitor, plays, send } = createMonitor({ stabilizeDelay: STABILIZE_DELAY * 4 });
+
+  await send('Bobby Pickett - Monster Mash');
+  await sleep(STABILIZE_DELAY * 2);
+  assert.strictEqual(plays.length, 0);
+
+  await sleep(STABILIZE_DELAY * 3);
+  await monitor.waitForPendingTracks();
+  assert.strictEqual(plays.length, 1);
+});
+
+test('without a delay, changes count straight away and are waited for like stabilized ones', async () => {
+  const { monitor, plays, send } = createMonitor({ stabilizeDelay: 0 }, 30);
+
+  const handled = send('Bobby Pickett - Monster Mash');
+  assert.strictEqual(monitor.processingTracks.size, 1);
+
+  let drained = false;
+  const waiting = monitor.waitForPendingTracks().then(() => {
+    drained = true;
+  });
+  await sleep(5);
+  assert.strictEqual(drained, false, 'didn\'t wait for the track being processed');
+
+  await Promise.all([handled, waiting]);
+  assert.strictEqual(monitor.processingTracks.size, 0);
+  assert.deepStrictEqual(plays.map(play => play.title), ['Monster Mash']);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RequestScheduler = require('../src/services/RequestScheduler');
+
+function createScheduler(settings = {}) {
+  const scheduler = new RequestScheduler();
+  Object.assign(scheduler, { maxConcurrent: 4, rate: 0, maxRetries: 3, ...settings });
+  scheduler.backoff = { baseMs: 1, maxMs: 10, jitter: 0 };
+  scheduler.tokens = scheduler.burst;
+  return scheduler;
+}
+
+function httpError(statusCode, headers = {}) {
+  const error = new Error(`HTTP ${statusCode}`);
+  error.statusCode = statusCode;
+  error.headers = headers;
+  return error;
+}
+
+// A request function that fails with the given errors, then succeeds
+function failingRequest(errors) {
+  const requestFn = async () => {
+    requestFn.calls++;
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return 'ok';
+  };
+  requestFn.calls = 0;
+  return requestFn;
+}
+
+test('server errors and timeouts are retried with backoff', async () => {
+  const scheduler = createScheduler();
+  const timeout = new Error('Request timed out');
+  timeout.name = 'TimeoutError';
+  const requestFn = failingRequest([httpError(502), timeout]);
+
+  assert.strictEqual(await scheduler.schedule('search', requestFn), 'ok');
+  assert.strictEqual(requestFn.calls, 3);
+
+  const { search } = scheduler.getStats().categories;
+  assert.strictEqual(search.retried, 2);
+  assert.strictEqual(search.serverErrors, 2);
+  assert.strictEqual(search.succeeded, 1);
+});
+
+test('a request fails once maxRetries is used up', async () => {
+  const scheduler = createScheduler({ maxRetries: 2 });
+  const requestFn = failingRequest([httpError(500), httpError(500), httpError(503), httpError(500)]);
+
+  await assert.rejects(scheduler.schedule('search', requestFn), { statusCode: 503 });
+  assert.strictEqual(requestFn.calls, 3);
+  assert.strictEqual(scheduler.getStats().categories.search.failed, 1);
+});
+
+test('other client errors are not retried', async () => {
+  const scheduler = createScheduler();
+  const requestFn = failingRequest([httpError(403)]);
+
+  await assert.rejects(scheduler.schedule('playlist-write', requestFn), { statusCode: 403 });
+  assert.strictEqual(requestFn.calls, 1);
+});
+
+test('a 429 waits for Retry-After and holds back other requests', async () => {
+  const scheduler = createScheduler();
+  const requestFn = failingRequest([httpError(429, { 'retry-after': '1' })]);
+
+  const startedAt = Date.now();
+  const limited = scheduler.schedule('search', requestFn);
+  // Let the first attempt fail and pause the scheduler
+  await new Promise(resolve => setImmediate(resolve));
+  let otherStartedAt = null;
+  const other = scheduler.schedule('tracks', async () => {
+    otherStartedAt = Date.now();
+  });
+
+  assert.strictEqual(await limited, 'ok');
+  await other;
+  assert.strictEqual(requestFn.calls, 2);
+  assert.ok(Date.now() - startedAt >= 950, 'retried before Retry-After');
+  assert.ok(otherStartedAt - startedAt >= 950, 'other request ran during the pause');
+  assert.strictEqual(scheduler.getStats().categories.search.rateLimited, 1);
+});
+
+test('a Retry-After longer than maxRetryAfterMs fails the request', async () => {
+  const scheduler = createScheduler({ maxRetryAfterMs: 5000 });
+  const requestFn = failingRequest([httpError(429, { 'retry-after': '600' })]);
+
+  await assert.rejects(scheduler.schedule('search', requestFn), { statusCode: 429 });
+  assert.strictEqual(requestFn.calls, 1);
+  assert.ok(scheduler.getStats().pausedUntil, 'the pause still applies to other requests');
+  scheduler.close();
+});
+
+test('no more than maxConcurrent requests are in flight', async () => {
+  const scheduler = createScheduler({ maxConcurrent: 2 });
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const requestFn = async () => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    inFlight--;
+  };
+
+  await Promise.all(Array.from({ length: 6 }, () => scheduler.schedule('search', requestFn)));
+  assert.strictEqual(maxInFlight, 2);
+});
+
+test('the token bucket allows a burst, then the rate', async () => {
+  const scheduler = createScheduler({ rate: 20, burst: 2 });
+  const startTimes = [];
+  const startedAt = Date.now();
+
+  await Promise.all(Array.from({ length: 4 }, () => scheduler.schedule('search', async () => {
+    startTimes.push(Date.now() - startedAt);
+  })));
+
+  assert.ok(startTimes[1] < 40, 'the burst was held back');
+  // Two more tokens at 20 per second take about 100ms
+  assert.ok(startTimes[3] >= 90, `the rate was exceeded (${startTimes[3]}ms)`);
+});
+
+test('close cancels waiting requests', async () => {
+  const scheduler = createScheduler();
+  const requestFn = failingRequest([httpError(500)]);
+  scheduler.backoff = { baseMs: 60000, maxMs: 60000, jitter: 0 };
+
+  const pending = scheduler.schedule('search', requestFn);
+  await new Promise(resolve => setImmediate(resolve));
+  scheduler.close();
+
+  await assert.rejects(pending, { name: 'CancelledError' });
+  await assert.rejects(scheduler.schedule('search', requestFn), { name: 'CancelledError' });
+  assert.strictEqual(requestFn.calls, 1);
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('../src/database/DatabaseService');
+const TrackJobQueue = require('../src/services/TrackJobQueue');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'track-queue-test-'));
+let database;
+
+test.before(async () => {
+  process.env.DATABASE_PATH = path.join(dataDir, 'queue.db');
+  database = new DatabaseService();
+  await database.initialize();
+});
+
+test.after(async () => {
+  await database.close();
+  delete process.env.DATABASE_PATH;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test.beforeEach(async () => {
+  await database.db.run('DELETE FROM track_jobs');
+});
+
+// A SpotifyService stand-in; match(job) decides how searchAndAddTrack goes
+function createQueue(match, settings = {}) {
+  const spotifyService = {
+    database,
+    matched: [],
+    unmatched: [],
+    cancelled: false,
+    async searchAndAddTrack(stationName, artist, title) {
+      this.matched.push(title);
+      await match(title, this);
+    },
+    async logUnmatchedTrack(stationName, metadata, reason) {
+      this.unmatched.push({ title: metadata.title, reason });
+    },
+    requestScheduler: {
+      close() {
+        spotifyService.cancelled = true;
+      }
+    }
+  };
+
+  const queue = new TrackJobQueue(spotifyService);
+  Object.assign(queue, { concurrency: 1, maxAttempts: 3, drainTimeout: 1000, ...settings });
+  queue.backoff = { baseMs: 0, maxMs: 0, jitter: 0 };
+  return { queue, spotifyService };
+}
+
+function enqueue(queue, title) {
+  return queue.enqueue({
+    station: 'main',
+    stationName: 'Main',
+    artist: 'Bobby Pickett',
+    title,
+    detectedAt: new Date().toISOString()
+  });
+}
+
+const getJob = id => database.db.get('SELECT * FROM track_jobs WHERE id = ?', [id]);
+
+test('a job that fails is retried', async () => {
+  let failures = 1;
+  const { queue, spotifyService } = createQueue(async () => {
+    if (failures-- > 0) {
+      throw new Error('Spotify is down');
+    }
+  });
+
+  await queue.start();
+  const id = await enqueue(queue, 'Monster Mash');
+  await queue.waitForIdle();
+  await queue.stop();
+
+  const job = await getJob(id);
+  assert.strictEqual(job.status, 'done');
+  assert.strictEqual(job.attempts, 2);
+  assert.strictEqual(job.last_error, null);
+  assert.deepStrictEqual(spotifyService.matched, ['Monster Mash', 'Monster Mash']);
+});
+
+test('a job fails after maxAttempts and the track is logged as unmatched', async () => {
+  const { queue, spotifyService } = createQueue(async () => {
+    throw new Error('Spotify is down');
+  });
+
+  await queue.start();
+  const id = await enqueue(queue, 'Monster Mash');
+  await queue.waitForIdle();
+  await queue.stop();
+
+  const job = await getJob(id);
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.attempts, 3);
+  assert.deepStrictEqual(spotifyService.unmatched, [{ title: 'Monster Mash', reason: 'Error: Spotify is down' }]);
+});
+
+test('jobs left in progress are picked up on the next start', async () => {
+  const { queue } = createQueue(async () => {});
+  const id = await enqueue(queue, 'Monster Mash');
+  // A crash right after the job was claimed
+  await database.claimTrackJob();
+  assert.strictEqual((await getJob(id)).status, 'in_progress');
+
+  await queue.start();
+  await queue.waitForIdle();
+  await queue.stop();
+
+  assert.strictEqual((await getJob(id)).status, 'done');
+});
+
+test('stop waits for the jobs in progress', async () => {
+  const { queue } = createQueue(() => new Promise(resolve => setTimeout(resolve, 50)));
+
+  await queue.start();
+  const first = await enqueue(queue, 'Monster Mash');
+  const second = await enqueue(queue, 'Ghostbusters');
+  await queue.stop();
+
+  assert.strictEqual((await getJob(first)).status, 'done');
+  // Queued jobs stay in the database for the next start
+  assert.strictEqual((await getJob(second)).status, 'pending');
+});
+
+test('stop cancels jobs that outlast the drain timeout and queues them again', async () => {
+  const { queue, spotifyService } = createQueue(async (title, service) => {
+    // Stuck waiting to retry until the scheduler is closed
+    while (!service.cancelled) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Spotify search request cancelled by shutdown');
+  }, { drainTimeout: 50 });
+
+  await queue.start();
+  const id = await enqueue(queue, 'Monster Mash');
+  await queue.stop();
+
+  const job = await getJob(id);
+  assert.ok(spotifyService.cancelled);
+  assert.strictEqual(queue.workers.size, 0);
+  assert.strictEqual(job.status, 'pending');
+  assert.strictEqual(job.last_error, 'Interrupted by shutdown');
+  assert.deepStrictEqual(spotifyService.unmatched, []);
+});
+
+test('a worker keeps going when storing a job\'s outcome fails', async () => {
+  let failures = 1;
+  const { queue } = createQueue(async title => {
+    if (title === 'Monster Mash' && failures-- > 0) {
+      throw new Error('Spotify is down');
+    }
+  });
+  const rescheduleTrackJob = database.rescheduleTrackJob;
+  let rescheduleFailures = 1;
+  database.rescheduleTrackJob = async function(...args) {
+    if (rescheduleFailures-- > 0) {
+      throw new Error('SQLITE_BUSY: database is locked');
+    }
+    return rescheduleTrackJob.apply(this, args);
+  };
+
+  try {
+    const first = await enqueue(queue, 'Monster Mash');
+    const second = await enqueue(queue, 'Ghostbusters');
+    await queue.start();
+    await queue.waitForIdle();
+    await queue.stop();
+
+    assert.strictEqual((await getJob(first)).status, 'done');
+    assert.strictEqual((await getJob(second)).status, 'done');
+  } finally {
+    database.rescheduleTrackJob = rescheduleTrackJob;
+  }
+});
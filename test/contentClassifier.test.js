@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileClassifier, classifyTrack } = require('../src/utils/contentClassifier');
+
+const classify = (artist, title, settings) => classifyTrack(
+  { artist, title, original: `${artist} - ${title}` },
+  compileClassifier(settings)
+);
+
+test('default rules label station content', () => {
+  assert.strictEqual(classify('HalloweenRadio.net', 'Station ID').label, 'station-id');
+  assert.strictEqual(classify('Jingle', 'Kids Halloween').label, 'jingle');
+  assert.strictEqual(classify('Commercials', 'Sponsor Break').label, 'ad');
+  assert.strictEqual(classify('Live!', 'Morning Show').label, 'talk');
+  assert.strictEqual(classify('Streaming', 'Halloween all night').label, 'station-id');
+});
+
+test('default rules leave songs with those words alone', () => {
+  const songs = [
+    ['Bobby Helms', 'Jingle Bell Rock'],
+    ['Kay Kyser', 'Jingle Jangle Jingle'],
+    ['Bloodsimple', 'Streaming Blood'],
+    ['Hanoi Rocks', 'Live! Fast Die Young'],
+    ['The Buggles', 'Video Killed the Radio Star'],
+    ['Radio Idol', 'Haunted'],
+    ['Supergrass', 'Commercial Break Blues']
+  ];
+
+  for (const [artist, title] of songs) {
+    const result = classify(artist, title);
+    assert.strictEqual(result.label, 'music', `${artist} - ${title} matched ${result.rule && result.rule.name}`);
+  }
+});
+
+test('station rules are tried before the defaults', () => {
+  const settings = { rules: [{ type: 'exact', match: 'Jingle', field: 'artist', label: 'music' }] };
+  assert.strictEqual(classify('Jingle', 'Kids Halloween', settings).label, 'music');
+  assert.strictEqual(classify('Jingle', 'Kids Halloween', { ...settings, useDefaultRules: false }).rule.origin, 'station');
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseId3Tag, extractId3Tags } = require('../src/utils/id3');
+
+function syncsafe(size) {
+  return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+// An ID3v2.3 or 2.4 tag holding the given text frames: [[id, encoding, text], ...]
+function id3Tag(frames, version = 4) {
+  const body = Buffer.concat(frames.map(([id, encoding, text]) => {
+    const data = Buffer.concat([Buffer.from([encoding]), encode(encoding, text)]);
+    const size = version === 4 ? syncsafe(data.length) : Buffer.from([0, 0, 0, data.length]);
+    return Buffer.concat([Buffer.from(id, 'latin1'), size, Buffer.from([0, 0]), data]);
+  }));
+  return Buffer.concat([Buffer.from('ID3'), Buffer.from([version, 0, 0]), syncsafe(body.length), body]);
+}
+
+function encode(encoding, text) {
+  if (encoding === 1) {
+    return Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+  }
+  return Buffer.from(text, encoding === 3 ? 'utf8' : 'latin1');
+}
+
+// Splits data into 188-byte MPEG-TS packets on one PID
+function transportStream(data, pid = 0x102) {
+  const packets = [];
+  for (let offset = 0; offset < data.length; offset += 184) {
+    const payload = Buffer.alloc(184, 0xff);
+    data.copy(payload, 0, offset, Math.min(data.length, offset + 184));
+    packets.push(Buffer.concat([Buffer.from([0x47, (pid >> 8) & 0x1f, pid & 0xff, 0x10]), payload]));
+  }
+  return Buffer.concat(packets);
+}
+
+// An ID3v2.4 tag byte for byte, as servers put it in front of packed AAC segments
+const FIXTURE = Buffer.from(
+  '49443304000000000031' + // "ID3", v2.4, no flags, size 49
+  '544954320000000d0000' + '03' + '4d6f6e73746572204d617368' + // TIT2, UTF-8 "Monster Mash"
+  '545045310000000e0000' + '00' + '426f626279205069636b657474' + // TPE1, Latin-1 "Bobby Pickett"
+  '0000', // padding
+  'hex'
+);
+
+test('parses a fixture tag', () => {
+  assert.deepStrictEqual(parseId3Tag(FIXTURE), { TXXX: {}, TIT2: 'Monster Mash', TPE1: 'Bobby Pickett' });
+});
+
+test('parses text frames in each encoding', () => {
+  const tag = id3Tag([
+    ['TIT2', 3, 'Dead Man\'s Party'],
+    ['TPE1', 1, 'Oingo Boingo'],
+    ['TALB', 0, 'Dead Man\'s Party'],
+    ['TXXX', 3, 'StreamTitle\0Oingo Boingo - Dead Man\'s Party']
+  ]);
+
+  assert.deepStrictEqual(parseId3Tag(tag), {
+    TIT2: 'Dead Man\'s Party',
+    TPE1: 'Oingo Boingo',
+    TALB: 'Dead Man\'s Party',
+    TXXX: { StreamTitle: 'Oingo Boingo - Dead Man\'s Party' }
+  });
+});
+
+test('reads ID3v2.3 frame sizes', () => {
+  const tag = id3Tag([['TIT2', 0, 'Thriller'], ['TPE1', 0, 'Michael Jackson']], 3);
+  assert.deepStrictEqual(parseId3Tag(tag), { TXXX: {}, TIT2: 'Thriller', TPE1: 'Michael Jackson' });
+});
+
+test('anything else is not a tag', () => {
+  assert.strictEqual(parseId3Tag(Buffer.from('not an ID3 tag at all')), null);
+  assert.strictEqual(parseId3Tag(Buffer.from('ID3')), null);
+});
+
+test('finds tags in packed audio, after the audio data', () => {
+  const segment = Buffer.concat([
+    id3Tag([['TIT2', 3, 'Thriller']]),
+    Buffer.alloc(64, 0xaa),
+    id3Tag([['TIT2', 3, 'Monster Mash'], ['TPE1', 3, 'Bobby Pickett']])
+  ]);
+
+  const tags = extractId3Tags(segment);
+  assert.deepStrictEqual(tags.map(tag => tag.TIT2), ['Thriller', 'Monster Mash']);
+});
+
+test('finds a tag split across MPEG-TS packets', () => {
+  const title = 'Ghostbusters (Extended 12" Mix with a title long enough to span packets) '.repeat(4).trim();
+  const segment = transportStream(Buffer.concat([Buffer.alloc(20), id3Tag([['TIT2', 3, title], ['TPE1', 3, 'Ray Parker Jr.']])]));
+
+  assert.ok(segment.length >= 188 * 2);
+  const [tag] = extractId3Tags(segment);
+  assert.strictEqual(tag.TIT2, title);
+  assert.strictEqual(tag.TPE1, 'Ray Parker Jr.');
+});
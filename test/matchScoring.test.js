@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileScoring, rankCandidates, summarizeRanking } = require('../src/utils/matchScoring');
+const { compileNormalizer } = require('../src/utils/normalizer');
+
+const normalizer = compileNormalizer();
+const scoring = compileScoring();
+
+function track(id, artist, title, extra = {}) {
+  return {
+    id,
+    name: title,
+    artists: artist.split(', ').map(name => ({ name })),
+    album: { name: title, album_type: 'album' },
+    popularity: 0,
+    ...extra
+  };
+}
+
+const rank = (tracks, settings = scoring, decisions) => rankCandidates('Bobby Pickett', 'Monster Mash', tracks, settings, normalizer, decisions);
+
+test('an exact match is accepted with a full breakdown', () => {
+  const ranking = rank([track('mash', 'Bobby Pickett', 'Monster Mash')]);
+
+  assert.strictEqual(ranking.best.track.id, 'mash');
+  assert.strictEqual(ranking.nearMiss, false);
+  assert.strictEqual(ranking.best.similarity, 1);
+  assert.deepStrictEqual(ranking.best.breakdown.penalties, [{ reason: 'exact artist', amount: -0.05 }]);
+  assert.strictEqual(ranking.best.breakdown.artistScore, 1);
+  assert.strictEqual(ranking.best.breakdown.titleScore, 1);
+});
+
+test('a title containing the radio title scores at least containmentScore', () => {
+  const ranking = rank([track('mash', 'Bobby Pickett', 'Monster Mash Party Mix')]);
+  const { breakdown } = ranking.top;
+
+  assert.strictEqual(breakdown.titleContainment, 0.8);
+  assert.strictEqual(breakdown.titleScore, 0.8);
+  // 0.4 * 1 + 0.6 * 0.8
+  assert.strictEqual(breakdown.score, 0.88);
+  assert.ok(ranking.best);
+});
+
+test('a near miss goes to review and bonuses don\'t lift it over the threshold', () => {
+  const ranking = rank([track('ball', 'Bobby Pickett', 'Monsters Ball', { popularity: 80 })]);
+
+  // 0.4 * 1 + 0.6 * 0.571, with 0.05 (exact artist) and 0.024 (popularity) of bonuses
+  assert.strictEqual(ranking.top.breakdown.score, 0.743);
+  assert.ok(ranking.top.rankScore > scoring.threshold);
+  assert.strictEqual(ranking.best, null);
+  assert.strictEqual(ranking.nearMiss, true);
+});
+
+test('a station threshold decides what is accepted', () => {
+  const lenient = compileScoring({ threshold: 0.7 });
+  assert.strictEqual(rank([track('ball', 'Bobby Pickett', 'Monsters Ball')], lenient).best.track.id, 'ball');
+
+  const strict = compileScoring({ threshold: 0.95, reviewThreshold: 0.9 });
+  const ranking = rank([track('mix', 'Bobby Pickett', 'Monster Mash Party Mix')], strict);
+  assert.strictEqual(ranking.best, null);
+  assert.strictEqual(ranking.nearMiss, false);
+});
+
+test('a candidate under reviewThreshold is rejected', () => {
+  const ranking = rank([track('science', 'Oingo Boingo', 'Weird Science', { popularity: 100 })]);
+
+  assert.ok(ranking.top.similarity < scoring.reviewThreshold);
+  assert.strictEqual(ranking.best, null);
+  assert.strictEqual(ranking.nearMiss, false);
+});
+
+test('version penalties rank the original above a karaoke copy', () => {
+  const ranking = rank([
+    track('karaoke', 'Bobby Pickett', 'Monster Mash (Karaoke Version)', { popularity: 90 }),
+    track('original', 'Bobby Pickett', 'Monster Mash', { popularity: 40 })
+  ]);
+
+  assert.strictEqual(ranking.best.track.id, 'original');
+  const karaoke = ranking.candidates[1];
+  assert.ok(karaoke.breakdown.penalties.some(penalty => penalty.reason === 'karaoke or tribute' && penalty.amount === 0.3));
+});
+
+test('bonuses decide between two perfect matches', () => {
+  const ranking = rank([
+    track('less-popular', 'Bobby Pickett', 'Monster Mash', { popularity: 20 }),
+    track('more-popular', 'Bobby Pickett', 'Monster Mash', { popularity: 70 })
+  ]);
+
+  assert.strictEqual(ranking.candidates[0].similarity, ranking.candidates[1].similarity);
+  assert.strictEqual(ranking.best.track.id, 'more-popular');
+});
+
+test('review decisions override the scores', () => {
+  const tracks = [
+    track('original', 'Bobby Pickett', 'Monster Mash'),
+    track('ball', 'Bobby Pickett', 'Monsters Ball')
+  ];
+
+  const approved = rank(tracks, scoring, { approved: new Set(['ball']), rejected: new Set() });
+  assert.strictEqual(approved.best.track.id, 'ball');
+  assert.strictEqual(approved.best.breakdown.decision, 'approved');
+
+  const rejected = rank(tracks, scoring, { approved: new Set(), rejected: new Set(['original']) });
+  assert.strictEqual(rejected.rejectedCount, 1);
+  assert.strictEqual(rejected.best, null);
+  assert.strictEqual(rejected.nearMiss, true);
+});
+
+test('the summary keeps the winner and the runners-up', () => {
+  const tracks = ['Monster Mash', 'Monster Mash Party Mix', 'Monsters Ball', 'Weird Science', 'Ghostbusters']
+    .map((title, index) => track(`t${index}`, 'Bobby Pickett', title));
+  const settings = compileScoring({ runnersUp: 2 });
+  const summary = summarizeRanking(rank(tracks, settings), settings);
+
+  assert.strictEqual(summary.matched, true);
+  assert.strictEqual(summary.threshold, 0.75);
+  assert.strictEqual(summary.winner.id, 't0');
+  assert.deepStrictEqual(summary.runnersUp.map(candidate => candidate.id), ['t1', 't2']);
+});
+
+test('invalid settings are refused', () => {
+  assert.throws(() => compileScoring({ threshold: 1.5 }), /threshold/);
+  assert.throws(() => compileScoring({ weights: { artist: 0, title: 0 } }), /weights/);
+  assert.throws(() => compileScoring({ rules: [{ type: 'popularity' }] }), /penalty" or a "bonus/);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { STEPS, compileNormalizer, normalizeForSearch, normalizeForComparison, createSongKey } = require('../src/utils/normalizer');
+
+const normalizer = compileNormalizer();
+
+// [step, field, input, with every step, with only that step switched off]
+const STEP_CASES = [
+  ['unicode', 'artist', 'Blue Öyster Cult', 'blue oyster cult', 'blue öyster cult'],
+  ['unicode', 'title', 'ﬁre', 'fire', 'ﬁre'],
+  ['unicode', 'artist', 'Motörhead', 'motorhead', 'motörhead'],
+  ['sourceSuffix', 'title', 'Beetlejuice ~ From the Movie Beetlejuice', 'beetlejuice', 'beetlejuice from the movie beetlejuice'],
+  ['sourceSuffix', 'title', 'Day-O (From "Beetlejuice")', 'day o', 'day o from beetlejuice'],
+  ['sourceSuffix', 'title', 'Ghostbusters - From the Motion Picture Ghostbusters', 'ghostbusters', 'ghostbusters from the motion picture ghostbusters'],
+  ['versionSuffix', 'title', 'Thriller (Remastered 2009)', 'thriller', 'thriller remastered 2009'],
+  ['versionSuffix', 'title', 'Monster Mash - Single Version', 'monster mash', 'monster mash single version'],
+  ['versionSuffix', 'title', 'Somebody\'s Watching Me [Radio Edit]', 'somebodys watching me', 'somebodys watching me radio edit'],
+  ['versionSuffix', 'title', 'Monster Mash - Mono', 'monster mash', 'monster mash mono'],
+  ['bracketedYear', 'title', 'Monster Mash (1973)', 'monster mash', 'monster mash 1973'],
+  ['bracketedYear', 'title', 'Thriller [2009]', 'thriller', 'thriller 2009'],
+  ['featuring', 'title', 'Thriller feat. Vincent Price', 'thriller', 'thriller feat vincent price'],
+  ['featuring', 'title', 'Thriller (ft. Vincent Price)', 'thriller', 'thriller ft vincent price'],
+  ['featuring', 'artist', 'Michael Jackson featuring Vincent Price', 'michael jackson', 'michael jackson featuring vincent price'],
+  ['leadingThe', 'artist', 'The Cramps', 'cramps', 'the cramps'],
+  ['ampersand', 'artist', 'Siouxsie & The Banshees', 'siouxsie and the banshees', 'siouxsie the banshees']
+];
+
+test('each step, on and off', () => {
+  for (const [step, field, input, normalized, withoutStep] of STEP_CASES) {
+    const without = compileNormalizer({ steps: { [step]: false } });
+    assert.strictEqual(normalizeForComparison(input, field, normalizer), normalized, `${step}: ${input}`);
+    assert.strictEqual(normalizeForComparison(input, field, without), withoutStep, `${step} off: ${input}`);
+  }
+});
+
+test('title steps leave artists alone, and leadingThe leaves titles alone', () => {
+  assert.strictEqual(normalizeForComparison('Prince (1999)', 'artist', normalizer), 'prince 1999');
+  assert.strictEqual(normalizeForComparison('The Time Warp', 'title', normalizer), 'the time warp');
+});
+
+test('a step never empties a field', () => {
+  assert.strictEqual(normalizeForComparison('(1973)', 'title', normalizer), '1973');
+  assert.strictEqual(normalizeForComparison('The', 'artist', normalizer), 'the');
+});
+
+test('search queries keep their spelling', () => {
+  assert.deepStrictEqual(
+    normalizeForSearch('The Cramps feat. Lux Interior', 'Goo Goo Muck (Remastered 2009)', normalizer),
+    { artist: 'The Cramps', title: 'Goo Goo Muck' }
+  );
+});
+
+test('extra strip patterns apply to both fields', () => {
+  const halloween = compileNormalizer({ stripPatterns: ['\\s*\\(Halloween Mix\\)'] });
+  assert.strictEqual(normalizeForComparison('Monster Mash (Halloween Mix)', 'title', halloween), 'monster mash');
+  assert.throws(() => compileNormalizer({ stripPatterns: ['('] }), /Invalid normalization strip pattern/);
+  assert.throws(() => compileNormalizer({ steps: { lowercase: false } }), /Unknown normalization step "lowercase"/);
+});
+
+test('every step has a case', () => {
+  assert.deepStrictEqual([...new Set(STEP_CASES.map(([step]) => step))].sort(), [...STEPS].sort());
+});
+
+// Song keys are stored (review decisions, overrides, cross-station tracks): these must not drift
+test('song keys', () => {
+  const keys = [
+    ['Bobby "Boris" Pickett', 'Monster Mash', 'bobby boris pickett|monster mash'],
+    ['The Cramps', 'Goo Goo Muck (Remastered 2009)', 'cramps|goo goo muck'],
+    ['Blue Öyster Cult', '(Don\'t Fear) The Reaper', 'blue oyster cult|dont fear the reaper'],
+    ['Siouxsie & The Banshees', 'Spellbound - Single Version', 'siouxsie and the banshees|spellbound'],
+    ['Michael Jackson feat. Vincent Price', 'Thriller', 'michael jackson|thriller'],
+    ['Danny Elfman', 'This Is Halloween ~ From the Movie', 'danny elfman|this is halloween'],
+    ['Ray Parker Jr.', 'Ghostbusters', 'ray parker jr|ghostbusters']
+  ];
+
+  for (const [artist, title, key] of keys) {
+    assert.strictEqual(createSongKey(artist, title), key);
+  }
+  assert.strictEqual(createSongKey('the cramps', 'GOO GOO MUCK'), createSongKey('The Cramps', 'Goo Goo Muck [Remastered]'));
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileParser, parseWithRules } = require('../src/utils/titleParser');
+
+test('default rules split "Artist - Title"', () => {
+  const parsed = parseWithRules('Ben E. King - Stand by Me', compileParser());
+  assert.strictEqual(parsed.artist, 'Ben E. King');
+  assert.strictEqual(parsed.title, 'Stand by Me');
+  assert.strictEqual(parsed.rule.name, 'hyphen');
+});
+
+test('default rules leave titles containing "by" whole', () => {
+  const parser = compileParser();
+  for (const title of ['Stand by Me', 'Killed by Death', 'Bye Bye Baby', 'Drive By']) {
+    const parsed = parseWithRules(title, parser);
+    assert.strictEqual(parsed.rule, null, title);
+    assert.strictEqual(parsed.artist, 'Unknown Artist', title);
+    assert.strictEqual(parsed.title, title);
+  }
+});
+
+test('"Title by Artist" can be added as a station rule', () => {
+  const parser = compileParser({
+    rules: [{ name: 'title-by-artist', pattern: '^(?<title>.+) by (?<artist>[A-Z].{2,})$' }]
+  });
+
+  const parsed = parseWithRules('Stand by Me by Ben E. King', parser);
+  assert.strictEqual(parsed.artist, 'Ben E. King');
+  assert.strictEqual(parsed.title, 'Stand by Me');
+  assert.strictEqual(parsed.rule.origin, 'station');
+
+  assert.strictEqual(parseWithRules('Stand by Me', parser).rule, null);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileVersionRules, applyVersionRules } = require('../src/utils/versionRules');
+const { compileScoring, rankCandidates } = require('../src/utils/matchScoring');
+const { compileNormalizer } = require('../src/utils/normalizer');
+
+const normalizer = compileNormalizer();
+
+function track(id, title, extra = {}) {
+  return {
+    id,
+    name: title,
+    artists: [{ name: 'Ray Parker Jr.' }],
+    album: { name: 'Ghostbusters', album_type: 'album' },
+    explicit: false,
+    popularity: 0,
+    ...extra
+  };
+}
+
+const context = { radioText: 'ray parker jr. ghostbusters', artist: 'ray parker jr', trackArtists: ['ray parker jr'] };
+const adjust = (rules, candidate, radio = context) => applyVersionRules(compileVersionRules(rules), candidate, radio);
+
+test('keyword rules look at the chosen field', () => {
+  const rules = [{ name: 'karaoke', type: 'keyword', match: ['karaoke'], field: 'album', penalty: 0.3 }];
+
+  assert.deepStrictEqual(adjust(rules, track('a', 'Ghostbusters', { album: { name: 'Karaoke Hits', album_type: 'compilation' } })),
+    [{ reason: 'karaoke', amount: 0.3 }]);
+  assert.deepStrictEqual(adjust(rules, track('b', 'Ghostbusters (Karaoke)')), []);
+});
+
+test('keyword rules skip words the radio title has too', () => {
+  const rules = [{ name: 'instrumental', type: 'keyword', match: ['instrumental'], penalty: 0.15 }];
+  const instrumental = track('a', 'Ghostbusters (Instrumental)');
+
+  assert.deepStrictEqual(adjust(rules, instrumental), [{ reason: 'instrumental', amount: 0.15 }]);
+  assert.deepStrictEqual(adjust(rules, instrumental, { ...context, radioText: 'ray parker jr. ghostbusters (instrumental)' }), []);
+});
+
+test('album type, exact artist and popularity rules', () => {
+  const rules = [
+    { name: 'compilation', type: 'albumType', match: 'compilation', penalty: 0.05 },
+    { name: 'exact artist', type: 'exactArtist', bonus: 0.05 },
+    { name: 'popularity', type: 'popularity', bonus: 0.03 }
+  ];
+  const candidate = track('a', 'Ghostbusters', { album: { name: '80s Hits', album_type: 'compilation' }, popularity: 50 });
+
+  assert.deepStrictEqual(adjust(rules, candidate), [
+    { reason: 'compilation', amount: 0.05 },
+    { reason: 'exact artist', amount: -0.05 },
+    { reason: 'popularity', amount: -0.015 }
+  ]);
+  assert.deepStrictEqual(adjust(rules.slice(1, 2), candidate, { ...context, trackArtists: ['ray parker'] }), []);
+});
+
+test('invalid rules are refused', () => {
+  assert.throws(() => compileVersionRules([{ type: 'mood', penalty: 0.1 }]), /unknown type "mood"/);
+  assert.throws(() => compileVersionRules([{ type: 'explicit', penalty: 0.1, bonus: 0.1 }]), /either a "penalty" or a "bonus"/);
+  assert.throws(() => compileVersionRules([{ type: 'keyword', penalty: 0.1 }]), /needs a "match" keyword/);
+  assert.throws(() => compileVersionRules([{ type: 'albumType', match: 'ep', penalty: 0.1 }]), /needs a "match" album type/);
+});
+
+test('Kids prefers the clean version', () => {
+  const tracks = [
+    track('explicit', 'Ghostbusters', { explicit: true, popularity: 80 }),
+    track('clean', 'Ghostbusters', { popularity: 60 })
+  ];
+  const rank = scoring => rankCandidates('Ray Parker Jr.', 'Ghostbusters', tracks, scoring, normalizer);
+
+  // Without the rule the more popular, explicit copy wins
+  assert.strictEqual(rank(compileScoring()).best.track.id, 'explicit');
+
+  const kids = compileScoring({ rules: [{ name: 'explicit', type: 'explicit', penalty: 0.3 }] });
+  const ranking = rank(kids);
+  assert.strictEqual(ranking.best.track.id, 'clean');
+  assert.deepStrictEqual(ranking.candidates[1].breakdown.penalties[0], { reason: 'explicit', amount: 0.3 });
+});
+
+test('tracks not playable in the market are never chosen', () => {
+  const tracks = [
+    track('blocked', 'Ghostbusters', { is_playable: false, popularity: 90 }),
+    track('playable', 'Ghostbusters', { is_playable: true, popularity: 10 }),
+    // Searches without a market don't say
+    track('unknown', 'Ghostbusters Theme')
+  ];
+  const ranking = rankCandidates('Ray Parker Jr.', 'Ghostbusters', tracks, compileScoring(), normalizer);
+
+  assert.deepStrictEqual(ranking.candidates.map(candidate => candidate.track.id), ['playable', 'unknown']);
+  assert.strictEqual(ranking.best.track.id, 'playable');
+
+  const onlyBlocked = rankCandidates('Ray Parker Jr.', 'Ghostbusters', tracks.slice(0, 1), compileScoring(), normalizer);
+  assert.strictEqual(onlyBlocked.top, null);
+  assert.strictEqual(onlyBlocked.nearMiss, false);
+});